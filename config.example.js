@@ -18,16 +18,78 @@
  */
 
 const CONFIG = {
-  // Data source mode: 'local' or 'google-sheets'
+  // Data source mode: 'local', 'google-sheets', 'json', 'combined-json', 'inline',
+  // 'mock-server', or the name of a custom source registered with registerDataSource()
   dataSource: 'local', // Change to 'google-sheets' to use Google Sheets
   
-  // Local CSV file paths (used when dataSource is 'local')
+  // Fallback order per dataset: each one is loaded from the first source that works
+  // (any data source name). Leave out to use only dataSource above.
+  // Example: try Google Sheets first, then the local CSV files
+  // sources: {
+  //   teams: ['google-sheets', 'local'],
+  //   results: ['google-sheets', 'local'],
+  //   comps: ['google-sheets', 'local'],
+  //   boulders: ['google-sheets', 'local']
+  // },
+  
+  // Header aliases: other column headers your sheets may use for each field.
+  // Matching ignores case and whitespace; the field name itself always matches.
+  columnMap: {
+    teams: {
+      team_id: ['Team ID'],
+      team_name: ['Team Name', 'Team'],
+      climber_id: ['Climber ID'],
+      climber_name: ['Climber Name', 'Climber', 'Name'],
+      division: ['Division', 'Level'],
+      effective_from: ['Effective From', 'Start Date', 'Joined'],
+      effective_to: ['Effective To', 'End Date', 'Left'],
+      category: ['Category', 'Gender'],
+      age_group: ['Age Group', 'Age Category']
+    },
+    results: {
+      comp_id: ['Comp ID', 'Comp', 'Competition'],
+      comp_date: ['Comp Date', 'Date'],
+      boulder_id: ['Boulder ID', 'Boulder', 'Problem'],
+      climber_id: ['Climber ID', 'Climber'],
+      attempts_to_zone: ['Attempts to Zone', 'Zone Attempts'],
+      attempts_to_top: ['Attempts to Top', 'Top Attempts'],
+      zone_completed: ['Zone Completed', 'Zone?', 'Zone'],
+      top_completed: ['Top Completed', 'Top?', 'Top']
+    },
+    comps: {
+      comp_id: ['Comp ID', 'Comp', 'Competition'],
+      name: ['Name', 'Comp Name', 'Title'],
+      date: ['Date', 'Comp Date'],
+      venue: ['Venue', 'Location', 'Gym'],
+      status: ['Status']
+    },
+    boulders: {
+      comp_id: ['Comp ID', 'Comp', 'Competition'],
+      boulder_id: ['Boulder ID', 'Boulder', 'Problem'],
+      grade: ['Grade'],
+      color: ['Hold Color', 'Hold Colour', 'Colour', 'Color'],
+      setter: ['Setter', 'Set By'],
+      zone_points: ['Zone Points'],
+      top_points: ['Top Points'],
+      wall_section: ['Wall Section', 'Wall', 'Section']
+    }
+  },
+  
+  // Values accepted in zone_completed / top_completed (case-insensitive)
+  booleanValues: {
+    true: ['1', 'y', 'yes', 'true', 'x', '✓', '✔'],
+    false: ['0', 'n', 'no', 'false', '', '✗', '✘']
+  },
+  
+  // Local CSV file paths (used by the 'local' source)
   local: {
     teamsFile: 'teams.csv',
-    resultsFile: 'results.csv'
+    resultsFile: 'results.csv',
+    compsFile: 'comps.csv', // Optional competitions metadata (remove if not used)
+    bouldersFile: 'boulders.csv' // Optional boulder metadata (remove if not used)
   },
   
-  // Google Sheets configuration (used when dataSource is 'google-sheets')
+  // Google Sheets configuration (used by the 'google-sheets' source)
   googleSheets: {
     // OPTION 1: Use the published URL directly (RECOMMENDED - easier!)
     // After publishing to web (File → Share → Publish to web), copy the full URL here
@@ -39,40 +101,152 @@ const CONFIG = {
     teamsSheetId: 'YOUR_TEAMS_SHEET_ID_HERE',
     teamsGid: '0', // First tab (usually 0, check URL if different)
     resultsSheetId: 'YOUR_RESULTS_SHEET_ID_HERE',
-    resultsGid: '0' // First tab (usually 0, check URL if different)
-  }
-};
-
-/**
- * Get the URL for the teams data source
- * @returns {string} URL to fetch teams data from
- */
-function getTeamsUrl() {
-  if (CONFIG.dataSource === 'google-sheets') {
-    // Prefer the published URL if available
-    if (CONFIG.googleSheets.teamsUrl) {
-      return CONFIG.googleSheets.teamsUrl;
+    resultsGid: '0', // First tab (usually 0, check URL if different)
+    
+    // Optional competitions tab (comp_id, name, date, venue, status)
+    // Published CSV URL; leave empty if you don't use one
+    compsUrl: '',
+    
+    // Optional boulders tab (comp_id, boulder_id, grade, color, setter,
+    // zone_points, top_points, wall_section); leave empty if you don't use one
+    bouldersUrl: ''
+  },
+  
+  // JSON endpoints (used by the 'json' source), each returning an array of row objects
+  json: {
+    teamsUrl: 'teams.json',
+    resultsUrl: 'results.json',
+    compsUrl: '', // Optional
+    bouldersUrl: '' // Optional
+  },
+  
+  // Single JSON file {"teams": [...], "results": [...]} (used by the 'combined-json' source)
+  combinedJson: {
+    url: 'data.json'
+  },
+  
+  // Data embedded in index.html (used by the 'inline' source):
+  // <script type="application/json" id="inline-data">{"teams": [...], "results": [...]}</script>
+  inline: {
+    elementId: 'inline-data'
+  },
+  
+  // Local mock server (used by the 'mock-server' source), serving /teams and /results as CSV or JSON
+  mockServer: {
+    url: 'http://localhost:3001'
+  },
+  
+  // Offline cache: the last successfully loaded data is kept in the browser
+  // (localStorage) and shown with a warning banner if loading fails
+  offlineCache: {
+    enabled: true,
+    storageKey: 'bouldering-dashboard-cache'
+  },
+  
+  // Scoring rules for the season. Points per boulder are:
+  //   zone + top (+ flash bonus for a first-attempt top) - attempts x penalty,
+  // never below 0 and at most maxPointsPerBoulder (null = no cap).
+  // zone_points / top_points in boulders.csv override zonePoints / topPoints.
+  scoring: {
+    zonePoints: 50,
+    topPoints: 50,
+    flashBonus: 0,
+    attemptPenalty: 0,
+    maxPointsPerBoulder: null,
+    
+    // Season totals: count only each climber's best N comps (e.g. 3), or drop
+    // their worst K comps (missed comps count as 0 and are dropped first).
+    // Leave both unset to count every comp. Team totals follow the same rule.
+    countBestComps: null,
+    dropWorstComps: 0,
+    
+    // Dynamic values: instead of fixed zone/top points, each boulder's top is
+    // worth topPool / number of climbers who topped it (zone likewise), counted
+    // per comp and per division. Rarely sent boulders are worth the most.
+    dynamic: {
+      enabled: false,
+      topPool: 1000,
+      zonePool: 500
     }
-    // Fallback to constructing URL from sheet ID
-    const { teamsSheetId, teamsGid } = CONFIG.googleSheets;
-    return `https://docs.google.com/spreadsheets/d/${teamsSheetId}/export?format=csv&gid=${teamsGid}`;
-  }
-  return CONFIG.local.teamsFile;
-}
-
-/**
- * Get the URL for the results data source
- * @returns {string} URL to fetch results data from
- */
-function getResultsUrl() {
-  if (CONFIG.dataSource === 'google-sheets') {
-    // Prefer the published URL if available
-    if (CONFIG.googleSheets.resultsUrl) {
-      return CONFIG.googleSheets.resultsUrl;
+  },
+  
+  // How team totals are scored (each comp is scored, then comps are summed):
+  //   'sum'            - every member's points
+  //   'best-k'         - the best bestK members in each comp
+  //   'division-slots' - the best member of each division in each comp
+  //   'average'        - member points per comp divided by the members who climbed it
+  //   'placement'      - placementPoints[rank - 1] for the team's rank in each comp
+  teamScoring: {
+    mode: 'sum',
+    bestK: 3,
+    placementPoints: [10, 8, 6, 5, 4, 3, 2, 1]
+  },
+  
+  // Division leaderboards, in display order. Divisions found in teams.csv but not
+  // listed here are still shown, after these, as "<name> Division" with 🧗
+  divisions: [
+    { name: 'Beginner', label: 'Beginner Division', emoji: '🌱' },
+    { name: 'Intermediate', label: 'Intermediate Division', emoji: '🔥' },
+    { name: 'Advanced', label: 'Advanced Division', emoji: '💪' }
+  ],
+  
+  // Extra roster columns to group climbers by, besides division. Each one gets a
+  // filter next to the division filter, and the individual leaderboard shows it.
+  // Leaderboards, season standings and awards follow the selected values.
+  //   categories: [
+  //     { column: 'category', label: 'Category' },
+  //     { column: 'age_group', label: 'Age Group' }
+  //   ]
+  categories: [],
+  
+  // Default leaderboard ranking; viewers can switch with the Ranking selector
+  //   'points' - total points, then fewest attempts
+  //   'ifsc'   - most tops, most zones, fewest attempts to tops, fewest attempts to zones
+  // tieBreaks: applied in order when the mode's criteria are equal; entries
+  // still tied after all of them share a rank (1, 2, 2, 4) shown as "T2"
+  //   'fewest-attempts' - fewer total attempts
+  //   'most-flashes'    - more tops on the first attempt
+  //   'best-comp'       - countback: best single comp, then second best, ...
+  //   'last-comp'       - head-to-head: more points at the latest comp either climbed
+  ranking: {
+    mode: 'points',
+    tieBreaks: ['fewest-attempts']
+  },
+  
+  // Season Standings: league points for 1st, 2nd, 3rd, ... place in a division
+  // at each comp, summed across comps. Places past the end of the list score 0.
+  // Exact ties (same points and attempts) share the place and its points.
+  leaguePoints: {
+    placementPoints: [100, 80, 65, 55, 45, 35, 25, 20, 15, 10, 8, 6, 4, 2, 1]
+  },
+  
+  // Division review: the organizer panel suggests moving climbers up or down a
+  // division based on their last recentComps comps in their current division
+  // (climbers with fewer than minComps there are skipped). Set a rule to null to
+  // turn it off. Rates are 0-1 (0.8 = topped 80% of the boulders they tried).
+  //   promote:  top rate >= minTopRate, OR a top-podiumPlaces finish in the
+  //             division at least podiumFinishes times (in comps with more
+  //             than podiumPlaces climbers in the division)
+  //   relegate: top rate <= maxTopRate AND zone rate <= maxZoneRate
+  divisionReview: {
+    recentComps: 3,
+    minComps: 2,
+    promote: {
+      minTopRate: 0.8,
+      podiumFinishes: 2,
+      podiumPlaces: 3
+    },
+    relegate: {
+      maxTopRate: 0.1,
+      maxZoneRate: 0.3
     }
-    // Fallback to constructing URL from sheet ID
-    const { resultsSheetId, resultsGid } = CONFIG.googleSheets;
-    return `https://docs.google.com/spreadsheets/d/${resultsSheetId}/export?format=csv&gid=${resultsGid}`;
+  },
+  
+  // Auto-refresh: re-fetch the data in the background during live comps.
+  // The dashboard only re-renders when the data changed, and keeps the
+  // selected competition, search and sort. Minimum interval is 10 seconds.
+  autoRefresh: {
+    enabled: false,
+    intervalSeconds: 30
   }
-  return CONFIG.local.resultsFile;
-}
+};
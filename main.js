@@ -26,6 +26,54 @@ const AppState = {
    */
   rawResults: [],
   
+  /**
+   * Raw competition metadata from comps.csv (optional)
+   * Array of objects with: comp_id, name, date, venue, status
+   */
+  rawComps: [],
+  
+  /**
+   * Raw boulder metadata from boulders.csv (optional)
+   * Array of objects with: comp_id, boulder_id, grade, color, setter, zone_points, top_points, wall_section
+   */
+  rawBoulders: [],
+  
+  /**
+   * Problems found in the raw data by parseCsv and validateData
+   * Array of objects with: sheet ('teams' | 'results' | 'comps' | 'boulders'), row, message
+   */
+  dataIssues: [],
+  
+  /**
+   * Where the currently displayed data came from
+   * Object: {
+   *   type: 'live' | 'cache',     // Freshly loaded, or the offline cache after a failed load
+   *   sources: {teams, results},  // Source each live dataset was loaded from ('google-sheets' | 'local')
+   *   fallbackErrors: string[],   // Errors from sources skipped before the ones used
+   *   cachedAt: number | null,    // When the cached data was saved (ms since epoch)
+   *   error: string | null        // Load error that caused the cache to be used
+   * }
+   */
+  dataSource: {
+    type: 'live',
+    sources: null,
+    fallbackErrors: [],
+    cachedAt: null,
+    error: null
+  },
+  
+  /**
+   * Hash of the displayed teams/results/comps/boulders (see hashData)
+   * Lets auto-refresh skip re-rendering when a reload returned the same data
+   */
+  dataHash: null,
+  
+  /**
+   * When the displayed data was last confirmed up to date (ms since epoch)
+   * For cached data this is when the cache was saved
+   */
+  lastUpdated: null,
+  
   // ============================================
   // Computed Data (aggregated from raw data)
   // ============================================
@@ -34,8 +82,13 @@ const AppState = {
    * Climber statistics aggregated across competitions
    * Map<climber_id, ClimberStats>
    * ClimberStats: {
-   *   climber_id, climber_name, team_id, team_name, division,
-   *   total_points, total_attempts, comp_breakdown
+   *   climber_id, climber_name, team_id, team_name, division,  // current team and division
+   *   categories,        // CONFIG.categories column -> value, e.g. {age_group: 'U18'}
+   *   total_points, total_attempts, total_tops, total_zones,
+   *   total_top_attempts, total_zone_attempts, total_flashes,  // see TALLY_FIELDS
+   *   comp_breakdown,
+   *   dropped_comps      // Set of comp_ids left out of the totals by the best N comps rule
+   *   roster_breakdown   // Map of "team_id|division" to the points/attempts earned there
    * }
    */
   climberStats: new Map(),
@@ -44,7 +97,10 @@ const AppState = {
    * Team statistics aggregated from climber stats
    * Map<team_id, TeamStats>
    * TeamStats: {
-   *   team_id, team_name, total_points, total_attempts, climbers
+   *   team_id, team_name, total_points, total_attempts, total_tops, total_zones,
+   *   total_top_attempts, total_zone_attempts, total_flashes, climbers,
+   *   comp_breakdown   // Map of comp_id to the team's tally for that comp, with
+   *                    // counted: [{climber_id, climber_name}], placement and tied (placement mode)
    * }
    */
   teamStats: new Map(),
@@ -52,10 +108,42 @@ const AppState = {
   /**
    * Division-grouped climber statistics
    * Map<division, Array<ClimberStats>>
-   * Divisions: "Beginner", "Intermediate", "Advanced"
+   * Divisions: every division in AppState.divisions, in that order
    */
   divisionStats: new Map(),
   
+  /**
+   * Divisions shown in the division leaderboards, in display order
+   * Array<{name, label, emoji, tableId}> from getDivisions
+   */
+  divisions: [],
+  
+  /**
+   * Season standings from per-comp placement (league) points
+   * Map<division, Array<StandingEntry>>
+   * StandingEntry: {
+   *   climber_id, climber_name, team_id, team_name, division,
+   *   total_points,      // league points summed across comps
+   *   total_attempts, total_tops, ...  // raw tallies in the division, for tie-breaks
+   *   comp_breakdown     // Map of comp_id to {placement, tied, points (league), raw_points}
+   * }
+   */
+  seasonStandings: new Map(),
+  
+  /**
+   * Promotion / relegation recommendations for organizers
+   * Array of recommendations from computeDivisionReview (always the whole season)
+   */
+  divisionReview: [],
+  
+  /**
+   * Leaderboards after each comp of the season, for the climber profile rank history
+   * Built on first use by getSeasonRankings (for the current ranking mode) and cleared by setData
+   * Object: { rankingMode, rankings: Array<{comp_id, climberStats, overall, divisions}> } | null
+   *   overall / divisions: Map of climber_id to {rank, tied}
+   */
+  seasonRankings: null,
+  
   /**
    * Fun statistics calculated from results
    * Object: {
@@ -64,33 +152,71 @@ const AppState = {
    *   least_attempts_boulder: {boulder_id, comp_id, attempts},
    *   try_hard_award: {climber_name, attempts, tops}
    * }
+   * Climber awards carry the winner's climber_id, or climber_ids when tied
    */
   funStats: {},
   
+  /**
+   * Competitions in date order, from comps.csv merged with comp_ids found in results
+   * Array of objects with: comp_id, name, date, venue, status ('upcoming' | 'live' | 'final' | '')
+   */
+  competitions: [],
+  
+  /**
+   * Boulder metadata keyed by "comp_id:boulder_id"
+   * Map<string, BoulderInfo>
+   * BoulderInfo: {
+   *   comp_id, boulder_id, grade, color, setter, wall_section,
+   *   zone_points, top_points   // numbers, or null to use the default points
+   * }
+   */
+  boulders: new Map(),
+  
   // ============================================
   // UI State
   // ============================================
   
   /**
    * Current competition filter selection
-   * Values: 'all' | '1' | '2' | '3' | '4'
+   * Object: {
+   *   comps: Array<string>,  // selected comp_ids; empty means every comp
+   *   from: string,          // first comp_date to include (YYYY-MM-DD), '' for no limit
+   *   to: string             // last comp_date to include (YYYY-MM-DD), '' for no limit
+   * }
+   */
+  currentFilter: createCompFilter(),
+  
+  /**
+   * Current division and category selection
+   * Object: { division: 'all' | division name, [column]: 'all' | value }
+   * with one key per CONFIG.categories column (a missing key means 'all')
    */
-  currentFilter: 'all',
+  currentSlice: { division: 'all' },
+  
+  /**
+   * How leaderboards are ranked and which score columns they show
+   * Values: 'points' (points, then attempts) | 'ifsc' (tops, zones, attempts to tops, attempts to zones)
+   * Starts from CONFIG.ranking.mode
+   */
+  rankingMode: 'points',
   
   /**
    * Current sort state for tables
    * Object: {
    *   table: string | null,     // ID of currently sorted table
-   *   column: string | null,    // Column being sorted
-   *   direction: 'asc' | 'desc' // Sort direction
+   *   columns: Array<{column, direction: 'asc' | 'desc'}>  // Columns to sort by, in order
    * }
    */
   sortState: {
     table: null,
-    column: null,
-    direction: 'asc'
+    columns: []
   },
   
+  /**
+   * climber_id of the climber whose profile is open, or null
+   */
+  profileClimberId: null,
+  
   // ============================================
   // State Management Methods
   // ============================================
@@ -106,22 +232,62 @@ const AppState = {
       // Hide any previous errors
       hideError();
       
-      // Load CSV data
-      const { teams, results } = await loadAllData();
-      this.rawTeams = teams;
-      this.rawResults = results;
+      // Load CSV data, falling back to the offline cache if loading fails
+      let data;
+      try {
+        data = await loadAllData();
+        saveCachedData(data);
+        this.dataSource = {
+          type: 'live',
+          sources: data.sources,
+          fallbackErrors: data.fallbackErrors,
+          cachedAt: null,
+          error: null
+        };
+      } catch (error) {
+        const cached = loadCachedData();
+        if (!cached) throw error;
+        
+        console.warn('Live data load failed, using cached data:', error);
+        data = cached;
+        this.dataSource = {
+          type: 'cache',
+          sources: null,
+          fallbackErrors: [],
+          cachedAt: cached.savedAt,
+          error: error.message
+        };
+      }
+      
+      this.lastUpdated = this.dataSource.type === 'cache' ? this.dataSource.cachedAt : Date.now();
+      renderLastUpdated();
       
-      // Compute all aggregations
-      this.computeAllStats();
+      // Start from the view in the URL (shared links), then store the data,
+      // check it and compute all aggregations
+      applyViewState(parseViewState(window.location.search));
+      this.setData(data);
       
       // Render all UI sections
       this.renderAll();
+      syncSearchResults();
+      scrollToHashSection();
+      
+      // Drop anything from the URL that didn't apply (e.g. a comp that no longer exists)
+      replaceViewState();
       
       // Set up event listeners (will be implemented in tasks 6, 7, 10, 11)
       // this.setupEventListeners();
       
+      // Show or hide the stale data banner
+      renderStaleDataBanner(this.dataSource);
+      
+      // Let organizers know if a fallback source had to be used
+      if (this.dataSource.fallbackErrors.length > 0) {
+        showError(`Some data was loaded from a fallback source:\n\n${this.dataSource.fallbackErrors.join('\n\n')}`);
+      }
+      
       // Update footer with data source info
-      updateFooter();
+      updateFooter(this.dataSource);
     } catch (error) {
       console.error('Failed to initialize application:', error);
       showError(`Initialization failed: ${error.message}`);
@@ -134,21 +300,152 @@ const AppState = {
     }
   },
   
+  /**
+   * Store loaded data and rebuild everything derived from it
+   * Keeps the current filter unless its competition no longer exists
+   * @param {Object} data - Data returned by loadAllData or loadCachedData
+   */
+  setData(data) {
+    const { teams, results, comps = [], boulders = [], issues } = data;
+    this.rawTeams = teams;
+    this.rawResults = results;
+    this.rawComps = comps;
+    this.rawBoulders = boulders;
+    this.boulders = buildBoulderMap(boulders);
+    this.dataHash = hashData(data);
+    this.seasonRankings = null;
+    
+    // Build the competition list and filter options, dropping selected comps that no longer exist
+    this.competitions = buildCompetitionList(comps, results);
+    this.currentFilter = {
+      ...this.currentFilter,
+      comps: this.currentFilter.comps.filter(compId => this.competitions.some(comp => comp.comp_id === compId))
+    };
+    setupFilters();
+    setupSliceFilters();
+    
+    // Close the climber profile if the climber is no longer on the roster
+    if (this.profileClimberId && !teams.some(row => row.climber_id === this.profileClimberId)) {
+      this.profileClimberId = null;
+    }
+    
+    // Check the data and list any problems for organizers
+    this.dataIssues = [...issues, ...validateData(teams, results, comps, boulders)]
+      .sort((a, b) => compareText(a.sheet, b.sheet) || (a.row ?? 0) - (b.row ?? 0));
+    renderDataIssues(this.dataIssues);
+    
+    // Recommend division moves from the whole season, whatever is filtered
+    const scoring = getScoringRules();
+    const dynamicValues = scoring.dynamic.enabled ? computeDynamicBoulderValues(results, teams, scoring) : null;
+    this.divisionReview = computeDivisionReview(
+      aggregateClimberStats(teams, results, null, this.boulders, scoring, dynamicValues),
+      results,
+      teams,
+      this.competitions.map(comp => comp.comp_id),
+      getDivisionReviewRules()
+    );
+    renderDivisionReview(this.divisionReview);
+    
+    // Compute all aggregations
+    this.computeAllStats();
+  },
+  
+  /**
+   * Re-fetch the data sources in the background (used by auto-refresh)
+   * Unlike refresh(), keeps the current filter, search and sort, and only
+   * re-renders when the data actually changed. Failures leave the current
+   * data on screen.
+   * @returns {Promise<boolean>} True if new data was rendered
+   */
+  async pollForUpdates() {
+    if (autoRefreshInFlight) return false;
+    autoRefreshInFlight = true;
+    
+    try {
+      const data = await loadAllData();
+      const wasCached = this.dataSource.type === 'cache';
+      const changed = wasCached || hashData(data) !== this.dataHash;
+      
+      this.dataSource = {
+        type: 'live',
+        sources: data.sources,
+        fallbackErrors: data.fallbackErrors,
+        cachedAt: null,
+        error: null
+      };
+      this.lastUpdated = Date.now();
+      
+      if (changed) {
+        saveCachedData(data);
+        this.setData(data);
+        this.renderAll();
+        refreshSearchResults();
+        renderStaleDataBanner(this.dataSource);
+        console.log('Auto-refresh: data changed, dashboard updated');
+      }
+      
+      updateFooter(this.dataSource);
+      renderLastUpdated();
+      return changed;
+    } catch (error) {
+      console.warn('Auto-refresh failed, keeping current data:', error);
+      return false;
+    } finally {
+      autoRefreshInFlight = false;
+    }
+  },
+  
   /**
    * Apply competition filter and recalculate all statistics
    * Triggers recomputation of climberStats, teamStats, divisionStats, and funStats
-   * Then re-renders all affected UI sections
-   * @param {string} compId - Competition ID ('all', '1', '2', '3', or '4')
+   * Then re-renders all affected UI sections and any open search results
+   * @param {Object} filter - Competition filter (see currentFilter)
    */
-  applyFilter(compId) {
+  applyFilter(filter) {
     // Update current filter state
-    this.currentFilter = compId;
+    this.currentFilter = { ...createCompFilter(), ...filter };
     
     // Recompute all statistics with the new filter
     this.computeAllStats();
     
     // Re-render all sections that depend on filtered data
     this.renderAll();
+    refreshSearchResults();
+    pushViewState();
+  },
+  
+  /**
+   * Select a division or category value and recalculate all statistics
+   * @param {string} column - 'division' or a CONFIG.categories column
+   * @param {string} value - Value to keep, or 'all'
+   */
+  applySlice(column, value) {
+    this.currentSlice = { ...this.currentSlice, [column]: value };
+    this.computeAllStats();
+    this.renderAll();
+    refreshSearchResults();
+    pushViewState();
+  },
+  
+  /**
+   * Sort a table by one or more columns and re-render it
+   * @param {string} tableId - ID of the table to sort
+   * @param {Array<Object>} columns - Columns as {column, direction}, in order
+   */
+  setSort(tableId, columns) {
+    this.sortState = { table: tableId, columns };
+    this.renderAll();
+    pushViewState();
+  },
+  
+  /**
+   * Switch the ranking mode and re-render the leaderboards
+   * Stats already carry tops, zones and attempts, so nothing is recomputed
+   * @param {string} mode - 'points' or 'ifsc'
+   */
+  setRankingMode(mode) {
+    this.rankingMode = RANKING_COLUMNS[mode] ? mode : 'points';
+    this.renderAll();
   },
   
   /**
@@ -177,20 +474,30 @@ const AppState = {
     // Clear raw data
     this.rawTeams = [];
     this.rawResults = [];
+    this.rawComps = [];
+    this.rawBoulders = [];
+    this.dataIssues = [];
     
     // Clear computed data
     this.climberStats.clear();
     this.teamStats.clear();
     this.divisionStats.clear();
+    this.divisions = [];
+    this.seasonStandings.clear();
+    this.divisionReview = [];
     this.funStats = {};
+    this.competitions = [];
+    this.boulders.clear();
+    this.dataHash = null;
     
     // Reset UI state
-    this.currentFilter = 'all';
+    this.currentFilter = createCompFilter();
+    this.currentSlice = { division: 'all' };
     this.sortState = {
       table: null,
-      column: null,
-      direction: 'asc'
+      columns: []
     };
+    this.profileClimberId = null;
   },
   
   /**
@@ -204,16 +511,37 @@ const AppState = {
     const filteredResults = this.getFilteredResults();
     
     // Aggregate climber statistics
-    this.climberStats = aggregateClimberStats(this.rawTeams, filteredResults);
+    // Dynamic boulder values depend on who topped each boulder, so they follow the filter
+    const scoring = getScoringRules();
+    const dynamicValues = scoring.dynamic.enabled
+      ? computeDynamicBoulderValues(filteredResults, this.rawTeams, scoring)
+      : null;
+    this.climberStats = aggregateClimberStats(this.rawTeams, filteredResults, null, this.boulders, scoring, dynamicValues);
+    
+    // Only count each climber's best comps if the season uses a best N / drop worst K rule
+    const compIds = this.competitions
+      .map(comp => comp.comp_id)
+      .filter(compId => filteredResults.some(result => result.comp_id === compId));
+    applyCountedCompsRule(this.climberStats, compIds, scoring);
+    
+    // Keep only the selected division and categories; everything below uses the slice
+    this.climberStats = sliceClimberStats(this.climberStats, this.currentSlice);
+    const slicedResults = filterResultsBySlice(filteredResults, this.climberStats, this.rawTeams, this.currentSlice);
     
     // Aggregate team statistics
-    this.teamStats = aggregateTeamStats(this.climberStats, this.rawTeams);
+    this.teamStats = aggregateTeamStats(this.climberStats, this.rawTeams, getTeamScoringRules());
     
     // Aggregate division statistics
-    this.divisionStats = aggregateDivisionStats(this.climberStats, this.rawTeams);
+    this.divisions = getDivisions(this.rawTeams)
+      .filter(division => this.currentSlice.division === 'all' || division.name === this.currentSlice.division);
+    const divisionNames = this.divisions.map(division => division.name);
+    this.divisionStats = aggregateDivisionStats(this.climberStats, divisionNames);
+    
+    // Season standings from each comp's placements
+    this.seasonStandings = computeSeasonStandings(this.climberStats, getLeaguePointsTable(), divisionNames);
     
     // Compute fun statistics
-    this.funStats = computeFunStats(filteredResults, this.climberStats, this.teamStats, this.currentFilter);
+    this.funStats = computeFunStats(slicedResults, this.climberStats, this.teamStats);
   },
   
   /**
@@ -237,10 +565,25 @@ const AppState = {
     renderIndividualLeaderboard(this.climberStats);
     
     // Render division leaderboards (task 8)
-    renderDivisionLeaderboards(this.divisionStats);
+    renderDivisionLeaderboards(this.divisionStats, this.divisions);
+    
+    // Render season standings
+    renderSeasonStandings(this.seasonStandings);
     
     // Render fun stats (task 9)
     renderFunStats(this.funStats);
+    
+    // Summarize the comps, dates, division and categories in view
+    renderActiveSelection(this.currentFilter, this.currentSlice);
+    
+    // Keep an open climber profile in step with the filter
+    renderClimberProfile(this.profileClimberId);
+    
+    // Show the arrows for the column(s) the user sorted by
+    syncSortHeaders();
+    
+    // Boulders with their own points change the maximum per boulder
+    renderScoringRules(this.boulders);
   },
   
   /**
@@ -260,87 +603,269 @@ const AppState = {
   }
 };
 
+// ============================================
+// Data Source Adapters
+// ============================================
+
+/**
+ * Registered data source adapters, keyed by the names used in CONFIG.dataSource and CONFIG.sources
+ * An adapter is an object with:
+ *   describe(dataset): string              - Where a dataset comes from, shown in the footer
+ *   load(dataset, session): Promise<{csv: string} | {json: string} | {rows: Array<Object>} | null>
+ *                                          - Raw data for 'teams', 'results', 'comps' or 'boulders', or null if
+ *                                            the source has none configured; session is a Map
+ *                                            shared by all datasets during one load. JSON text holds
+ *                                            this dataset only: an array of rows, or an object with
+ *                                            an array under the dataset name
+ *   formatError(error, dataset): string    - Optional, turns a network failure into a helpful message
+ *                                            (HTTP errors, which carry a status, are reported as they are)
+ * Whatever the adapter returns is normalized by loadDataset into the same row objects
+ */
+const dataSourceAdapters = new Map();
+
+/**
+ * Register a data source adapter under a name
+ * Custom adapters can be registered from a script included after main.js
+ * @param {string} name - Name to use in CONFIG.dataSource / CONFIG.sources
+ * @param {Object} adapter - Adapter object (see dataSourceAdapters)
+ * @throws {Error} If the adapter is missing load() or describe()
+ */
+function registerDataSource(name, adapter) {
+  if (!adapter || typeof adapter.load !== 'function' || typeof adapter.describe !== 'function') {
+    throw new Error(`Data source "${name}" must provide load() and describe()`);
+  }
+  dataSourceAdapters.set(name, adapter);
+}
+
+/**
+ * Look up a registered data source adapter
+ * @param {string} name - Adapter name
+ * @returns {Object} The adapter
+ * @throws {Error} If no adapter is registered under that name
+ */
+function getDataSourceAdapter(name) {
+  const adapter = dataSourceAdapters.get(name);
+  if (!adapter) {
+    throw new Error(`Unknown data source "${name}". Available sources: ${[...dataSourceAdapters.keys()].join(', ')}`);
+  }
+  return adapter;
+}
+
+// Local CSV files next to index.html
+registerDataSource('local', {
+  describe: dataset => CONFIG.local[`${dataset}File`],
+  async load(dataset) {
+    const file = CONFIG.local[`${dataset}File`];
+    return file ? { csv: await loadCsv(file) } : null;
+  },
+  formatError(error, dataset) {
+    return `Unable to load ${this.describe(dataset)}. Please ensure the file exists in the same directory as index.html.`;
+  }
+});
+
+// Google Sheets published as CSV
+registerDataSource('google-sheets', {
+  describe: () => 'Google Sheets',
+  async load(dataset) {
+    const url = getGoogleSheetsUrl(dataset);
+    return url ? { csv: await loadCsv(url) } : null;
+  },
+  formatError(error, dataset) {
+    return `Unable to load ${capitalize(dataset)} data from Google Sheets.\n\nPlease ensure:\n1. The sheet is published to the web:\n   • Open the sheet\n   • File → Share → Publish to web\n   • Select "Comma-separated values (.csv)"\n   • Click "Publish"\n2. The published URL in config.js is correct\n3. You have an internet connection\n\nError: ${error.message}`;
+  }
+});
+
+// One JSON endpoint per dataset, each returning an array of row objects
+registerDataSource('json', {
+  describe: dataset => `JSON (${CONFIG.json[`${dataset}Url`]})`,
+  async load(dataset) {
+    const url = CONFIG.json[`${dataset}Url`];
+    return url ? { json: await loadCsv(url) } : null;
+  }
+});
+
+// A single JSON file holding {"teams": [...], "results": [...], ...}, fetched once per load
+registerDataSource('combined-json', {
+  describe: () => CONFIG.combinedJson.url,
+  async load(dataset, session) {
+    if (!session.has('combined-json')) {
+      session.set('combined-json', loadCsv(CONFIG.combinedJson.url).then(text => JSON.parse(text)));
+    }
+    const rows = pickDatasetRows(await session.get('combined-json'), dataset);
+    return rows ? { rows } : null;
+  }
+});
+
+// JSON embedded in index.html: <script type="application/json" id="inline-data">
+registerDataSource('inline', {
+  describe: () => 'data embedded in the page',
+  async load(dataset) {
+    const element = document.getElementById(CONFIG.inline.elementId);
+    if (!element) {
+      throw new Error(`No element with id "${CONFIG.inline.elementId}" holds inline data`);
+    }
+    const rows = pickDatasetRows(JSON.parse(element.textContent), dataset);
+    return rows ? { rows } : null;
+  }
+});
+
+// Local mock server answering /teams, /results, /comps and /boulders with CSV or JSON
+registerDataSource('mock-server', {
+  describe: () => `mock server at ${CONFIG.mockServer.url}`,
+  async load(dataset) {
+    const text = await loadCsv(`${CONFIG.mockServer.url.replace(/\/$/, '')}/${dataset}`);
+    return /^\s*[[{]/.test(text) ? { json: text } : { csv: text };
+  },
+  formatError(error) {
+    return `Unable to reach the mock server at ${CONFIG.mockServer.url}. Is it running?\n\nError: ${error.message}`;
+  }
+});
+
+/**
+ * Build the CSV export URL for a Google Sheets dataset
+ * Prefers the published URL and adds a cache-busting parameter to force fresh data
+ * @param {string} dataset - 'teams', 'results', 'comps' or 'boulders'
+ * @returns {string|null} URL to fetch the dataset from, or null if no sheet is configured
+ */
+function getGoogleSheetsUrl(dataset) {
+  let url = CONFIG.googleSheets[`${dataset}Url`];
+  if (!url) {
+    // Fallback to constructing URL from sheet ID
+    const sheetId = CONFIG.googleSheets[`${dataset}SheetId`];
+    const gid = CONFIG.googleSheets[`${dataset}Gid`] || '0';
+    if (!sheetId) return null;
+    url = `https://docs.google.com/spreadsheets/d/${sheetId}/export?format=csv&gid=${gid}`;
+  }
+  return `${url}${url.includes('?') ? '&' : '?'}cachebust=${Date.now()}`;
+}
+
+/**
+ * Get the rows for one dataset from a parsed JSON object holding every dataset
+ * @param {Object} payload - Parsed JSON, e.g. {"teams": [...], "results": [...]}
+ * @param {string} dataset - 'teams', 'results', 'comps' or 'boulders'
+ * @returns {Array<Object>|null} Row objects, or null if the object has no entry for the dataset
+ * @throws {Error} If the payload is not an object or the entry for the dataset is not an array
+ */
+function pickDatasetRows(payload, dataset) {
+  if (payload === null || typeof payload !== 'object' || Array.isArray(payload)) {
+    throw new Error(`Expected a JSON object like {"teams": [...], "results": [...]}, but got ${Array.isArray(payload) ? 'an array' : payload === null ? 'null' : typeof payload}`);
+  }
+  
+  const rows = payload[dataset];
+  if (rows === undefined) return null;
+  if (!Array.isArray(rows)) {
+    throw new Error(`Expected an array of ${dataset} rows in the JSON data`);
+  }
+  return rows;
+}
+
 // ============================================
 // CSV Loading and Parsing Functions
 // ============================================
 
 /**
- * Load a CSV file from a URL (local file or Google Sheets)
+ * Parse the JSON text a source returned for one dataset
+ * @param {string} text - JSON holding an array of rows, or an object with an array per dataset
+ * @param {string} dataset - 'teams', 'results', 'comps' or 'boulders'
+ * @returns {Array<Object>|null} Row objects, or null if the object has no entry for the dataset
+ * @throws {Error} If the text is not valid JSON or holds no array of rows
+ */
+function parseJsonRows(text, dataset) {
+  const payload = JSON.parse(text);
+  return Array.isArray(payload) ? payload : pickDatasetRows(payload, dataset);
+}
+
+/**
+ * Load a text file (CSV or JSON) from a URL
  * @param {string} url - URL or filename to load (e.g., 'teams.csv' or Google Sheets export URL)
- * @returns {Promise<string>} Raw CSV text content
- * @throws {Error} If file cannot be loaded
+ * @returns {Promise<string>} Raw text content
+ * @throws {Error} If file cannot be loaded; HTTP errors carry the response status as error.status
  */
 async function loadCsv(url) {
-  try {
-    // Fetch with cache disabled to always get fresh data
-    // Note: For Google Sheets, we rely on the cachebust parameter in the URL
-    // Custom headers can cause CORS issues
-    const response = await fetch(url, {
-      cache: 'no-store'
-    });
-    
-    if (!response.ok) {
-      throw new Error(`Failed to load data from ${url}: ${response.status} ${response.statusText}`);
-    }
-    
-    const csvText = await response.text();
-    return csvText;
-  } catch (error) {
-    if (error.message.includes('Failed to load')) {
-      throw error;
-    }
-    
-    // Provide helpful error message based on data source
-    if (CONFIG.dataSource === 'google-sheets') {
-      const sheetName = url.includes('2PACX-1vS0yY2okHbcpDM7Xx') ? 'Teams' : 'Results';
-      throw new Error(`Unable to load ${sheetName} data from Google Sheets.\n\nPlease ensure:\n1. The sheet is published to the web:\n   • Open the sheet\n   • File → Share → Publish to web\n   • Select "Comma-separated values (.csv)"\n   • Click "Publish"\n2. The published URL in config.js is correct\n3. You have an internet connection\n\nError: ${error.message}`);
-    } else {
-      throw new Error(`Unable to load ${url}. Please ensure the file exists in the same directory as index.html.`);
-    }
+  // Fetch with cache disabled to always get fresh data
+  // Note: For Google Sheets, we rely on the cachebust parameter in the URL
+  // Custom headers can cause CORS issues
+  const response = await fetch(url, {
+    cache: 'no-store'
+  });
+  
+  if (!response.ok) {
+    const error = new Error(`Failed to load data from ${url}: ${response.status} ${response.statusText}`);
+    error.status = response.status;
+    throw error;
   }
+  
+  return response.text();
 }
 
 /**
  * Load both teams and results data concurrently
- * Data can come from local CSV files or Google Sheets (configured in config.js)
+ * Each dataset is tried against its configured sources in order (see CONFIG.sources)
+ * and taken from the first one that loads and parses
  * Validates that required columns are present in each file
- * @returns {Promise<{teams: Array, results: Array}>} Parsed team and result data
- * @throws {Error} If files cannot be loaded or are invalid
+ * Rows skipped while parsing are returned as issues for the data issues panel
+ * @returns {Promise<{teams: Array, results: Array, comps: Array, boulders: Array, issues: Array, sources: Object, fallbackErrors: Array}>}
+ *   Parsed data, the source used for each dataset, and the errors from sources that were skipped
+ * @throws {Error} If every source fails for a dataset
  */
 async function loadAllData() {
   try {
-    // Get data source URLs from config
-    const teamsUrl = getTeamsUrl();
-    const resultsUrl = getResultsUrl();
-    
-    // Load both files concurrently
-    const [teamsText, resultsText] = await Promise.all([
-      loadCsv(teamsUrl),
-      loadCsv(resultsUrl)
-    ]);
-    
     // Define required columns for each file
     const teamsRequiredColumns = ['team_id', 'team_name', 'climber_id', 'climber_name', 'division'];
     const resultsRequiredColumns = ['comp_id', 'comp_date', 'boulder_id', 'climber_id', 
                                      'attempts_to_zone', 'attempts_to_top', 'zone_completed', 'top_completed'];
     
-    // Parse and validate teams data
-    let teams;
-    try {
-      teams = parseCsv(teamsText, teamsRequiredColumns);
-    } catch (error) {
-      throw new Error(`Error parsing teams data: ${error.message}`);
-    }
+    // Completion flags accept values like Y/N or ✓ (see CONFIG.booleanValues)
+    const resultsBooleanColumns = ['zone_completed', 'top_completed'];
     
-    // Parse and validate results data
-    let results;
-    try {
-      results = parseCsv(resultsText, resultsRequiredColumns);
-    } catch (error) {
-      throw new Error(`Error parsing results data: ${error.message}`);
+    // Shared by all datasets so an adapter can fetch a combined file once
+    const session = new Map();
+    
+    // Load all datasets concurrently (competition and boulder metadata are optional)
+    const [teamsData, resultsData, compsData, bouldersData] = await Promise.all([
+      loadDataset('teams', { requiredColumns: teamsRequiredColumns }, session),
+      loadDataset('results', { requiredColumns: resultsRequiredColumns, booleanColumns: resultsBooleanColumns }, session),
+      loadDataset('comps', { requiredColumns: ['comp_id'], optional: true }, session),
+      loadDataset('boulders', { requiredColumns: ['comp_id', 'boulder_id'], optional: true }, session)
+    ]);
+    
+    const issues = [
+      ...teamsData.issues.map(issue => ({ sheet: 'teams', ...issue })),
+      ...resultsData.issues.map(issue => ({ sheet: 'results', ...issue })),
+      ...compsData.issues.map(issue => ({ sheet: 'comps', ...issue })),
+      ...bouldersData.issues.map(issue => ({ sheet: 'boulders', ...issue }))
+    ];
+    
+    // Optional sheets that are configured but fail are reported, not fatal
+    if (compsData.errors.length > 0 && !compsData.source) {
+      issues.push({
+        sheet: 'comps',
+        row: null,
+        message: `Competitions sheet could not be loaded; competitions are listed from results instead. ${compsData.errors.join(' ')}`
+      });
+    }
+    if (bouldersData.errors.length > 0 && !bouldersData.source) {
+      issues.push({
+        sheet: 'boulders',
+        row: null,
+        message: `Boulders sheet could not be loaded; default points are used for every boulder. ${bouldersData.errors.join(' ')}`
+      });
     }
     
-    return { teams, results };
+    return {
+      teams: teamsData.rows,
+      results: resultsData.rows,
+      comps: compsData.rows,
+      boulders: bouldersData.rows,
+      issues,
+      sources: {
+        teams: teamsData.source,
+        results: resultsData.source,
+        comps: compsData.source,
+        boulders: bouldersData.source
+      },
+      fallbackErrors: [...teamsData.errors, ...resultsData.errors]
+    };
   } catch (error) {
     console.error('Failed to load data:', error);
     throw error;
@@ -348,1729 +873,5131 @@ async function loadAllData() {
 }
 
 /**
- * Parse CSV text into an array of objects
- * Handles quoted fields, trims whitespace, and validates column counts
- * @param {string} csvText - Raw CSV text content
- * @param {Array<string>} requiredColumns - Array of column names that must be present
- * @returns {Array<Object>} Array of objects where keys are column headers
- * @throws {Error} If CSV is empty, malformed, or missing required columns
+ * Load and normalize one dataset from the first of its configured sources that works
+ * CSV text is parsed with parseCsv and row objects with normalizeRows, so every adapter
+ * produces the same rows: headers mapped through CONFIG.columnMap, values as trimmed strings,
+ * and boolean columns normalized to '1'/'0'
+ * @param {string} dataset - 'teams', 'results', 'comps' or 'boulders'
+ * @param {Object} options - Dataset options
+ * @param {Array<string>} options.requiredColumns - Array of column names that must be present
+ * @param {Array<string>} options.booleanColumns - Columns whose values are normalized with normalizeBoolean
+ * @param {boolean} options.optional - If true, a missing or failing dataset gives empty rows instead of an error
+ * @param {Map} session - Per-load scratch space handed to adapters
+ * @returns {Promise<{rows: Array, issues: Array, source: string|null, errors: Array<string>}>}
+ *   Parsed rows, parse issues, the source used, and errors from sources tried before it
+ * @throws {Error} Listing the failure of every source if none works (unless optional)
  */
-function parseCsv(csvText, requiredColumns) {
-  // Validate input
-  if (!csvText || csvText.trim().length === 0) {
-    throw new Error('Empty CSV file');
-  }
-  
-  // Split into lines and remove empty lines
-  const lines = csvText.trim().split('\n').filter(line => line.trim().length > 0);
+async function loadDataset(dataset, { requiredColumns, booleanColumns = [], optional = false }, session = new Map()) {
+  const errors = [];
+  let lastError = null;
   
-  if (lines.length === 0) {
-    throw new Error('Empty CSV file');
+  for (const source of getDataSources(dataset)) {
+    try {
+      const adapter = getDataSourceAdapter(source);
+      
+      let raw;
+      try {
+        raw = await adapter.load(dataset, session);
+      } catch (error) {
+        // HTTP errors already name the URL; network failures get the adapter's explanation
+        if (error.status !== undefined || !adapter.formatError) {
+          throw error;
+        }
+        throw new Error(adapter.formatError(error, dataset));
+      }
+      
+      // This source has nothing configured for the dataset
+      if (raw === null) continue;
+      
+      // JSON text is parsed here, outside the adapter's error handling above, so invalid
+      // JSON is reported as a parse error rather than as an unreachable source
+      let jsonRows = raw.rows;
+      if (raw.json !== undefined) {
+        try {
+          jsonRows = parseJsonRows(raw.json, dataset);
+        } catch (error) {
+          throw new Error(`Error parsing ${dataset} data: ${error.message}`);
+        }
+        if (jsonRows === null) continue;
+      }
+      
+      const issues = [];
+      let rows;
+      try {
+        rows = jsonRows
+          ? normalizeRows(jsonRows, requiredColumns, CONFIG.columnMap?.[dataset])
+          : parseCsv(raw.csv, requiredColumns, issues, CONFIG.columnMap?.[dataset]);
+      } catch (error) {
+        throw new Error(`Error parsing ${dataset} data: ${error.message}`);
+      }
+      
+      rows.forEach(row => {
+        booleanColumns.forEach(column => {
+          row[column] = normalizeBoolean(row[column]);
+        });
+      });
+      
+      if (errors.length > 0) {
+        console.warn(`Loaded ${dataset} data from fallback source ${describeSource(source, dataset)}`);
+      }
+      return { rows, issues, source, errors };
+    } catch (error) {
+      lastError = error;
+      errors.push(`${capitalize(dataset)} from ${describeSource(source, dataset)}: ${error.message}`);
+    }
   }
   
-  // Parse header row
-  const headerLine = lines[0];
-  const headers = parseCSVLine(headerLine).map(h => h.trim());
-  
-  if (headers.length === 0) {
-    throw new Error('CSV file has no columns');
+  if (optional) {
+    return { rows: [], issues: [], source: null, errors };
   }
-  
-  // Validate required columns are present
-  const missing = requiredColumns.filter(col => !headers.includes(col));
-  if (missing.length > 0) {
-    throw new Error(`Missing required columns: ${missing.join(', ')}`);
+  if (errors.length === 0) {
+    throw new Error(`No data source is configured for ${dataset} data`);
   }
   
-  // Parse data rows
-  const rows = [];
-  for (let i = 1; i < lines.length; i++) {
-    const line = lines[i].trim();
-    if (line.length === 0) continue; // Skip empty lines
-    
-    const values = parseCSVLine(line).map(v => v.trim());
-    
-    // Validate column count matches header count
-    if (values.length !== headers.length) {
-      console.warn(`Row ${i + 1} has ${values.length} columns but expected ${headers.length}. Skipping row.`);
-      continue;
-    }
-    
-    // Create object mapping headers to values
-    const row = {};
-    headers.forEach((header, index) => {
-      row[header] = values[index];
-    });
-    
-    rows.push(row);
+  // A single source keeps its original error; several are listed in the order tried
+  if (errors.length === 1) {
+    throw lastError;
   }
-  
-  return rows;
+  throw new Error(`All sources failed for ${dataset} data:\n\n${errors.join('\n\n')}`);
 }
 
 /**
- * Parse a single CSV line, handling quoted fields that may contain commas
- * @param {string} line - A single line from CSV file
- * @returns {Array<string>} Array of field values
+ * Get the ordered list of sources to try for a dataset
+ * Uses CONFIG.sources if present, otherwise just CONFIG.dataSource
+ * @param {string} dataset - 'teams', 'results', 'comps' or 'boulders'
+ * @returns {Array<string>} Source names, e.g. ['google-sheets', 'local']
  */
-function parseCSVLine(line) {
-  const result = [];
-  let current = '';
-  let inQuotes = false;
-  
-  for (let i = 0; i < line.length; i++) {
-    const char = line[i];
-    const nextChar = line[i + 1];
-    
-    if (char === '"') {
-      if (inQuotes && nextChar === '"') {
-        // Escaped quote (two quotes in a row)
-        current += '"';
-        i++; // Skip next quote
-      } else {
-        // Toggle quote state
-        inQuotes = !inQuotes;
-      }
-    } else if (char === ',' && !inQuotes) {
-      // Field separator (not inside quotes)
-      result.push(current);
-      current = '';
-    } else {
-      // Regular character
-      current += char;
-    }
-  }
-  
-  // Add the last field
-  result.push(current);
-  
-  return result;
+function getDataSources(dataset) {
+  const sources = CONFIG.sources?.[dataset];
+  return Array.isArray(sources) && sources.length > 0 ? sources : [CONFIG.dataSource];
 }
 
-// ============================================
-// Scoring and Aggregation Functions
-// ============================================
+/**
+ * Describe a data source for display, as supplied by its adapter
+ * @param {string} source - Adapter name (e.g. 'google-sheets' or 'local')
+ * @param {string} dataset - 'teams' or 'results'
+ * @returns {string} Human-readable source name (e.g. 'Google Sheets' or 'teams.csv')
+ */
+function describeSource(source, dataset) {
+  const adapter = dataSourceAdapters.get(source);
+  return adapter ? adapter.describe(dataset) : source;
+}
 
 /**
- * Calculate points for a single result
- * Points are awarded as: 50 for zone completion + 50 for top completion
- * @param {Object} result - Result object with zone_completed and top_completed properties
- * @returns {number} Total points (0, 50, or 100)
+ * Capitalize the first letter of a string
+ * @param {string} text - Text to capitalize
+ * @returns {string} Text with an uppercase first letter
  */
-function computePoints(result) {
-  const zonePoints = result.zone_completed == 1 ? 50 : 0;
-  const topPoints = result.top_completed == 1 ? 50 : 0;
-  return zonePoints + topPoints;
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
 }
 
 /**
- * Aggregate climber statistics from teams and results data
- * Calculates total points and attempts per climber, optionally filtered by competition
- * Includes all registered climbers, even those with no results (they will have 0 points and 0 attempts)
- * @param {Array} teams - Array of team data objects from teams.csv
- * @param {Array} results - Array of result objects from results.csv
- * @param {string|null} filterCompId - Optional competition ID to filter by ('1', '2', '3', '4', or null for all)
- * @returns {Map<string, Object>} Map of climber_id to ClimberStats objects
+ * Normalize row objects from a JSON source into the same shape parseCsv produces
+ * Keys are mapped through the column map and values become trimmed strings
+ * Each row's _rowNumber is its 1-based position in the source array
+ * @param {Array<Object>} rows - Row objects from an adapter
+ * @param {Array<string>} requiredColumns - Array of column names that must be present
+ * @param {Object|null} columnMap - Optional map of field name to aliases (see CONFIG.columnMap)
+ * @returns {Array<Object>} Normalized rows
+ * @throws {Error} If a row is not an object or required columns are missing
  */
-function aggregateClimberStats(teams, results, filterCompId = null) {
-  // Create a map of climber_id to climber info from teams data
-  const climberInfo = new Map();
-  
-  teams.forEach(teamRow => {
-    if (!climberInfo.has(teamRow.climber_id)) {
-      climberInfo.set(teamRow.climber_id, {
-        climber_id: teamRow.climber_id,
-        climber_name: teamRow.climber_name,
-        team_id: teamRow.team_id,
-        team_name: teamRow.team_name,
-        division: teamRow.division
-      });
+function normalizeRows(rows, requiredColumns, columnMap = null) {
+  const normalized = rows.map((source, index) => {
+    if (!source || typeof source !== 'object') {
+      throw new Error(`Item ${index + 1} is not an object`);
     }
+    
+    const row = {};
+    Object.entries(source).forEach(([key, value]) => {
+      const field = resolveHeader(key.trim(), columnMap);
+      if (!(field in row)) {
+        row[field] = value === null || value === undefined ? '' : String(value).trim();
+      }
+    });
+    Object.defineProperty(row, '_rowNumber', { value: index + 1, enumerable: false });
+    return row;
   });
   
-  // Initialize climber stats for ALL registered climbers (even those with no results)
-  const climberStats = new Map();
-  climberInfo.forEach((info, climberId) => {
-    climberStats.set(climberId, {
-      climber_id: info.climber_id,
-      climber_name: info.climber_name,
-      team_id: info.team_id,
-      team_name: info.team_name,
-      division: info.division,
-      total_points: 0,
-      total_attempts: 0,
-      comp_breakdown: new Map()
+  // Validate required columns are present
+  if (normalized.length > 0) {
+    const columns = new Set(normalized.flatMap(row => Object.keys(row)));
+    const missing = requiredColumns.filter(col => !columns.has(col));
+    if (missing.length > 0) {
+      throw new Error(`Missing required columns: ${missing.join(', ')}`);
+    }
+    
+    // Rows that leave out a column get an empty value, like a blank CSV cell
+    normalized.forEach(row => {
+      requiredColumns.forEach(col => {
+        if (!(col in row)) row[col] = '';
+      });
     });
+  }
+  
+  return normalized;
+}
+
+/**
+ * Parse CSV text into an array of objects
+ * Follows RFC 4180: quoted fields may contain commas, escaped quotes and line breaks,
+ * and LF, CRLF or CR line endings are all accepted. A leading UTF-8 BOM is ignored.
+ * Trims whitespace and validates column counts
+ * Each row carries its sheet row number (header is row 1) in a non-enumerable _rowNumber property
+ * Rows with a stray quote (e.g. 5'10" typed into an unquoted cell) are skipped and reported with their line and column
+ * @param {string} csvText - Raw CSV text content
+ * @param {Array<string>} requiredColumns - Array of column names that must be present
+ * @param {Array<Object>|null} issues - Optional array that receives {row, message} for skipped rows
+ * @param {Object|null} columnMap - Optional map of field name to header aliases (see CONFIG.columnMap)
+ * @returns {Array<Object>} Array of objects where keys are column headers (or mapped field names)
+ * @throws {Error} If CSV is empty, has a malformed header or unclosed quote, or is missing required columns
+ */
+function parseCsv(csvText, requiredColumns, issues = null, columnMap = null) {
+  // Validate input
+  if (!csvText || csvText.replace(/^\uFEFF/, '').trim().length === 0) {
+    throw new Error('Empty CSV file');
+  }
+  
+  // Read records, skipping blank lines but still counting them as sheet rows
+  const records = [];
+  let rowNumber = 0;
+  for (const record of readCsvRecords(csvText)) {
+    rowNumber++;
+    if (record.fields.length === 1 && record.fields[0].trim().length === 0) continue;
+    records.push({ ...record, rowNumber });
+  }
+  
+  if (records.length === 0) {
+    throw new Error('Empty CSV file');
+  }
+  
+  if (records[0].error) {
+    throw new Error(records[0].error);
+  }
+  
+  // Parse header row, mapping aliases to field names (first match wins)
+  const headers = [];
+  records[0].fields.forEach(h => {
+    const field = resolveHeader(h.trim(), columnMap);
+    headers.push(headers.includes(field) ? h.trim() : field);
   });
   
-  // Filter results if a competition filter is specified
-  const filteredResults = filterCompId 
-    ? results.filter(r => r.comp_id === filterCompId)
-    : results;
+  if (headers.length === 0) {
+    throw new Error('CSV file has no columns');
+  }
   
-  // Aggregate statistics for each climber from their results
-  filteredResults.forEach(result => {
-    const climberId = result.climber_id;
+  // Validate required columns are present
+  const missing = requiredColumns.filter(col => !headers.includes(col));
+  if (missing.length > 0) {
+    const hint = columnMap ? ' (rename the header or add it as an alias in CONFIG.columnMap)' : '';
+    throw new Error(`Missing required columns: ${missing.join(', ')}${hint}`);
+  }
+  
+  // Parse data rows
+  const rows = [];
+  for (let i = 1; i < records.length; i++) {
+    const { fields, line, rowNumber, error } = records[i];
+    const values = fields.map(v => v.trim());
     
-    // Skip if climber not found in teams data
-    if (!climberStats.has(climberId)) {
-      console.warn(`Climber ${climberId} in results but not found in teams data`);
-      return;
+    if (error) {
+      const message = `${error}; row skipped`;
+      if (issues) {
+        issues.push({ row: rowNumber, message });
+      } else {
+        console.warn(`Row ${rowNumber}: ${message}`);
+      }
+      continue;
     }
     
-    const stats = climberStats.get(climberId);
-    
-    // Calculate points and attempts for this result
-    const points = computePoints(result);
-    const attempts = parseInt(result.attempts_to_zone || 0) + parseInt(result.attempts_to_top || 0);
+    // Validate column count matches header count
+    if (values.length !== headers.length) {
+      const message = `Has ${values.length} columns but expected ${headers.length}; row skipped`;
+      if (issues) {
+        issues.push({ row: rowNumber, message });
+      } else {
+        console.warn(`Row ${rowNumber} (line ${line}): ${message}`);
+      }
+      continue;
+    }
     
-    // Update totals
-    stats.total_points += points;
-    stats.total_attempts += attempts;
+    // Create object mapping headers to values
+    const row = {};
+    headers.forEach((header, index) => {
+      row[header] = values[index];
+    });
+    Object.defineProperty(row, '_rowNumber', { value: rowNumber, enumerable: false });
     
-    // Update competition breakdown
-    const compId = result.comp_id;
-    if (!stats.comp_breakdown.has(compId)) {
-      stats.comp_breakdown.set(compId, { points: 0, attempts: 0 });
-    }
-    const compStats = stats.comp_breakdown.get(compId);
-    compStats.points += points;
-    compStats.attempts += attempts;
-  });
+    rows.push(row);
+  }
   
-  return climberStats;
+  return rows;
 }
 
 /**
- * Aggregate team statistics from climber statistics
- * Sums points and attempts for all climbers on each team
- * @param {Map<string, Object>} climberStats - Map of climber statistics from aggregateClimberStats
- * @param {Array} teams - Array of team data objects from teams.csv
- * @returns {Map<string, Object>} Map of team_id to TeamStats objects
+ * Map a CSV header to its field name using configured aliases
+ * Matching ignores case and whitespace
+ * @param {string} header - Header text from the CSV file
+ * @param {Object|null} columnMap - Map of field name to array of aliases
+ * @returns {string} Field name, or the header unchanged if nothing matches
  */
-function aggregateTeamStats(climberStats, teams) {
-  const teamStats = new Map();
+function resolveHeader(header, columnMap) {
+  if (!columnMap) return header;
   
-  // Initialize team info from teams data
-  teams.forEach(teamRow => {
-    if (!teamStats.has(teamRow.team_id)) {
-      teamStats.set(teamRow.team_id, {
-        team_id: teamRow.team_id,
-        team_name: teamRow.team_name,
-        total_points: 0,
-        total_attempts: 0,
-        climbers: []
-      });
-    }
-    
-    const team = teamStats.get(teamRow.team_id);
-    if (!team.climbers.includes(teamRow.climber_id)) {
-      team.climbers.push(teamRow.climber_id);
-    }
-  });
+  const normalize = text => String(text).toLowerCase().replace(/\s+/g, '');
+  const key = normalize(header);
   
-  // Aggregate climber stats into team stats
-  climberStats.forEach((stats, climberId) => {
-    const teamId = stats.team_id;
-    
-    if (teamStats.has(teamId)) {
-      const team = teamStats.get(teamId);
-      team.total_points += stats.total_points;
-      team.total_attempts += stats.total_attempts;
+  for (const [field, aliases] of Object.entries(columnMap)) {
+    if (normalize(field) === key || (aliases || []).some(alias => normalize(alias) === key)) {
+      return field;
     }
-  });
+  }
+  return header;
+}
+
+/**
+ * Normalize a yes/no style value to '1' or '0' using CONFIG.booleanValues
+ * @param {string} value - Raw cell value (e.g. 'Y', 'yes', 'TRUE', '✓')
+ * @returns {string} '1', '0', or the original value if it is not recognized
+ */
+function normalizeBoolean(value) {
+  const { true: trueValues = [], false: falseValues = [] } = CONFIG.booleanValues || {};
+  const key = String(value ?? '').trim().toLowerCase();
   
-  return teamStats;
+  if (trueValues.some(v => v.toLowerCase() === key)) return '1';
+  if (falseValues.some(v => v.toLowerCase() === key)) return '0';
+  return value;
 }
 
 /**
- * Aggregate division statistics by grouping climbers by division
- * Creates separate arrays of climbers for each division
- * @param {Map<string, Object>} climberStats - Map of climber statistics from aggregateClimberStats
- * @param {Array} teams - Array of team data objects from teams.csv
- * @returns {Map<string, Array>} Map of division name to array of ClimberStats objects
+ * Read CSV text one record at a time, character by character
+ * Line breaks inside quoted fields are kept as '\n' and do not end the record
+ * A record with a stray quote is yielded with no fields and an error naming the line and column of
+ * the first one; the stray character is read as text, so quoted fields later in the record still
+ * keep their line breaks and reading carries on with the next record
+ * @param {string} csvText - Raw CSV text content
+ * @yields {{fields: Array<string>, line: number, error: (string|undefined)}} Field values and the 1-based line the record starts on
+ * @throws {Error} With the line and column of an unterminated quote (the rest of the text can't be split into records)
  */
-function aggregateDivisionStats(climberStats, teams) {
-  const divisionStats = new Map();
+function* readCsvRecords(csvText) {
+  const length = csvText.length;
+  let i = csvText.charCodeAt(0) === 0xFEFF ? 1 : 0; // Skip UTF-8 BOM
+  let line = 1;
+  let column = 1;
   
-  // Initialize divisions
-  divisionStats.set('Beginner', []);
-  divisionStats.set('Intermediate', []);
-  divisionStats.set('Advanced', []);
+  let fields = [];
+  let field = '';
+  let recordLine = 1;
+  let inQuotes = false;
+  let afterQuote = false; // Closing quote seen, only a separator or line break may follow
+  let quoteLine = 0;
+  let quoteColumn = 0;
+  let recordError; // First stray quote in the current record
   
-  // Group climbers by division
-  climberStats.forEach((stats, climberId) => {
-    const division = stats.division;
+  while (i < length) {
+    const char = csvText[i];
+    
+    if (inQuotes) {
+      if (char === '"') {
+        if (csvText[i + 1] === '"') {
+          // Escaped quote (two quotes in a row)
+          field += '"';
+          i += 2;
+          column += 2;
+        } else {
+          inQuotes = false;
+          afterQuote = true;
+          i++;
+          column++;
+        }
+      } else if (char === '\r' || char === '\n') {
+        // Line break inside a quoted field is part of the value
+        i += (char === '\r' && csvText[i + 1] === '\n') ? 2 : 1;
+        field += '\n';
+        line++;
+        column = 1;
+      } else {
+        field += char;
+        i++;
+        column++;
+      }
+      continue;
+    }
     
-    if (divisionStats.has(division)) {
-      divisionStats.get(division).push(stats);
+    if (char === ',') {
+      // Field separator (not inside quotes)
+      fields.push(field);
+      field = '';
+      afterQuote = false;
+      i++;
+      column++;
+    } else if (char === '\r' || char === '\n') {
+      // End of record (LF, CRLF or CR)
+      i += (char === '\r' && csvText[i + 1] === '\n') ? 2 : 1;
+      fields.push(field);
+      yield recordError ? { fields: [], line: recordLine, error: recordError } : { fields, line: recordLine };
+      
+      fields = [];
+      field = '';
+      afterQuote = false;
+      recordError = undefined;
+      line++;
+      column = 1;
+      recordLine = line;
+    } else if (char === '"' && !afterQuote && field.trim().length === 0) {
+      // Opening quote (leading whitespace before it is dropped)
+      inQuotes = true;
+      quoteLine = line;
+      quoteColumn = column;
+      field = '';
+      i++;
+      column++;
+    } else if (char === '"' || (afterQuote && char !== ' ' && char !== '\t')) {
+      // Stray quote: the record can't be split reliably, so it is skipped once it ends
+      if (!recordError) {
+        const problem = char === '"' ? 'unexpected quote in unquoted field' : 'unexpected character after closing quote';
+        recordError = `Malformed CSV at line ${line}, column ${column}: ${problem}`;
+      }
+      field += char;
+      i++;
+      column++;
     } else {
-      console.warn(`Unknown division: ${division} for climber ${climberId}`);
+      // Regular character
+      field += char;
+      i++;
+      column++;
     }
-  });
+  }
   
-  return divisionStats;
+  if (inQuotes) {
+    throw new Error(`Malformed CSV at line ${quoteLine}, column ${quoteColumn}: quoted field is never closed`);
+  }
+  
+  // Last record when the text does not end with a line break
+  if (fields.length > 0 || field.length > 0 || afterQuote) {
+    fields.push(field);
+    yield recordError ? { fields: [], line: recordLine, error: recordError } : { fields, line: recordLine };
+  }
 }
 
+// ============================================
+// Auto Refresh Functions
+// ============================================
+
 /**
- * Filter results by competition ID
- * Supports "all" option to return unfiltered results
- * @param {Array} results - Array of result objects from results.csv
- * @param {string} compId - Competition ID ('all', '1', '2', '3', or '4')
- * @returns {Array} Filtered array of results
+ * Shortest allowed auto-refresh interval, so a typo can't hammer the data sources
  */
-function filterByComp(results, compId) {
-  // If "all" is selected, return all results unfiltered
-  if (compId === 'all') {
-    return results;
+const MIN_AUTO_REFRESH_SECONDS = 10;
+
+/**
+ * True while a background reload is running, so slow sources never stack up requests
+ */
+let autoRefreshInFlight = false;
+
+/**
+ * Start polling the data sources if CONFIG.autoRefresh is enabled
+ * Polls are skipped while the page is in a background tab
+ */
+function startAutoRefresh() {
+  const { enabled = false, intervalSeconds = 30 } = CONFIG.autoRefresh || {};
+  if (!enabled) return;
+  
+  const intervalMs = Math.max(Number(intervalSeconds) || 0, MIN_AUTO_REFRESH_SECONDS) * 1000;
+  setInterval(() => {
+    if (document.hidden) return;
+    AppState.pollForUpdates();
+  }, intervalMs);
+  
+  console.log(`Auto-refresh enabled every ${intervalMs / 1000}s`);
+}
+
+/**
+ * Hash the rows of a loaded dataset to detect whether anything changed
+ * Uses 32-bit FNV-1a over the JSON of teams, results, comps and boulders
+ * @param {Object} data - Data returned by loadAllData or loadCachedData
+ * @returns {string} Hex hash
+ */
+function hashData(data) {
+  const text = JSON.stringify([data.teams, data.results, data.comps || [], data.boulders || []]);
+  let hash = 0x811c9dc5;
+  
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
   }
   
-  // Filter results to only those matching the specified competition ID
-  return results.filter(result => result.comp_id === compId);
+  return hash.toString(16);
 }
 
 /**
- * Compute fun statistics from results and aggregated data
- * Calculates most attempts by team, most/least attempts by boulder, and Try Hard Award
- * @param {Array} results - Array of result objects (filtered by competition if applicable)
- * @param {Map<string, Object>} climberStats - Map of climber statistics
- * @param {Map<string, Object>} teamStats - Map of team statistics
- * @param {string} filterCompId - Current competition filter ('all', '1', '2', '3', or '4')
- * @returns {Object} FunStats object with most_attempts_team, most_attempts_boulder, least_attempts_boulder, try_hard_award
+ * Format how long ago a timestamp was, e.g. "42s ago" or "5m ago"
+ * @param {number} timestamp - Time in ms since epoch
+ * @param {number} now - Current time in ms since epoch
+ * @returns {string} Relative time
  */
-function computeFunStats(results, climberStats, teamStats, filterCompId = 'all') {
-  const funStats = {
-    total_attempts: 0,
-    most_attempts_team: null,
-    most_attempts_boulder: null,
-    least_attempts_boulder: null,
-    try_hard_award: null,
-    flash_master: null,
-    efficiency_king: null,
-    perfect_score: null,
-    zone_hero: null,
-    send_rate_king: null
-  };
+function formatTimeAgo(timestamp, now = Date.now()) {
+  const seconds = Math.max(0, Math.floor((now - timestamp) / 1000));
   
-  // Calculate total attempts across everyone
-  if (results.length > 0) {
-    let totalAttempts = 0;
-    results.forEach(result => {
-      const attempts = parseInt(result.attempts_to_zone || 0) + parseInt(result.attempts_to_top || 0);
-      totalAttempts += attempts;
-    });
-    funStats.total_attempts = totalAttempts;
+  if (seconds < 60) return `${seconds}s ago`;
+  if (seconds < 3600) return `${Math.floor(seconds / 60)}m ago`;
+  if (seconds < 86400) return `${Math.floor(seconds / 3600)}h ago`;
+  return `${Math.floor(seconds / 86400)}d ago`;
+}
+
+/**
+ * Update the "Last updated" indicator next to the reload button
+ */
+function renderLastUpdated() {
+  const indicator = document.getElementById('last-updated');
+  if (!indicator) return;
+  
+  if (!AppState.lastUpdated) {
+    indicator.textContent = '';
+    return;
   }
   
-  // Calculate most attempts by team
-  if (teamStats.size > 0) {
-    let maxAttempts = -1;
-    let maxTeam = null;
-    
-    teamStats.forEach((team) => {
-      if (team.total_attempts > maxAttempts) {
-        maxAttempts = team.total_attempts;
-        maxTeam = team;
-      }
-    });
-    
-    if (maxTeam) {
-      funStats.most_attempts_team = {
-        team_name: maxTeam.team_name,
-        attempts: maxTeam.total_attempts
-      };
-    }
+  indicator.textContent = `Last updated ${formatTimeAgo(AppState.lastUpdated)}`;
+  indicator.title = new Date(AppState.lastUpdated).toLocaleString();
+}
+
+// ============================================
+// Offline Cache Functions
+// ============================================
+
+/**
+ * Save successfully loaded data to localStorage for use when a later load fails
+ * Row numbers are stored alongside each row so the data issues panel still works offline
+ * @param {Object} data - Data returned by loadAllData
+ */
+function saveCachedData(data) {
+  if (!CONFIG.offlineCache?.enabled) return;
+  
+  const withRowNumbers = rows => rows.map(row => ({ ...row, _rowNumber: row._rowNumber }));
+  
+  try {
+    localStorage.setItem(CONFIG.offlineCache.storageKey, JSON.stringify({
+      savedAt: Date.now(),
+      teams: withRowNumbers(data.teams),
+      results: withRowNumbers(data.results),
+      comps: withRowNumbers(data.comps || []),
+      boulders: withRowNumbers(data.boulders || []),
+      issues: data.issues
+    }));
+  } catch (error) {
+    // Storage can be full or disabled (e.g. private browsing); caching is best-effort
+    console.warn('Unable to save offline cache:', error);
   }
+}
+
+/**
+ * Load the last successfully loaded data from localStorage
+ * @returns {{teams: Array, results: Array, comps: Array, boulders: Array, issues: Array, savedAt: number}|null}
+ *   Cached data, or null if none
+ */
+function loadCachedData() {
+  if (!CONFIG.offlineCache?.enabled) return null;
   
-  // Calculate most attempts by boulder and least attempts by boulder
-  if (results.length > 0) {
-    // Aggregate attempts per boulder
-    const boulderAttempts = new Map();
+  const restoreRowNumbers = rows => rows.map(({ _rowNumber, ...row }) => {
+    Object.defineProperty(row, '_rowNumber', { value: _rowNumber ?? null, enumerable: false });
+    return row;
+  });
+  
+  try {
+    const stored = localStorage.getItem(CONFIG.offlineCache.storageKey);
+    if (!stored) return null;
     
-    results.forEach(result => {
-      const key = `${result.comp_id}:${result.boulder_id}`;
-      const attempts = parseInt(result.attempts_to_zone || 0) + parseInt(result.attempts_to_top || 0);
-      
-      if (!boulderAttempts.has(key)) {
-        boulderAttempts.set(key, {
-          comp_id: result.comp_id,
-          boulder_id: result.boulder_id,
-          attempts: 0
-        });
-      }
-      
-      const boulderData = boulderAttempts.get(key);
-      boulderData.attempts += attempts;
-    });
+    const cached = JSON.parse(stored);
+    if (!Array.isArray(cached.teams) || !Array.isArray(cached.results)) return null;
     
-    // Find most attempts boulder
-    let maxBoulderAttempts = -1;
-    let maxBoulder = null;
+    return {
+      savedAt: cached.savedAt,
+      teams: restoreRowNumbers(cached.teams),
+      results: restoreRowNumbers(cached.results),
+      comps: restoreRowNumbers(cached.comps || []),
+      boulders: restoreRowNumbers(cached.boulders || []),
+      issues: cached.issues || []
+    };
+  } catch (error) {
+    console.warn('Unable to read offline cache:', error);
+    return null;
+  }
+}
+
+// ============================================
+// Data Validation Functions
+// ============================================
+
+/**
+ * Check loaded teams and results rows for problems organizers should fix in the sheets
+ * Nothing is removed from the data; the issues are only reported
+ * @param {Array} teams - Array of team data objects from teams.csv
+ * @param {Array} results - Array of result objects from results.csv
+ * @param {Array} comps - Array of competition objects from comps.csv (optional)
+ * @param {Array} boulders - Array of boulder objects from boulders.csv (optional)
+ * @returns {Array<Object>} Issues as {sheet, row: number|null, message: string}
+ */
+function validateData(teams, results, comps = [], boulders = []) {
+  const issues = [];
+  const report = (sheet, rowData, message) => {
+    issues.push({ sheet, row: rowData._rowNumber ?? null, message });
+  };
+  
+  // Teams checks
+  const configuredDivisions = Array.isArray(CONFIG.divisions)
+    ? CONFIG.divisions.map(division => String(division.name || '').trim())
+    : [];
+  const seenClimbers = new Set();
+  const rosterHistory = new Map();
+  
+  teams.forEach(teamRow => {
+    if (!teamRow.team_id) report('teams', teamRow, 'Missing team_id');
+    if (!teamRow.climber_id) {
+      report('teams', teamRow, 'Missing climber_id');
+      return;
+    }
     
-    boulderAttempts.forEach((boulder) => {
-      if (boulder.attempts > maxBoulderAttempts) {
-        maxBoulderAttempts = boulder.attempts;
-        maxBoulder = boulder;
+    ['effective_from', 'effective_to'].forEach(column => {
+      if (teamRow[column] && !isValidDate(teamRow[column])) {
+        report('teams', teamRow, `Invalid ${column} "${teamRow[column]}" (expected YYYY-MM-DD)`);
       }
     });
-    
-    if (maxBoulder) {
-      funStats.most_attempts_boulder = {
-        boulder_id: maxBoulder.boulder_id,
-        comp_id: maxBoulder.comp_id,
-        attempts: maxBoulder.attempts
-      };
+    if (teamRow.effective_from && teamRow.effective_to && teamRow.effective_from > teamRow.effective_to) {
+      report('teams', teamRow, `effective_from ${teamRow.effective_from} is after effective_to ${teamRow.effective_to}`);
     }
     
-    // Find least attempts boulder (excluding zero)
-    let minBoulderAttempts = Infinity;
-    let minBoulder = null;
-    
-    boulderAttempts.forEach((boulder) => {
-      if (boulder.attempts > 0 && boulder.attempts < minBoulderAttempts) {
-        minBoulderAttempts = boulder.attempts;
-        minBoulder = boulder;
-      }
-    });
+    // A climber may have several rows (team or division changes) as long as their periods don't overlap
+    const earlierRows = rosterHistory.get(teamRow.climber_id) || [];
+    const overlapping = earlierRows.find(other =>
+      (other.effective_from || '') <= (teamRow.effective_to || '9999-12-31') &&
+      (teamRow.effective_from || '') <= (other.effective_to || '9999-12-31')
+    );
+    if (overlapping && !overlapping.effective_from && !overlapping.effective_to &&
+        !teamRow.effective_from && !teamRow.effective_to) {
+      report('teams', teamRow, `Duplicate climber_id ${teamRow.climber_id}; only the first row is used`);
+    } else if (overlapping) {
+      report('teams', teamRow, `Roster dates for climber ${teamRow.climber_id} overlap row ${overlapping._rowNumber ?? '?'}; the earlier row is used where they overlap`);
+    }
+    rosterHistory.set(teamRow.climber_id, [...earlierRows, teamRow]);
+    seenClimbers.add(teamRow.climber_id);
     
-    if (minBoulder) {
-      funStats.least_attempts_boulder = {
-        boulder_id: minBoulder.boulder_id,
-        comp_id: minBoulder.comp_id,
-        attempts: minBoulder.attempts
-      };
+    if (!teamRow.division) {
+      report('teams', teamRow, `Missing division for climber ${teamRow.climber_id}; climber left out of division leaderboards`);
+    } else if (configuredDivisions.length > 0 && !configuredDivisions.includes(teamRow.division)) {
+      report('teams', teamRow, `Division "${teamRow.division}" for climber ${teamRow.climber_id} is not in CONFIG.divisions; it is shown after the configured divisions`);
     }
-  }
+  });
   
-  // Calculate Try Hard Award (most attempts with at least one top, tie-breaker: most tops)
-  if (climberStats.size > 0) {
-    const candidates = [];
+  // Results checks
+  const seenResults = new Set();
+  const compDates = new Map();
+  
+  results.forEach(result => {
+    if (!seenClimbers.has(result.climber_id)) {
+      report('results', result, `Unknown climber_id ${result.climber_id}; result ignored`);
+    } else if (isValidDate(result.comp_date) && !getRosterEntry(rosterHistory.get(result.climber_id), result.comp_date)) {
+      report('results', result, `Climber ${result.climber_id} was not on the roster on ${result.comp_date}; result credited to their current team and division`);
+    }
     
-    climberStats.forEach((climber) => {
-      // Check if climber has at least one top
-      const climberResults = results.filter(r => r.climber_id === climber.climber_id);
-      const hasTops = climberResults.some(r => r.top_completed == 1);
-      const topCount = climberResults.filter(r => r.top_completed == 1).length;
-      
-      if (hasTops) {
-        candidates.push({
-          climber_name: climber.climber_name,
-          attempts: climber.total_attempts,
-          tops: topCount
-        });
+    // Attempts must be whole numbers (blank counts as 0)
+    ['attempts_to_zone', 'attempts_to_top'].forEach(column => {
+      const value = result[column];
+      if (value !== '' && value !== undefined && !/^\d+$/.test(value)) {
+        report('results', result, `${column} "${value}" is not a whole number`);
       }
     });
     
-    if (candidates.length > 0) {
-      // Sort by attempts (most first), then by tops (most first) for tie-breaker
-      candidates.sort((a, b) => {
-        if (a.attempts !== b.attempts) {
-          return b.attempts - a.attempts; // Most attempts first
-        }
-        return b.tops - a.tops; // Most tops as tie-breaker
-      });
-      
-      // Check for tie (same attempts AND same tops)
-      const maxAttempts = candidates[0].attempts;
-      const maxTops = candidates[0].tops;
-      const winners = candidates.filter(c => c.attempts === maxAttempts && c.tops === maxTops);
-      
-      if (winners.length === 1) {
-        funStats.try_hard_award = winners[0];
-      } else {
-        // Tie - show all
-        funStats.try_hard_award = {
-          climber_name: winners.map(w => w.climber_name).join(' & '),
-          attempts: winners[0].attempts,
-          tops: winners[0].tops,
-          is_tie: true
-        };
+    // Completion flags must be 0 or 1
+    ['zone_completed', 'top_completed'].forEach(column => {
+      if (result[column] != 0 && result[column] != 1) {
+        report('results', result, `${column} "${result[column]}" should be 0 or 1`);
       }
+    });
+    
+    if (result.top_completed == 1 && result.zone_completed != 1) {
+      report('results', result, 'Top completed without zone completed');
     }
-  }
-  
-  // Calculate Flash Master (most first-attempt tops, tie-breaker: fewest total attempts)
-  if (results.length > 0 && climberStats.size > 0) {
-    const flashCounts = new Map();
     
-    results.forEach(result => {
-      if (result.top_completed == 1 && result.attempts_to_top == 1) {
-        const climberId = result.climber_id;
-        flashCounts.set(climberId, (flashCounts.get(climberId) || 0) + 1);
-      }
-    });
+    if (result.top_completed == 1 && result.attempts_to_top == 0) {
+      report('results', result, 'Top completed with attempts_to_top of 0');
+    }
     
-    // Find climbers with most flashes
-    let maxFlashes = 0;
-    flashCounts.forEach(count => {
-      if (count > maxFlashes) maxFlashes = count;
-    });
+    // Each climber should have one row per boulder per comp
+    const key = `${result.comp_id}:${result.boulder_id}:${result.climber_id}`;
+    if (seenResults.has(key)) {
+      report('results', result, `Duplicate result for climber ${result.climber_id} on boulder ${result.boulder_id} in comp ${result.comp_id}`);
+    }
+    seenResults.add(key);
     
-    if (maxFlashes > 0) {
-      // Get all climbers with max flashes
-      const candidates = [];
-      flashCounts.forEach((count, climberId) => {
-        if (count === maxFlashes) {
-          const climber = climberStats.get(climberId);
-          if (climber) {
-            candidates.push({
-              climber_name: climber.climber_name,
-              flashes: count,
-              attempts: climber.total_attempts
-            });
-          }
-        }
-      });
-      
-      // Sort by attempts (fewest first) for tie-breaker
-      candidates.sort((a, b) => a.attempts - b.attempts);
-      
-      // Check for tie
-      const fewestAttempts = candidates[0].attempts;
-      const winners = candidates.filter(c => c.attempts === fewestAttempts);
-      
-      if (winners.length === 1) {
-        funStats.flash_master = winners[0];
-      } else {
-        // Tie - show all
-        funStats.flash_master = {
-          climber_name: winners.map(w => w.climber_name).join(' & '),
-          flashes: winners[0].flashes,
-          attempts: winners[0].attempts,
-          is_tie: true
-        };
-      }
+    // Dates must be valid YYYY-MM-DD and agree within a comp
+    if (!isValidDate(result.comp_date)) {
+      report('results', result, `Invalid comp_date "${result.comp_date}" (expected YYYY-MM-DD)`);
+    } else if (!compDates.has(result.comp_id)) {
+      compDates.set(result.comp_id, result.comp_date);
+    } else if (compDates.get(result.comp_id) !== result.comp_date) {
+      report('results', result, `comp_date ${result.comp_date} conflicts with ${compDates.get(result.comp_id)} used elsewhere for comp ${result.comp_id}`);
     }
-  }
+  });
   
-  // Calculate Efficiency King (best points per attempt ratio, tie: show all with same ratio)
-  if (climberStats.size > 0) {
-    const candidates = [];
+  // Competitions checks
+  const seenComps = new Set();
+  const compStatuses = ['upcoming', 'live', 'final', ''];
+  
+  comps.forEach(comp => {
+    if (!comp.comp_id) {
+      report('comps', comp, 'Missing comp_id');
+      return;
+    }
     
-    climberStats.forEach((climber) => {
-      if (climber.total_attempts > 0) {
-        const ratio = climber.total_points / climber.total_attempts;
-        candidates.push({
-          climber_name: climber.climber_name,
-          ratio: ratio,
-          ratio_display: ratio.toFixed(2)
-        });
-      }
-    });
+    if (seenComps.has(comp.comp_id)) {
+      report('comps', comp, `Duplicate comp_id ${comp.comp_id}; only the first row is used`);
+    }
+    seenComps.add(comp.comp_id);
     
-    if (candidates.length > 0) {
-      // Sort by ratio (highest first)
-      candidates.sort((a, b) => b.ratio - a.ratio);
-      
-      // Get all with best ratio (accounting for floating point precision)
-      const bestRatio = candidates[0].ratio;
-      const winners = candidates.filter(c => Math.abs(c.ratio - bestRatio) < 0.001);
-      
-      if (winners.length === 1) {
-        funStats.efficiency_king = {
-          climber_name: winners[0].climber_name,
-          ratio: winners[0].ratio_display
-        };
-      } else {
-        // Tie - show all
-        funStats.efficiency_king = {
-          climber_name: winners.map(w => w.climber_name).join(' & '),
-          ratio: winners[0].ratio_display,
-          is_tie: true
-        };
-      }
+    if (comp.date && !isValidDate(comp.date)) {
+      report('comps', comp, `Invalid date "${comp.date}" (expected YYYY-MM-DD)`);
     }
-  }
+    
+    if (!compStatuses.includes(String(comp.status || '').toLowerCase())) {
+      report('comps', comp, `Unknown status "${comp.status}" (expected upcoming, live or final)`);
+    }
+  });
   
-  // Calculate Perfect Score (climber who topped all boulders in a comp)
-  if (results.length > 0 && climberStats.size > 0) {
-    // Group results by comp and climber
-    const compClimberTops = new Map();
-    const compBoulderCounts = new Map();
+  // Boulders checks
+  const seenBoulders = new Set();
+  
+  boulders.forEach(boulder => {
+    const key = `${boulder.comp_id}:${boulder.boulder_id}`;
+    if (seenBoulders.has(key)) {
+      report('boulders', boulder, `Duplicate boulder ${boulder.boulder_id} in comp ${boulder.comp_id}; only the first row is used`);
+    }
+    seenBoulders.add(key);
     
-    results.forEach(result => {
-      const compId = result.comp_id;
-      const climberId = result.climber_id;
-      const key = `${compId}:${climberId}`;
-      
-      // Count unique boulders per comp
-      if (!compBoulderCounts.has(compId)) {
-        compBoulderCounts.set(compId, new Set());
+    ['zone_points', 'top_points'].forEach(column => {
+      const value = boulder[column];
+      if (value && !/^\d+(\.\d+)?$/.test(value)) {
+        report('boulders', boulder, `${column} "${value}" is not a number; default points used`);
       }
-      compBoulderCounts.get(compId).add(result.boulder_id);
-      
-      // Count tops per climber per comp
-      if (result.top_completed == 1) {
-        if (!compClimberTops.has(key)) {
-          compClimberTops.set(key, { climberId, compId, tops: 0 });
-        }
-        compClimberTops.get(key).tops++;
+    });
+  });
+  
+  // Once a boulders sheet is in use, every result should point at a listed boulder
+  if (boulders.length > 0) {
+    const reported = new Set();
+    results.forEach(result => {
+      const key = `${result.comp_id}:${result.boulder_id}`;
+      if (!seenBoulders.has(key) && !reported.has(key)) {
+        report('results', result, `Boulder ${result.boulder_id} in comp ${result.comp_id} is not in the boulders sheet; default points used`);
+        reported.add(key);
       }
     });
-    
-    // Find climbers who topped all boulders in a single comp
-    // Group by comp to handle multiple winners in the same comp
-    const perfectScoresByComp = new Map();
-    
-    compClimberTops.forEach((data) => {
-      const totalBoulders = compBoulderCounts.get(data.compId)?.size || 0;
-      if (data.tops === totalBoulders && totalBoulders > 0) {
-        const climber = climberStats.get(data.climberId);
-        if (climber) {
-          // Calculate total attempts for this climber in this comp
-          const climberCompResults = results.filter(r => 
-            r.climber_id === data.climberId && r.comp_id === data.compId
-          );
-          const totalAttempts = climberCompResults.reduce((sum, r) => 
-            sum + parseInt(r.attempts_to_zone || 0) + parseInt(r.attempts_to_top || 0), 0
-          );
-          
-          if (!perfectScoresByComp.has(data.compId)) {
-            perfectScoresByComp.set(data.compId, []);
-          }
-          perfectScoresByComp.get(data.compId).push({
-            climber_name: climber.climber_name,
-            climber_id: data.climberId,
-            comp_id: data.compId,
-            boulders: totalBoulders,
-            attempts: totalAttempts
-          });
-        }
-      }
+  }
+  
+  return issues;
+}
+
+/**
+ * Check that a string is a real calendar date in YYYY-MM-DD format
+ * @param {string} value - Date string to check
+ * @returns {boolean} True if the date is valid
+ */
+function isValidDate(value) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || '');
+  if (!match) return false;
+  
+  const [, year, month, day] = match.map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+}
+
+// ============================================
+// Scoring and Aggregation Functions
+// ============================================
+
+/**
+ * Default scoring rules, used for any setting missing from CONFIG.scoring
+ */
+const DEFAULT_SCORING_RULES = {
+  zonePoints: 50,
+  topPoints: 50,
+  flashBonus: 0,
+  attemptPenalty: 0,
+  maxPointsPerBoulder: null,
+  countBestComps: null,
+  dropWorstComps: 0,
+  dynamic: {
+    enabled: false,
+    topPool: 1000,
+    zonePool: 500
+  }
+};
+
+/**
+ * Get the scoring rules for this season: CONFIG.scoring over the defaults
+ * @returns {Object} Scoring rules: zonePoints, topPoints, flashBonus, attemptPenalty, maxPointsPerBoulder, dynamic
+ */
+function getScoringRules() {
+  const configured = CONFIG.scoring || {};
+  return {
+    ...DEFAULT_SCORING_RULES,
+    ...configured,
+    dynamic: { ...DEFAULT_SCORING_RULES.dynamic, ...(configured.dynamic || {}) }
+  };
+}
+
+/**
+ * Compute dynamic boulder values: each boulder's top and zone are worth a fixed pool
+ * shared between everyone in the division who completed them in that comp
+ * (e.g. 1000 / 4 tops = 250 points each), rounded to whole points
+ * Climbers are placed in the division they were in at the comp_date
+ * @param {Array} results - Array of result objects (already filtered by competition)
+ * @param {Array} teams - Array of team data objects from teams.csv
+ * @param {Object} scoring - Scoring rules from getScoringRules
+ * @returns {Map<string, Object>} Map of "comp_id:boulder_id:division" to
+ *   {top_value, zone_value, tops, zones}
+ */
+function computeDynamicBoulderValues(results, teams, scoring) {
+  const rosterHistory = buildRosterHistory(teams);
+  const values = new Map();
+  
+  results.forEach(result => {
+    const entries = rosterHistory.get(result.climber_id);
+    if (!entries) return;
+    
+    const entry = getRosterEntry(entries, result.comp_date) || getCurrentRosterEntry(entries);
+    const key = `${result.comp_id}:${result.boulder_id}:${entry.division}`;
+    if (!values.has(key)) {
+      values.set(key, { top_value: 0, zone_value: 0, tops: 0, zones: 0 });
+    }
+    
+    const value = values.get(key);
+    if (result.top_completed == 1) value.tops++;
+    if (result.zone_completed == 1) value.zones++;
+  });
+  
+  // Nobody completed it yet: the whole pool is on offer
+  values.forEach(value => {
+    value.top_value = Math.round(scoring.dynamic.topPool / Math.max(value.tops, 1));
+    value.zone_value = Math.round(scoring.dynamic.zonePool / Math.max(value.zones, 1));
+  });
+  
+  return values;
+}
+
+/**
+ * Get the boulder info computePoints should use for a result
+ * With dynamic scoring the boulder's live top/zone values replace its fixed points
+ * @param {Object} result - Result object from results.csv
+ * @param {string} division - Division the climber was in for this result
+ * @param {Map<string, Object>} boulders - Boulder metadata from buildBoulderMap
+ * @param {Map<string, Object>|null} dynamicValues - Values from computeDynamicBoulderValues, or null
+ * @returns {Object|undefined} BoulderInfo-like object with zone_points / top_points
+ */
+function getScoringBoulder(result, division, boulders, dynamicValues = null) {
+  const boulder = boulders.get(`${result.comp_id}:${result.boulder_id}`);
+  const dynamicValue = dynamicValues?.get(`${result.comp_id}:${result.boulder_id}:${division}`);
+  
+  if (!dynamicValue) return boulder;
+  return { ...boulder, zone_points: dynamicValue.zone_value, top_points: dynamicValue.top_value };
+}
+
+/**
+ * Calculate points for a single result
+ * Points are awarded as: zone points for zone completion + top points for top completion
+ * (50 + 50 by default, or the boulder's own zone_points / top_points), plus the flash bonus
+ * for a first-attempt top, minus the penalty per attempt. The result is never negative
+ * and is capped at maxPointsPerBoulder when set
+ * @param {Object} result - Result object with zone_completed and top_completed properties
+ * @param {Object|null} boulder - Optional BoulderInfo for the result's boulder (see AppState.boulders)
+ * @param {Object} scoring - Scoring rules from getScoringRules
+ * @returns {number} Total points (0, 50, or 100 with default rules)
+ */
+function computePoints(result, boulder = null, scoring = getScoringRules()) {
+  const zonePoints = result.zone_completed == 1 ? (boulder?.zone_points ?? scoring.zonePoints) : 0;
+  const topPoints = result.top_completed == 1 ? (boulder?.top_points ?? scoring.topPoints) : 0;
+  const flashBonus = result.top_completed == 1 && result.attempts_to_top == 1 ? scoring.flashBonus : 0;
+  const attempts = parseInt(result.attempts_to_zone || 0) + parseInt(result.attempts_to_top || 0);
+  
+  const points = Math.max(0, zonePoints + topPoints + flashBonus - attempts * scoring.attemptPenalty);
+  return scoring.maxPointsPerBoulder != null ? Math.min(points, scoring.maxPointsPerBoulder) : points;
+}
+
+/**
+ * Build the boulder metadata lookup from boulders.csv rows
+ * Point values that are blank or not numbers become null so default points apply
+ * @param {Array} rows - Array of boulder objects from boulders.csv
+ * @returns {Map<string, Object>} Map of "comp_id:boulder_id" to BoulderInfo
+ */
+function buildBoulderMap(rows) {
+  const boulders = new Map();
+  const toPoints = value => (value !== '' && value !== undefined && !isNaN(Number(value)) ? Number(value) : null);
+  
+  rows.forEach(row => {
+    const key = `${row.comp_id}:${row.boulder_id}`;
+    if (boulders.has(key)) return;
+    
+    boulders.set(key, {
+      comp_id: row.comp_id,
+      boulder_id: row.boulder_id,
+      grade: row.grade || '',
+      color: row.color || '',
+      setter: row.setter || '',
+      wall_section: row.wall_section || '',
+      zone_points: toPoints(row.zone_points),
+      top_points: toPoints(row.top_points)
+    });
+  });
+  
+  return boulders;
+}
+
+/**
+ * Aggregate climber statistics from teams and results data
+ * Calculates total points and attempts per climber, optionally filtered by competition
+ * Includes all registered climbers, even those with no results (they will have 0 points and 0 attempts)
+ * Each result is also credited to the team and division the climber was on at its comp_date
+ * (see getRosterEntry), in the climber's roster_breakdown
+ * @param {Array} teams - Array of team data objects from teams.csv
+ * @param {Array} results - Array of result objects from results.csv
+ * @param {string|null} filterCompId - Optional competition ID to filter by (null for all)
+ * @param {Map<string, Object>} boulders - Optional boulder metadata for per-boulder point values
+ * @param {Object} scoring - Scoring rules from getScoringRules
+ * @param {Map<string, Object>|null} dynamicValues - Boulder values from computeDynamicBoulderValues, when dynamic scoring is on
+ * @returns {Map<string, Object>} Map of climber_id to ClimberStats objects
+ */
+function aggregateClimberStats(teams, results, filterCompId = null, boulders = new Map(), scoring = getScoringRules(), dynamicValues = null) {
+  // Group roster rows by climber so team/division changes can be looked up by date
+  const rosterHistory = buildRosterHistory(teams);
+  
+  // Initialize climber stats for ALL registered climbers (even those with no results)
+  // Team, division and categories shown for a climber are their current ones
+  const categoryColumns = getCategoryColumns();
+  const climberStats = new Map();
+  rosterHistory.forEach((entries, climberId) => {
+    const info = getCurrentRosterEntry(entries);
+    climberStats.set(climberId, {
+      climber_id: info.climber_id,
+      climber_name: info.climber_name,
+      team_id: info.team_id,
+      team_name: info.team_name,
+      division: info.division,
+      categories: Object.fromEntries(categoryColumns.map(({ column }) => [column, info[column] || ''])),
+      ...createTally('total_'),
+      comp_breakdown: new Map(),
+      roster_breakdown: new Map()
     });
+  });
+  
+  // Filter results if a competition filter is specified
+  const filteredResults = filterCompId 
+    ? results.filter(r => r.comp_id === filterCompId)
+    : results;
+  
+  // Aggregate statistics for each climber from their results
+  filteredResults.forEach(result => {
+    const climberId = result.climber_id;
     
-    // Compare ALL perfect scores across ALL comps to find the overall winner(s)
-    if (perfectScoresByComp.size > 0) {
-      // Flatten all perfect scores from all comps into one array
-      let allPerfectScores = [];
-      perfectScoresByComp.forEach((winners, compId) => {
-        allPerfectScores.push(...winners);
+    // Skip if climber not found in teams data
+    if (!climberStats.has(climberId)) {
+      console.warn(`Climber ${climberId} in results but not found in teams data`);
+      return;
+    }
+    
+    const stats = climberStats.get(climberId);
+    
+    // The team and division the climber was on at the time
+    const entry = getRosterEntry(rosterHistory.get(climberId), result.comp_date) ||
+      getCurrentRosterEntry(rosterHistory.get(climberId));
+    
+    // Calculate points, attempts, tops and zones for this result
+    const boulder = getScoringBoulder(result, entry.division, boulders, dynamicValues);
+    const points = computePoints(result, boulder, scoring);
+    const basePoints = scoring.attemptPenalty ? computePoints(result, boulder, { ...scoring, attemptPenalty: 0 }) : points;
+    const tally = tallyResult(result, points, basePoints);
+    
+    // Update totals
+    addTally(stats, tally, 'total_', '');
+    
+    // Update competition breakdown
+    const compId = result.comp_id;
+    if (!stats.comp_breakdown.has(compId)) {
+      stats.comp_breakdown.set(compId, createTally());
+    }
+    addTally(stats.comp_breakdown.get(compId), tally);
+    
+    // Credit the team and division the climber was on at the time
+    const rosterKey = `${entry.team_id}|${entry.division}`;
+    if (!stats.roster_breakdown.has(rosterKey)) {
+      stats.roster_breakdown.set(rosterKey, {
+        team_id: entry.team_id,
+        team_name: entry.team_name,
+        division: entry.division,
+        ...createTally('total_'),
+        comp_breakdown: new Map()
       });
-      
-      // Sort by attempts (fewest first) - this is the tie-breaker
-      allPerfectScores.sort((a, b) => a.attempts - b.attempts);
-      
-      // Find the fewest attempts
-      const fewestAttempts = allPerfectScores[0].attempts;
-      
-      // Get all winners with the fewest attempts (could be from different comps)
-      const overallWinners = allPerfectScores.filter(w => w.attempts === fewestAttempts);
-      
-      if (overallWinners.length === 1) {
-        // Single overall winner
-        funStats.perfect_score = overallWinners[0];
-        
-        // Count other perfect scores
-        funStats.perfect_score.other_comps_count = allPerfectScores.length - 1;
-      } else {
-        // Multiple winners tied with same attempts
-        // Check if they're all from the same comp
-        const comps = new Set(overallWinners.map(w => w.comp_id));
-        
-        if (comps.size === 1) {
-          // All tied winners from same comp
-          funStats.perfect_score = {
-            climber_name: overallWinners.map(w => w.climber_name).join(' & '),
-            comp_id: overallWinners[0].comp_id,
-            boulders: overallWinners[0].boulders,
-            attempts: overallWinners[0].attempts,
-            is_tie: true,
-            winner_count: overallWinners.length,
-            other_comps_count: allPerfectScores.length - overallWinners.length
-          };
-        } else {
-          // Tied winners from different comps - show all with their comps
-          const winnerText = overallWinners.map(w => `${w.climber_name} (Comp ${w.comp_id})`).join(' & ');
-          funStats.perfect_score = {
-            climber_name: winnerText,
-            comp_id: 'Multiple',
-            boulders: overallWinners[0].boulders,
-            attempts: overallWinners[0].attempts,
-            is_tie: true,
-            winner_count: overallWinners.length,
-            other_comps_count: allPerfectScores.length - overallWinners.length
-          };
-        }
-      }
     }
-  }
+    const rosterStats = stats.roster_breakdown.get(rosterKey);
+    addTally(rosterStats, tally, 'total_', '');
+    if (!rosterStats.comp_breakdown.has(compId)) {
+      rosterStats.comp_breakdown.set(compId, createTally());
+    }
+    addTally(rosterStats.comp_breakdown.get(compId), tally);
+  });
   
-  // Calculate Zone Hero (most zones without tops, tie-breaker: fewest attempts)
-  if (results.length > 0 && climberStats.size > 0) {
-    const zoneOnlyCounts = new Map();
+  return climberStats;
+}
+
+/**
+ * Counts accumulated for every result. Climber, team and roster totals use
+ * the same fields with a "total_" prefix (total_points, total_tops, ...)
+ * - base_points: points before the per-attempt penalty (used by Efficiency King)
+ * - attempts: attempts_to_zone + attempts_to_top
+ * - top_attempts / zone_attempts: attempts_to_top on topped boulders and
+ *   attempts_to_zone on zoned boulders (IFSC tie-breakers)
+ * - flashes: tops on the first attempt (most-flashes tie-break)
+ */
+const TALLY_FIELDS = ['points', 'base_points', 'attempts', 'tops', 'zones', 'top_attempts', 'zone_attempts', 'flashes'];
+
+/**
+ * Create a tally with every count at zero
+ * @param {string} prefix - Prefix for the field names, e.g. 'total_'
+ * @returns {Object} Tally object
+ */
+function createTally(prefix = '') {
+  return Object.fromEntries(TALLY_FIELDS.map(field => [`${prefix}${field}`, 0]));
+}
+
+/**
+ * Add one tally's counts into another
+ * @param {Object} target - Tally to add into
+ * @param {Object} source - Tally to add
+ * @param {string} targetPrefix - Field prefix used by target
+ * @param {string} sourcePrefix - Field prefix used by source (defaults to targetPrefix)
+ */
+function addTally(target, source, targetPrefix = '', sourcePrefix = targetPrefix) {
+  TALLY_FIELDS.forEach(field => {
+    target[`${targetPrefix}${field}`] += source[`${sourcePrefix}${field}`];
+  });
+}
+
+/**
+ * Count a single result
+ * @param {Object} result - Result object from results.csv
+ * @param {number} points - Points for the result from computePoints
+ * @param {number} basePoints - Points for the result without the attempt penalty
+ * @returns {Object} Tally for the result
+ */
+function tallyResult(result, points, basePoints = points) {
+  const attemptsToZone = parseInt(result.attempts_to_zone || 0);
+  const attemptsToTop = parseInt(result.attempts_to_top || 0);
+  const topped = result.top_completed == 1;
+  const zoned = result.zone_completed == 1;
+  
+  return {
+    points,
+    base_points: basePoints,
+    attempts: attemptsToZone + attemptsToTop,
+    tops: topped ? 1 : 0,
+    zones: zoned ? 1 : 0,
+    top_attempts: topped ? attemptsToTop : 0,
+    zone_attempts: zoned ? attemptsToZone : 0,
+    flashes: topped && attemptsToTop === 1 ? 1 : 0
+  };
+}
+
+/**
+ * Apply the season's best N comps / drop worst K comps rule to climber stats
+ * Ranks each climber's comps by points (then fewer attempts) using comp_breakdown,
+ * recomputes their totals and roster_breakdown from the counted comps only, and
+ * records the rest in dropped_comps. Missed comps count as 0 and are dropped first.
+ * At least one comp always counts
+ * @param {Map<string, Object>} climberStats - Map of climber statistics from aggregateClimberStats
+ * @param {Array<string>} compIds - Comps in view (e.g. every comp in the season)
+ * @param {Object} scoring - Scoring rules from getScoringRules (countBestComps, dropWorstComps)
+ */
+function applyCountedCompsRule(climberStats, compIds, scoring) {
+  const countBest = parseInt(scoring.countBestComps) || 0;
+  const dropWorst = parseInt(scoring.dropWorstComps) || 0;
+  
+  climberStats.forEach(stats => {
+    stats.dropped_comps = new Set();
+  });
+  if (!countBest && !dropWorst) return;
+  
+  const keepCount = countBest
+    ? Math.min(countBest, compIds.length)
+    : Math.max(compIds.length - dropWorst, 1);
+  
+  climberStats.forEach(stats => {
+    const ranked = compIds
+      .map(compId => ({ compId, tally: stats.comp_breakdown.get(compId) || createTally() }))
+      .sort((a, b) => (b.tally.points - a.tally.points) || (a.tally.attempts - b.tally.attempts));
     
-    results.forEach(result => {
-      if (result.zone_completed == 1 && result.top_completed == 0) {
-        const climberId = result.climber_id;
-        zoneOnlyCounts.set(climberId, (zoneOnlyCounts.get(climberId) || 0) + 1);
+    ranked.slice(keepCount).forEach(({ compId }) => {
+      if (stats.comp_breakdown.has(compId)) {
+        stats.dropped_comps.add(compId);
       }
     });
+    if (stats.dropped_comps.size === 0) return;
     
-    // Find max zones
-    let maxZones = 0;
-    zoneOnlyCounts.forEach(count => {
-      if (count > maxZones) maxZones = count;
-    });
-    
-    if (maxZones > 0) {
-      // Get all climbers with max zones
-      const candidates = [];
-      zoneOnlyCounts.forEach((count, climberId) => {
-        if (count === maxZones) {
-          const climber = climberStats.get(climberId);
-          if (climber) {
-            candidates.push({
-              climber_name: climber.climber_name,
-              zones: count,
-              attempts: climber.total_attempts
-            });
-          }
+    // Rebuild totals from the counted comps
+    const recount = target => {
+      Object.assign(target, createTally('total_'));
+      target.comp_breakdown.forEach((tally, compId) => {
+        if (!stats.dropped_comps.has(compId)) {
+          addTally(target, tally, 'total_', '');
         }
       });
-      
-      // Sort by attempts (fewest first) for tie-breaker
-      candidates.sort((a, b) => a.attempts - b.attempts);
-      
-      // Check for tie
-      const fewestAttempts = candidates[0].attempts;
-      const winners = candidates.filter(c => c.attempts === fewestAttempts);
-      
-      if (winners.length === 1) {
-        funStats.zone_hero = winners[0];
-      } else {
-        // Tie - show all
-        funStats.zone_hero = {
-          climber_name: winners.map(w => w.climber_name).join(' & '),
-          zones: winners[0].zones,
-          attempts: winners[0].attempts,
-          is_tie: true
-        };
-      }
+    };
+    recount(stats);
+    stats.roster_breakdown.forEach(recount);
+  });
+}
+
+/**
+ * Group roster rows by climber_id, in sheet order
+ * A climber has several rows when they changed team or division during the season,
+ * each with optional effective_from / effective_to dates (YYYY-MM-DD, inclusive)
+ * @param {Array} teams - Array of team data objects from teams.csv
+ * @returns {Map<string, Array>} Map of climber_id to their roster rows
+ */
+function buildRosterHistory(teams) {
+  const history = new Map();
+  
+  teams.forEach(teamRow => {
+    if (!history.has(teamRow.climber_id)) {
+      history.set(teamRow.climber_id, []);
     }
-  }
+    history.get(teamRow.climber_id).push(teamRow);
+  });
+  
+  return history;
+}
+
+/**
+ * Find the roster row in effect on a date
+ * Blank effective_from / effective_to leave that end of the period open
+ * @param {Array} entries - One climber's roster rows from buildRosterHistory
+ * @param {string} date - Date in YYYY-MM-DD format (e.g. a result's comp_date)
+ * @returns {Object|null} First matching roster row, or null if none covers the date
+ */
+function getRosterEntry(entries, date) {
+  return entries.find(entry =>
+    (!entry.effective_from || entry.effective_from <= date) &&
+    (!entry.effective_to || date <= entry.effective_to)
+  ) || null;
+}
+
+/**
+ * Get a climber's current roster row: the one with the latest effective_from
+ * Rows without effective_from count as the start of the season, so a roster
+ * without dates uses its first row for each climber
+ * @param {Array} entries - One climber's roster rows from buildRosterHistory
+ * @returns {Object} Current roster row
+ */
+function getCurrentRosterEntry(entries) {
+  return entries.reduce((current, entry) =>
+    (entry.effective_from || '') > (current.effective_from || '') ? entry : current
+  );
+}
+
+/**
+ * Sum the parts of a climber's stats earned on a given team or in a given division
+ * @param {Object} stats - ClimberStats from aggregateClimberStats
+ * @param {Function} predicate - Called with each roster_breakdown entry; true to include it
+ * @returns {Object} Summed "total_" tally plus comp_breakdown
+ */
+function sumRosterBreakdown(stats, predicate) {
+  const sum = { ...createTally('total_'), comp_breakdown: new Map() };
+  
+  stats.roster_breakdown.forEach(entry => {
+    if (!predicate(entry)) return;
+    
+    addTally(sum, entry, 'total_');
+    entry.comp_breakdown.forEach((compStats, compId) => {
+      if (!sum.comp_breakdown.has(compId)) {
+        sum.comp_breakdown.set(compId, createTally());
+      }
+      addTally(sum.comp_breakdown.get(compId), compStats);
+    });
+  });
+  
+  return sum;
+}
+
+/**
+ * Default team scoring rules, used for any setting missing from CONFIG.teamScoring
+ */
+const DEFAULT_TEAM_SCORING_RULES = {
+  mode: 'sum',
+  bestK: 3,
+  placementPoints: [10, 8, 6, 5, 4, 3, 2, 1]
+};
+
+/**
+ * Get the team scoring rules: CONFIG.teamScoring over the defaults
+ * @returns {Object} Team scoring rules: mode, bestK, placementPoints
+ */
+function getTeamScoringRules() {
+  return { ...DEFAULT_TEAM_SCORING_RULES, ...(CONFIG.teamScoring || {}) };
+}
+
+/**
+ * Aggregate team statistics from climber statistics
+ * Scores each team per comp from its members' results (each result counts for
+ * the team the climber was on at the time), then sums the comps. Modes:
+ * - 'sum': every member's points (respecting the best N comps rule)
+ * - 'best-k': the best bestK members in each comp
+ * - 'division-slots': the best member per division in each comp
+ * - 'average': each comp's member total divided by the members who climbed it
+ * - 'placement': placementPoints for the team's rank in each comp (by summed points)
+ * @param {Map<string, Object>} climberStats - Map of climber statistics from aggregateClimberStats
+ * @param {Array} teams - Array of team data objects from teams.csv
+ * @param {Object} teamScoring - Team scoring rules from getTeamScoringRules
+ * @returns {Map<string, Object>} Map of team_id to TeamStats objects
+ */
+function aggregateTeamStats(climberStats, teams, teamScoring = getTeamScoringRules()) {
+  const teamStats = new Map();
+  
+  // Initialize team info from teams data
+  teams.forEach(teamRow => {
+    if (!teamStats.has(teamRow.team_id)) {
+      teamStats.set(teamRow.team_id, {
+        team_id: teamRow.team_id,
+        team_name: teamRow.team_name,
+        ...createTally('total_'),
+        climbers: [],
+        comp_breakdown: new Map()
+      });
+    }
+    
+    const team = teamStats.get(teamRow.team_id);
+    if (!team.climbers.includes(teamRow.climber_id)) {
+      team.climbers.push(teamRow.climber_id);
+    }
+  });
+  
+  // Collect each member's contribution to each comp
+  const contributions = new Map();
+  climberStats.forEach((stats, climberId) => {
+    stats.roster_breakdown.forEach(entry => {
+      if (!teamStats.has(entry.team_id)) return;
+      
+      entry.comp_breakdown.forEach((tally, compId) => {
+        // Only the plain sum follows the individual best N comps rule
+        if (teamScoring.mode === 'sum' && stats.dropped_comps?.has(compId)) return;
+        
+        const key = `${entry.team_id}|${compId}`;
+        if (!contributions.has(key)) {
+          contributions.set(key, { team_id: entry.team_id, comp_id: compId, members: [] });
+        }
+        contributions.get(key).members.push({
+          climber_id: climberId,
+          climber_name: stats.climber_name,
+          division: entry.division,
+          tally
+        });
+      });
+    });
+  });
+  
+  // Score each team's comp from the members that count
+  contributions.forEach(({ team_id: teamId, comp_id: compId, members }) => {
+    const counted = selectCountedMembers(members, teamScoring);
+    const compTally = createTally();
+    counted.forEach(member => addTally(compTally, member.tally));
+    
+    // Averages keep full precision for the totals and ranking; formatScore rounds them for display
+    if (teamScoring.mode === 'average') {
+      TALLY_FIELDS.forEach(field => {
+        compTally[field] /= counted.length;
+      });
+    }
+    
+    teamStats.get(teamId).comp_breakdown.set(compId, {
+      ...compTally,
+      counted: counted.map(({ climber_id, climber_name }) => ({ climber_id, climber_name })),
+      placement: null,
+      tied: false
+    });
+  });
+  
+  // Placement mode: replace each comp's points with the points for the team's rank
+  if (teamScoring.mode === 'placement') {
+    const compIds = new Set(Array.from(contributions.values()).map(c => c.comp_id));
+    compIds.forEach(compId => {
+      const tallies = Array.from(teamStats.values())
+        .filter(team => team.comp_breakdown.has(compId))
+        .map(team => team.comp_breakdown.get(compId));
+      
+      // Exactly tied teams share a placement and its points
+      placeByTally(tallies, compTally => compTally).forEach(({ item: compTally, placement, tied }) => {
+        compTally.placement = placement;
+        compTally.tied = tied;
+        compTally.points = teamScoring.placementPoints[placement - 1] || 0;
+      });
+    });
+  }
+  
+  // Season totals are the sum of the comps
+  teamStats.forEach(team => {
+    team.comp_breakdown.forEach(compTally => addTally(team, compTally, 'total_', ''));
+  });
+  
+  return teamStats;
+}
+
+/**
+ * Order two tallies: more points first, then fewer attempts
+ * @param {Object} a - Tally
+ * @param {Object} b - Tally
+ * @returns {number} Negative if a ranks higher
+ */
+function compareTallies(a, b) {
+  return (b.points - a.points) || (a.attempts - b.attempts);
+}
+
+/**
+ * Place entries by their tally (see compareTallies), best first
+ * Entries with exactly the same points and attempts share a placement (1, 2, 2, 4)
+ * @param {Array} items - Entries to place
+ * @param {Function} getTally - Returns the tally for an entry
+ * @returns {Array<Object>} Placed entries as {item, placement, tied}, best first
+ */
+function placeByTally(items, getTally) {
+  const ranked = [...items].sort((a, b) => compareTallies(getTally(a), getTally(b)));
+  const sameAs = (index, other) => other >= 0 && other < ranked.length &&
+    compareTallies(getTally(ranked[other]), getTally(ranked[index])) === 0;
+  
+  let placement = 0;
+  return ranked.map((item, index) => {
+    if (!sameAs(index, index - 1)) {
+      placement = index + 1;
+    }
+    return { item, placement, tied: sameAs(index, index - 1) || sameAs(index, index + 1) };
+  });
+}
+
+/**
+ * Pick the team members whose scores count for one comp
+ * @param {Array<Object>} members - Contributions as {climber_id, climber_name, division, tally}
+ * @param {Object} teamScoring - Team scoring rules from getTeamScoringRules
+ * @returns {Array<Object>} Counted contributions, best first
+ */
+function selectCountedMembers(members, teamScoring) {
+  const ranked = [...members].sort((a, b) => compareTallies(a.tally, b.tally));
+  
+  if (teamScoring.mode === 'best-k') {
+    return ranked.slice(0, Math.max(parseInt(teamScoring.bestK) || 0, 1));
+  }
+  
+  if (teamScoring.mode === 'division-slots') {
+    const filledDivisions = new Set();
+    return ranked.filter(member => {
+      if (filledDivisions.has(member.division)) return false;
+      filledDivisions.add(member.division);
+      return true;
+    });
+  }
+  
+  return ranked;
+}
+
+/**
+ * Emoji shown before a division's heading when CONFIG.divisions doesn't give one
+ */
+const DEFAULT_DIVISION_EMOJI = '🧗';
+
+/**
+ * Get the divisions to show, in display order
+ * Divisions declared in CONFIG.divisions come first, in their configured order,
+ * followed by any other division found in the roster (in sheet order)
+ * @param {Array} teams - Array of team data objects from teams.csv
+ * @returns {Array<Object>} Divisions as {name, label, emoji, tableId}
+ */
+function getDivisions(teams) {
+  const configured = Array.isArray(CONFIG.divisions) ? CONFIG.divisions : [];
+  const divisions = [];
+  
+  const addDivision = ({ name, label, emoji }) => {
+    if (!name || divisions.some(division => division.name === name)) return;
+    divisions.push({
+      name,
+      label: label || `${name} Division`,
+      emoji: emoji || DEFAULT_DIVISION_EMOJI
+    });
+  };
+  configured.forEach(division => addDivision({ ...division, name: String(division.name || '').trim() }));
+  teams.forEach(teamRow => addDivision({ name: teamRow.division }));
+  
+  // Table IDs keep the original "beginner-leaderboard" form; repeated slugs get a number
+  const usedIds = new Set();
+  return divisions.map(division => {
+    const slug = division.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'division';
+    let tableId = `${slug}-leaderboard`;
+    for (let n = 2; usedIds.has(tableId); n++) {
+      tableId = `${slug}-${n}-leaderboard`;
+    }
+    usedIds.add(tableId);
+    return { ...division, tableId };
+  });
+}
+
+/**
+ * Get the extra roster columns climbers can be grouped by, from CONFIG.categories
+ * @returns {Array<Object>} Categories as {column, label}
+ */
+function getCategoryColumns() {
+  const configured = Array.isArray(CONFIG.categories) ? CONFIG.categories : [];
+  return configured
+    .filter(category => category && category.column)
+    .map(({ column, label }) => ({ column, label: label || column }));
+}
+
+/**
+ * Get the values found in the roster for each category column, in sheet order
+ * @param {Array} teams - Array of team data objects from teams.csv
+ * @returns {Array<Object>} Categories as {column, label, values}
+ */
+function getCategoryOptions(teams) {
+  return getCategoryColumns().map(category => ({
+    ...category,
+    values: Array.from(new Set(teams.map(teamRow => teamRow[category.column]).filter(Boolean)))
+  }));
+}
+
+/**
+ * Check whether a climber matches the selected category values
+ * @param {Object} stats - ClimberStats from aggregateClimberStats
+ * @param {Object} slice - Selection from AppState.currentSlice
+ * @returns {boolean} True if every selected category matches
+ */
+function matchesCategories(stats, slice) {
+  return Object.entries(slice).every(([column, value]) =>
+    column === 'division' || value === 'all' || (stats.categories || {})[column] === value
+  );
+}
+
+/**
+ * Keep the climbers in the selected division and categories
+ * With a division selected, a climber who changed division keeps only what they
+ * earned in it (roster_breakdown and totals), as on the division boards
+ * @param {Map<string, Object>} climberStats - Map of climber statistics from aggregateClimberStats
+ * @param {Object} slice - Selection from AppState.currentSlice
+ * @returns {Map<string, Object>} Climber statistics in the slice
+ */
+function sliceClimberStats(climberStats, slice) {
+  const sliced = new Map();
+  const division = slice.division || 'all';
+  
+  climberStats.forEach((stats, climberId) => {
+    if (!matchesCategories(stats, slice)) return;
+    if (division === 'all') {
+      sliced.set(climberId, stats);
+      return;
+    }
+    
+    const inDivision = entry => entry.division === division;
+    const entries = Array.from(stats.roster_breakdown).filter(([, entry]) => inDivision(entry));
+    if (entries.length === 0 && stats.division !== division) return;
+    if (entries.length === stats.roster_breakdown.size && stats.division === division) {
+      sliced.set(climberId, stats);
+      return;
+    }
+    
+    const latestEntry = entries.length > 0 ? entries[entries.length - 1][1] : stats;
+    sliced.set(climberId, {
+      ...stats,
+      ...sumRosterBreakdown(stats, inDivision),
+      team_id: latestEntry.team_id,
+      team_name: latestEntry.team_name,
+      division,
+      roster_breakdown: new Map(entries)
+    });
+  });
+  
+  return sliced;
+}
+
+/**
+ * Keep the results climbed by the selected division and categories (used by the awards)
+ * @param {Array} results - Array of result objects from results.csv
+ * @param {Map<string, Object>} slicedStats - Climber statistics from sliceClimberStats
+ * @param {Array} teams - Array of team data objects from teams.csv
+ * @param {Object} slice - Selection from AppState.currentSlice
+ * @returns {Array} Results in the slice
+ */
+function filterResultsBySlice(results, slicedStats, teams, slice) {
+  if (Object.values(slice).every(value => value === 'all')) {
+    return results;
+  }
+  
+  const rosterHistory = buildRosterHistory(teams);
+  return results.filter(result => {
+    if (!slicedStats.has(result.climber_id)) return false;
+    if (!slice.division || slice.division === 'all') return true;
+    
+    const entries = rosterHistory.get(result.climber_id);
+    return (getRosterEntry(entries, result.comp_date) || getCurrentRosterEntry(entries)).division === slice.division;
+  });
+}
+
+/**
+ * Aggregate division statistics by grouping climbers by division
+ * Creates separate arrays of climbers for each division
+ * A climber who changed division appears on each board they climbed in,
+ * with only the points earned in that division
+ * @param {Map<string, Object>} climberStats - Map of climber statistics from aggregateClimberStats
+ * @param {Array<string>} divisions - Division names in display order (see getDivisions)
+ * @returns {Map<string, Array>} Map of division name to array of ClimberStats objects
+ */
+function aggregateDivisionStats(climberStats, divisions) {
+  const divisionStats = new Map();
+  
+  // Initialize divisions
+  divisions.forEach(division => divisionStats.set(division, []));
+  
+  // Group climbers by division
+  climberStats.forEach((stats, climberId) => {
+    const divisions = new Set([stats.division]);
+    stats.roster_breakdown.forEach(entry => divisions.add(entry.division));
+    
+    divisions.forEach(division => {
+      if (!divisionStats.has(division)) {
+        console.warn(`Unknown division: ${division} for climber ${climberId}`);
+        return;
+      }
+      
+      // Climbers who stayed in one division keep their full stats
+      if (divisions.size === 1) {
+        divisionStats.get(division).push(stats);
+        return;
+      }
+      
+      const divisionEntries = Array.from(stats.roster_breakdown.values()).filter(entry => entry.division === division);
+      const latestEntry = divisionEntries[divisionEntries.length - 1];
+      divisionStats.get(division).push({
+        ...stats,
+        ...sumRosterBreakdown(stats, entry => entry.division === division),
+        team_id: latestEntry ? latestEntry.team_id : stats.team_id,
+        team_name: latestEntry ? latestEntry.team_name : stats.team_name,
+        division
+      });
+    });
+  });
+  
+  return divisionStats;
+}
+
+/**
+ * League points for 1st, 2nd, 3rd, ... place in a division at one comp
+ * Used when CONFIG.leaguePoints.placementPoints is not set; places past the end score 0
+ */
+const DEFAULT_LEAGUE_POINTS = [100, 80, 65, 55, 45, 35, 25, 20, 15, 10, 8, 6, 4, 2, 1];
+
+/**
+ * Get the league points table from CONFIG.leaguePoints
+ * @returns {Array<number>} Points for 1st, 2nd, 3rd, ... place
+ */
+function getLeaguePointsTable() {
+  const configured = CONFIG.leaguePoints && CONFIG.leaguePoints.placementPoints;
+  return Array.isArray(configured) && configured.length > 0 ? configured : DEFAULT_LEAGUE_POINTS;
+}
+
+/**
+ * Compute season standings from per-comp placements
+ * Climbers are placed within their division at each comp (more points, then fewer
+ * attempts; exact ties share the place and its points) and earn that place's league
+ * points. A climber who changed division earns league points in each division
+ * separately, using the division they were in at each comp
+ * @param {Map<string, Object>} climberStats - Map of climber statistics from aggregateClimberStats
+ * @param {Array<number>} placementPoints - League points for 1st, 2nd, 3rd, ... place
+ * @param {Array<string>} divisions - Division names in display order (see getDivisions)
+ * @returns {Map<string, Array>} Map of division name to array of StandingEntry objects
+ */
+function computeSeasonStandings(climberStats, placementPoints, divisions) {
+  const standings = new Map();
+  divisions.forEach(division => standings.set(division, new Map()));
+  
+  // Group every climber's comp results by division and comp
+  const fields = new Map();
+  climberStats.forEach(stats => {
+    stats.roster_breakdown.forEach(entry => {
+      if (!standings.has(entry.division)) return;
+      
+      entry.comp_breakdown.forEach((tally, compId) => {
+        const key = `${entry.division}|${compId}`;
+        if (!fields.has(key)) {
+          fields.set(key, { division: entry.division, comp_id: compId, climbers: [] });
+        }
+        fields.get(key).climbers.push({ stats, entry, tally });
+      });
+    });
+  });
+  
+  // Place each field and award league points
+  fields.forEach(({ division, comp_id: compId, climbers }) => {
+    const divisionStandings = standings.get(division);
+    
+    placeByTally(climbers, climber => climber.tally).forEach(({ item: { stats, entry, tally }, placement, tied }) => {
+      const leaguePoints = placementPoints[placement - 1] || 0;
+      
+      if (!divisionStandings.has(stats.climber_id)) {
+        const current = stats.division === division;
+        divisionStandings.set(stats.climber_id, {
+          climber_id: stats.climber_id,
+          climber_name: stats.climber_name,
+          team_id: current ? stats.team_id : entry.team_id,
+          team_name: current ? stats.team_name : entry.team_name,
+          division,
+          ...createTally('total_'),
+          comp_breakdown: new Map()
+        });
+      }
+      const standing = divisionStandings.get(stats.climber_id);
+      
+      // Raw counts are kept for the tie-breaks; points become league points
+      addTally(standing, { ...tally, points: leaguePoints }, 'total_', '');
+      standing.comp_breakdown.set(compId, {
+        placement,
+        tied,
+        points: leaguePoints,
+        raw_points: tally.points
+      });
+    });
+  });
+  
+  return new Map(Array.from(standings, ([division, entries]) => [division, Array.from(entries.values())]));
+}
+
+/**
+ * Default promotion / relegation rules, overridden by CONFIG.divisionReview
+ * A rule set to null is not used
+ */
+const DEFAULT_DIVISION_REVIEW_RULES = {
+  recentComps: 3,
+  minComps: 2,
+  promote: {
+    minTopRate: 0.8,
+    podiumFinishes: 2,
+    podiumPlaces: 3
+  },
+  relegate: {
+    maxTopRate: 0.1,
+    maxZoneRate: 0.3
+  }
+};
+
+/**
+ * Get the promotion / relegation rules: CONFIG.divisionReview over the defaults
+ * @returns {Object} Rules: recentComps, minComps, promote, relegate
+ */
+function getDivisionReviewRules() {
+  const configured = CONFIG.divisionReview || {};
+  return {
+    ...DEFAULT_DIVISION_REVIEW_RULES,
+    ...configured,
+    promote: { ...DEFAULT_DIVISION_REVIEW_RULES.promote, ...(configured.promote || {}) },
+    relegate: { ...DEFAULT_DIVISION_REVIEW_RULES.relegate, ...(configured.relegate || {}) }
+  };
+}
+
+/**
+ * Format a 0-1 rate as a whole percentage
+ * @param {number} rate - Rate between 0 and 1
+ * @returns {string} e.g. "85%"
+ */
+function formatPercent(rate) {
+  return `${Math.round(rate * 100)}%`;
+}
+
+/**
+ * Recommend climbers who should move up or down a division
+ * Looks at each climber's last recentComps comps in their current division:
+ * - promote when their top rate is at least promote.minTopRate, or they finished in the
+ *   top promote.podiumPlaces of the division at least promote.podiumFinishes times
+ *   (only comps with more than podiumPlaces climbers in the division count)
+ * - relegate when their top rate is at most relegate.maxTopRate and their zone rate
+ *   at most relegate.maxZoneRate
+ * Climbers with fewer than minComps comps in their division are not reviewed.
+ * Divisions are ordered as in getDivisions; the first can't relegate, the last can't promote
+ * @param {Map<string, Object>} climberStats - Season-wide climber statistics from aggregateClimberStats
+ * @param {Array} results - Array of result objects from results.csv (all comps)
+ * @param {Array} teams - Array of team data objects from teams.csv
+ * @param {Array<string>} compOrder - Every comp_id in season order
+ * @param {Object} rules - Rules from getDivisionReviewRules
+ * @returns {Array<Object>} Recommendations as {climber_id, climber_name, team_name, division,
+ *   direction: 'promote'|'relegate', target_division, reasons: Array<string>, evidence: Array<string>}
+ */
+function computeDivisionReview(climberStats, results, teams, compOrder, rules) {
+  const divisionNames = getDivisions(teams).map(division => division.name);
+  const placements = computeSeasonStandings(climberStats, [], divisionNames);
+  const recommendations = [];
+  
+  // Boulders tried per climber and comp
+  const boulderCounts = new Map();
+  results.forEach(result => {
+    const key = `${result.climber_id}|${result.comp_id}`;
+    boulderCounts.set(key, (boulderCounts.get(key) || 0) + 1);
+  });
+  
+  climberStats.forEach((stats, climberId) => {
+    const divisionIndex = divisionNames.indexOf(stats.division);
+    if (divisionIndex === -1) return;
+    
+    // The climber's comps in their current division, most recent last
+    const compTallies = new Map();
+    stats.roster_breakdown.forEach(entry => {
+      if (entry.division !== stats.division) return;
+      entry.comp_breakdown.forEach((tally, compId) => compTallies.set(compId, tally));
+    });
+    const recentComps = compOrder
+      .filter(compId => compTallies.has(compId))
+      .slice(-Math.max(parseInt(rules.recentComps) || 0, 1));
+    if (recentComps.length < (parseInt(rules.minComps) || 1)) return;
+    
+    // Tops, zones and placements over those comps
+    const standing = (placements.get(stats.division) || []).find(entry => entry.climber_id === climberId);
+    const fieldSizes = new Map();
+    (placements.get(stats.division) || []).forEach(entry => {
+      entry.comp_breakdown.forEach((_, compId) => fieldSizes.set(compId, (fieldSizes.get(compId) || 0) + 1));
+    });
+    
+    let tops = 0;
+    let zones = 0;
+    let boulders = 0;
+    let podiums = 0;
+    const evidence = [];
+    recentComps.forEach(compId => {
+      const tally = compTallies.get(compId);
+      const tried = boulderCounts.get(`${climberId}|${compId}`) || 0;
+      const { placement, tied } = standing.comp_breakdown.get(compId);
+      tops += tally.tops;
+      zones += tally.zones;
+      boulders += tried;
+      // A top 3 finish only says something when more than 3 climbed
+      if (rules.promote.podiumPlaces != null && placement <= rules.promote.podiumPlaces &&
+          fieldSizes.get(compId) > rules.promote.podiumPlaces) {
+        podiums++;
+      }
+      evidence.push(`${getCompetitionName(compId)}: ${tied ? 'T' : ''}${placement} of ${fieldSizes.get(compId)}, ` +
+        `${tally.tops}/${tried} tops, ${tally.zones}/${tried} zones`);
+    });
+    
+    const topRate = boulders > 0 ? tops / boulders : 0;
+    const zoneRate = boulders > 0 ? zones / boulders : 0;
+    evidence.unshift(`Last ${recentComps.length} comps in ${stats.division}: ` +
+      `${tops}/${boulders} tops (${formatPercent(topRate)}), ${zones}/${boulders} zones (${formatPercent(zoneRate)})`);
+    
+    const recommend = (direction, targetIndex, reasons) => {
+      recommendations.push({
+        climber_id: climberId,
+        climber_name: stats.climber_name,
+        team_name: stats.team_name,
+        division: stats.division,
+        direction,
+        target_division: divisionNames[targetIndex],
+        reasons,
+        evidence
+      });
+    };
+    
+    // Move up
+    const { promote, relegate } = rules;
+    const promoteReasons = [];
+    if (promote.minTopRate != null && topRate >= promote.minTopRate) {
+      promoteReasons.push(`Top rate ${formatPercent(topRate)} (promote at ${formatPercent(promote.minTopRate)} or more)`);
+    }
+    if (promote.podiumFinishes != null && promote.podiumPlaces != null && podiums >= promote.podiumFinishes) {
+      promoteReasons.push(`Top ${promote.podiumPlaces} finish ${podiums} times (promote at ${promote.podiumFinishes})`);
+    }
+    if (promoteReasons.length > 0 && divisionIndex < divisionNames.length - 1) {
+      recommend('promote', divisionIndex + 1, promoteReasons);
+      return;
+    }
+    
+    // Move down
+    const lowTops = relegate.maxTopRate != null && topRate <= relegate.maxTopRate;
+    const lowZones = relegate.maxZoneRate == null || zoneRate <= relegate.maxZoneRate;
+    if (lowTops && lowZones && divisionIndex > 0) {
+      const reasons = [`Top rate ${formatPercent(topRate)} (relegate at ${formatPercent(relegate.maxTopRate)} or less)`];
+      if (relegate.maxZoneRate != null) {
+        reasons.push(`Zone rate ${formatPercent(zoneRate)} (relegate at ${formatPercent(relegate.maxZoneRate)} or less)`);
+      }
+      recommend('relegate', divisionIndex - 1, reasons);
+    }
+  });
+  
+  return recommendations.sort((a, b) =>
+    compareText(a.direction, b.direction) ||
+    divisionNames.indexOf(a.division) - divisionNames.indexOf(b.division) ||
+    compareText(a.climber_name, b.climber_name)
+  );
+}
+
+/**
+ * Build the list of competitions shown in the filter
+ * Uses comps.csv when available and adds any comp_id that only appears in results,
+ * taking its date from comp_date. Ordered by date (undated last), then comp_id
+ * @param {Array} comps - Array of competition objects from comps.csv (may be empty)
+ * @param {Array} results - Array of result objects from results.csv
+ * @returns {Array<Object>} Competitions with comp_id, name, date, venue, status
+ */
+function buildCompetitionList(comps, results) {
+  const competitions = new Map();
+  
+  comps.forEach(row => {
+    if (!row.comp_id || competitions.has(row.comp_id)) return;
+    
+    competitions.set(row.comp_id, {
+      comp_id: row.comp_id,
+      name: row.name || `Comp ${row.comp_id}`,
+      date: row.date || '',
+      venue: row.venue || '',
+      status: String(row.status || '').toLowerCase()
+    });
+  });
+  
+  results.forEach(result => {
+    if (!result.comp_id) return;
+    
+    const comp = competitions.get(result.comp_id);
+    if (!comp) {
+      competitions.set(result.comp_id, {
+        comp_id: result.comp_id,
+        name: `Comp ${result.comp_id}`,
+        date: result.comp_date || '',
+        venue: '',
+        status: ''
+      });
+    } else if (!comp.date) {
+      comp.date = result.comp_date || '';
+    }
+  });
+  
+  return Array.from(competitions.values()).sort((a, b) => {
+    // Undated competitions go last
+    if (!a.date !== !b.date) {
+      return a.date ? -1 : 1;
+    }
+    return compareText(a.date, b.date) ||
+      compareNumeric(a.comp_id, b.comp_id) ||
+      compareText(a.comp_id, b.comp_id);
+  });
+}
+
+/**
+ * Get the display label for a competition, e.g. "Winter Bash (live)"
+ * @param {Object} comp - Competition from AppState.competitions
+ * @returns {string} Competition name with its status if upcoming or live
+ */
+function getCompetitionLabel(comp) {
+  if (comp.status === 'upcoming' || comp.status === 'live') {
+    return `${comp.name} (${comp.status})`;
+  }
+  return comp.name;
+}
+
+/**
+ * Get a competition's display name from AppState.competitions
+ * @param {string} compId - Competition ID
+ * @returns {string} Competition name, or "Comp <id>" if it isn't listed
+ */
+function getCompetitionName(compId) {
+  const comp = AppState.competitions.find(c => c.comp_id === compId);
+  return comp ? comp.name : `Comp ${compId}`;
+}
+
+/**
+ * Create a competition filter that keeps every comp on any date
+ * @returns {Object} Filter as {comps: [], from: '', to: ''} (see AppState.currentFilter)
+ */
+function createCompFilter() {
+  return { comps: [], from: '', to: '' };
+}
+
+/**
+ * Check whether a competition filter leaves anything out
+ * @param {Object} filter - Competition filter (see AppState.currentFilter)
+ * @returns {boolean} True if comps or a date range are selected
+ */
+function isCompFilterActive(filter) {
+  return filter.comps.length > 0 || Boolean(filter.from) || Boolean(filter.to);
+}
+
+/**
+ * Filter results by competition and comp_date range
+ * A set of comps and a date range can be combined; results must match both.
+ * A single comp_id or 'all' is still accepted
+ * @param {Array} results - Array of result objects from results.csv
+ * @param {Object|string} filter - Competition filter (see AppState.currentFilter), a comp_id, or 'all'
+ * @returns {Array} Filtered array of results
+ */
+function filterByComp(results, filter) {
+  if (typeof filter === 'string') {
+    filter = filter === 'all' ? createCompFilter() : { ...createCompFilter(), comps: [filter] };
+  }
+  
+  // If nothing is selected, return all results unfiltered
+  if (!isCompFilterActive(filter)) {
+    return results;
+  }
+  
+  // Dates are YYYY-MM-DD, so they compare as text; the range is inclusive
+  const comps = new Set(filter.comps);
+  return results.filter(result =>
+    (comps.size === 0 || comps.has(result.comp_id)) &&
+    (!filter.from || (result.comp_date || '') >= filter.from) &&
+    (!filter.to || (result.comp_date || '') <= filter.to)
+  );
+}
+
+/**
+ * Compute fun statistics from results and aggregated data
+ * Calculates most attempts by team, most/least attempts by boulder, and Try Hard Award
+ * @param {Array} results - Array of result objects (filtered by competition if applicable)
+ * @param {Map<string, Object>} climberStats - Map of climber statistics
+ * @param {Map<string, Object>} teamStats - Map of team statistics
+ * @returns {Object} FunStats object with most_attempts_team, most_attempts_boulder, least_attempts_boulder, try_hard_award
+ */
+function computeFunStats(results, climberStats, teamStats) {
+  const funStats = {
+    total_attempts: 0,
+    most_attempts_team: null,
+    most_attempts_boulder: null,
+    least_attempts_boulder: null,
+    try_hard_award: null,
+    flash_master: null,
+    efficiency_king: null,
+    perfect_score: null,
+    zone_hero: null,
+    send_rate_king: null
+  };
+  
+  // Calculate total attempts across everyone
+  if (results.length > 0) {
+    let totalAttempts = 0;
+    results.forEach(result => {
+      const attempts = parseInt(result.attempts_to_zone || 0) + parseInt(result.attempts_to_top || 0);
+      totalAttempts += attempts;
+    });
+    funStats.total_attempts = totalAttempts;
+  }
+  
+  // Calculate most attempts by team
+  if (teamStats.size > 0) {
+    let maxAttempts = -1;
+    let maxTeam = null;
+    
+    teamStats.forEach((team) => {
+      if (team.total_attempts > maxAttempts) {
+        maxAttempts = team.total_attempts;
+        maxTeam = team;
+      }
+    });
+    
+    if (maxTeam) {
+      funStats.most_attempts_team = {
+        team_name: maxTeam.team_name,
+        attempts: maxTeam.total_attempts
+      };
+    }
+  }
+  
+  // Calculate most attempts by boulder and least attempts by boulder
+  if (results.length > 0) {
+    // Aggregate attempts per boulder
+    const boulderAttempts = new Map();
+    
+    results.forEach(result => {
+      const key = `${result.comp_id}:${result.boulder_id}`;
+      const attempts = parseInt(result.attempts_to_zone || 0) + parseInt(result.attempts_to_top || 0);
+      
+      if (!boulderAttempts.has(key)) {
+        boulderAttempts.set(key, {
+          comp_id: result.comp_id,
+          boulder_id: result.boulder_id,
+          attempts: 0
+        });
+      }
+      
+      const boulderData = boulderAttempts.get(key);
+      boulderData.attempts += attempts;
+    });
+    
+    // Find most attempts boulder
+    let maxBoulderAttempts = -1;
+    let maxBoulder = null;
+    
+    boulderAttempts.forEach((boulder) => {
+      if (boulder.attempts > maxBoulderAttempts) {
+        maxBoulderAttempts = boulder.attempts;
+        maxBoulder = boulder;
+      }
+    });
+    
+    if (maxBoulder) {
+      funStats.most_attempts_boulder = {
+        boulder_id: maxBoulder.boulder_id,
+        comp_id: maxBoulder.comp_id,
+        attempts: maxBoulder.attempts
+      };
+    }
+    
+    // Find least attempts boulder (excluding zero)
+    let minBoulderAttempts = Infinity;
+    let minBoulder = null;
+    
+    boulderAttempts.forEach((boulder) => {
+      if (boulder.attempts > 0 && boulder.attempts < minBoulderAttempts) {
+        minBoulderAttempts = boulder.attempts;
+        minBoulder = boulder;
+      }
+    });
+    
+    if (minBoulder) {
+      funStats.least_attempts_boulder = {
+        boulder_id: minBoulder.boulder_id,
+        comp_id: minBoulder.comp_id,
+        attempts: minBoulder.attempts
+      };
+    }
+  }
+  
+  // Calculate Try Hard Award (most attempts with at least one top, tie-breaker: most tops)
+  if (climberStats.size > 0) {
+    const candidates = [];
+    
+    climberStats.forEach((climber) => {
+      // Check if climber has at least one top
+      const climberResults = results.filter(r => r.climber_id === climber.climber_id);
+      const hasTops = climberResults.some(r => r.top_completed == 1);
+      const topCount = climberResults.filter(r => r.top_completed == 1).length;
+      
+      if (hasTops) {
+        candidates.push({
+          climber_id: climber.climber_id,
+          climber_name: climber.climber_name,
+          attempts: climber.total_attempts,
+          tops: topCount
+        });
+      }
+    });
+    
+    if (candidates.length > 0) {
+      // Sort by attempts (most first), then by tops (most first) for tie-breaker
+      candidates.sort((a, b) => {
+        if (a.attempts !== b.attempts) {
+          return b.attempts - a.attempts; // Most attempts first
+        }
+        return b.tops - a.tops; // Most tops as tie-breaker
+      });
+      
+      // Check for tie (same attempts AND same tops)
+      const maxAttempts = candidates[0].attempts;
+      const maxTops = candidates[0].tops;
+      const winners = candidates.filter(c => c.attempts === maxAttempts && c.tops === maxTops);
+      
+      if (winners.length === 1) {
+        funStats.try_hard_award = winners[0];
+      } else {
+        // Tie - show all
+        funStats.try_hard_award = {
+          climber_ids: winners.map(w => w.climber_id),
+          climber_name: winners.map(w => w.climber_name).join(' & '),
+          attempts: winners[0].attempts,
+          tops: winners[0].tops,
+          is_tie: true
+        };
+      }
+    }
+  }
+  
+  // Calculate Flash Master (most first-attempt tops, tie-breaker: fewest total attempts)
+  if (results.length > 0 && climberStats.size > 0) {
+    const flashCounts = new Map();
+    
+    results.forEach(result => {
+      if (result.top_completed == 1 && result.attempts_to_top == 1) {
+        const climberId = result.climber_id;
+        flashCounts.set(climberId, (flashCounts.get(climberId) || 0) + 1);
+      }
+    });
+    
+    // Find climbers with most flashes
+    let maxFlashes = 0;
+    flashCounts.forEach(count => {
+      if (count > maxFlashes) maxFlashes = count;
+    });
+    
+    if (maxFlashes > 0) {
+      // Get all climbers with max flashes
+      const candidates = [];
+      flashCounts.forEach((count, climberId) => {
+        if (count === maxFlashes) {
+          const climber = climberStats.get(climberId);
+          if (climber) {
+            candidates.push({
+              climber_id: climberId,
+              climber_name: climber.climber_name,
+              flashes: count,
+              attempts: climber.total_attempts
+            });
+          }
+        }
+      });
+      
+      // Sort by attempts (fewest first) for tie-breaker
+      candidates.sort((a, b) => a.attempts - b.attempts);
+      
+      // Check for tie
+      const fewestAttempts = candidates[0].attempts;
+      const winners = candidates.filter(c => c.attempts === fewestAttempts);
+      
+      if (winners.length === 1) {
+        funStats.flash_master = winners[0];
+      } else {
+        // Tie - show all
+        funStats.flash_master = {
+          climber_ids: winners.map(w => w.climber_id),
+          climber_name: winners.map(w => w.climber_name).join(' & '),
+          flashes: winners[0].flashes,
+          attempts: winners[0].attempts,
+          is_tie: true
+        };
+      }
+    }
+  }
+  
+  // Calculate Efficiency King (best points per attempt ratio, tie: show all with same ratio)
+  // Uses points before the attempt penalty, which would otherwise count attempts against climbers twice
+  if (climberStats.size > 0) {
+    const candidates = [];
+    
+    climberStats.forEach((climber) => {
+      if (climber.total_attempts > 0) {
+        const ratio = climber.total_base_points / climber.total_attempts;
+        candidates.push({
+          climber_id: climber.climber_id,
+          climber_name: climber.climber_name,
+          ratio: ratio,
+          ratio_display: ratio.toFixed(2)
+        });
+      }
+    });
+    
+    if (candidates.length > 0) {
+      // Sort by ratio (highest first)
+      candidates.sort((a, b) => b.ratio - a.ratio);
+      
+      // Get all with best ratio (accounting for floating point precision)
+      const bestRatio = candidates[0].ratio;
+      const winners = candidates.filter(c => Math.abs(c.ratio - bestRatio) < 0.001);
+      
+      if (winners.length === 1) {
+        funStats.efficiency_king = {
+          climber_id: winners[0].climber_id,
+          climber_name: winners[0].climber_name,
+          ratio: winners[0].ratio_display
+        };
+      } else {
+        // Tie - show all
+        funStats.efficiency_king = {
+          climber_ids: winners.map(w => w.climber_id),
+          climber_name: winners.map(w => w.climber_name).join(' & '),
+          ratio: winners[0].ratio_display,
+          is_tie: true
+        };
+      }
+    }
+  }
+  
+  // Calculate Perfect Score (climber who topped all boulders in a comp)
+  if (results.length > 0 && climberStats.size > 0) {
+    // Group results by comp and climber
+    const compClimberTops = new Map();
+    const compBoulderCounts = new Map();
+    
+    results.forEach(result => {
+      const compId = result.comp_id;
+      const climberId = result.climber_id;
+      const key = `${compId}:${climberId}`;
+      
+      // Count unique boulders per comp
+      if (!compBoulderCounts.has(compId)) {
+        compBoulderCounts.set(compId, new Set());
+      }
+      compBoulderCounts.get(compId).add(result.boulder_id);
+      
+      // Count tops per climber per comp
+      if (result.top_completed == 1) {
+        if (!compClimberTops.has(key)) {
+          compClimberTops.set(key, { climberId, compId, tops: 0 });
+        }
+        compClimberTops.get(key).tops++;
+      }
+    });
+    
+    // Find climbers who topped all boulders in a single comp
+    // Group by comp to handle multiple winners in the same comp
+    const perfectScoresByComp = new Map();
+    
+    compClimberTops.forEach((data) => {
+      const totalBoulders = compBoulderCounts.get(data.compId)?.size || 0;
+      if (data.tops === totalBoulders && totalBoulders > 0) {
+        const climber = climberStats.get(data.climberId);
+        if (climber) {
+          // Calculate total attempts for this climber in this comp
+          const climberCompResults = results.filter(r => 
+            r.climber_id === data.climberId && r.comp_id === data.compId
+          );
+          const totalAttempts = climberCompResults.reduce((sum, r) => 
+            sum + parseInt(r.attempts_to_zone || 0) + parseInt(r.attempts_to_top || 0), 0
+          );
+          
+          if (!perfectScoresByComp.has(data.compId)) {
+            perfectScoresByComp.set(data.compId, []);
+          }
+          perfectScoresByComp.get(data.compId).push({
+            climber_name: climber.climber_name,
+            climber_id: data.climberId,
+            comp_id: data.compId,
+            boulders: totalBoulders,
+            attempts: totalAttempts
+          });
+        }
+      }
+    });
+    
+    // Compare ALL perfect scores across ALL comps to find the overall winner(s)
+    if (perfectScoresByComp.size > 0) {
+      // Flatten all perfect scores from all comps into one array
+      let allPerfectScores = [];
+      perfectScoresByComp.forEach((winners, compId) => {
+        allPerfectScores.push(...winners);
+      });
+      
+      // Sort by attempts (fewest first) - this is the tie-breaker
+      allPerfectScores.sort((a, b) => a.attempts - b.attempts);
+      
+      // Find the fewest attempts
+      const fewestAttempts = allPerfectScores[0].attempts;
+      
+      // Get all winners with the fewest attempts (could be from different comps)
+      const overallWinners = allPerfectScores.filter(w => w.attempts === fewestAttempts);
+      
+      if (overallWinners.length === 1) {
+        // Single overall winner
+        funStats.perfect_score = overallWinners[0];
+        
+        // Count other perfect scores
+        funStats.perfect_score.other_comps_count = allPerfectScores.length - 1;
+      } else {
+        // Multiple winners tied with same attempts
+        // Check if they're all from the same comp
+        const comps = new Set(overallWinners.map(w => w.comp_id));
+        
+        if (comps.size === 1) {
+          // All tied winners from same comp
+          funStats.perfect_score = {
+            climber_ids: overallWinners.map(w => w.climber_id),
+            climber_name: overallWinners.map(w => w.climber_name).join(' & '),
+            comp_id: overallWinners[0].comp_id,
+            boulders: overallWinners[0].boulders,
+            attempts: overallWinners[0].attempts,
+            is_tie: true,
+            winner_count: overallWinners.length,
+            other_comps_count: allPerfectScores.length - overallWinners.length
+          };
+        } else {
+          // Tied winners from different comps - show all with their comps
+          const winnerText = overallWinners.map(w => `${w.climber_name} (${getCompetitionName(w.comp_id)})`).join(' & ');
+          funStats.perfect_score = {
+            climber_ids: overallWinners.map(w => w.climber_id),
+            climber_name: winnerText,
+            comp_id: 'Multiple',
+            boulders: overallWinners[0].boulders,
+            attempts: overallWinners[0].attempts,
+            is_tie: true,
+            winner_count: overallWinners.length,
+            other_comps_count: allPerfectScores.length - overallWinners.length
+          };
+        }
+      }
+    }
+  }
+  
+  // Calculate Zone Hero (most zones without tops, tie-breaker: fewest attempts)
+  if (results.length > 0 && climberStats.size > 0) {
+    const zoneOnlyCounts = new Map();
+    
+    results.forEach(result => {
+      if (result.zone_completed == 1 && result.top_completed == 0) {
+        const climberId = result.climber_id;
+        zoneOnlyCounts.set(climberId, (zoneOnlyCounts.get(climberId) || 0) + 1);
+      }
+    });
+    
+    // Find max zones
+    let maxZones = 0;
+    zoneOnlyCounts.forEach(count => {
+      if (count > maxZones) maxZones = count;
+    });
+    
+    if (maxZones > 0) {
+      // Get all climbers with max zones
+      const candidates = [];
+      zoneOnlyCounts.forEach((count, climberId) => {
+        if (count === maxZones) {
+          const climber = climberStats.get(climberId);
+          if (climber) {
+            candidates.push({
+              climber_id: climberId,
+              climber_name: climber.climber_name,
+              zones: count,
+              attempts: climber.total_attempts
+            });
+          }
+        }
+      });
+      
+      // Sort by attempts (fewest first) for tie-breaker
+      candidates.sort((a, b) => a.attempts - b.attempts);
+      
+      // Check for tie
+      const fewestAttempts = candidates[0].attempts;
+      const winners = candidates.filter(c => c.attempts === fewestAttempts);
+      
+      if (winners.length === 1) {
+        funStats.zone_hero = winners[0];
+      } else {
+        // Tie - show all
+        funStats.zone_hero = {
+          climber_ids: winners.map(w => w.climber_id),
+          climber_name: winners.map(w => w.climber_name).join(' & '),
+          zones: winners[0].zones,
+          attempts: winners[0].attempts,
+          is_tie: true
+        };
+      }
+    }
+  }
+  
+  // Calculate Send Rate King (highest percentage of boulders topped)
+  if (climberStats.size > 0) {
+    const candidates = [];
+    
+    climberStats.forEach((climber, climberId) => {
+      // Count total boulders attempted (any result entry for this climber)
+      const bouldersAttempted = results.filter(r => r.climber_id === climberId).length;
+      
+      // Only consider climbers who attempted at least 5 boulders
+      if (bouldersAttempted >= 5) {
+        const topsCount = results.filter(r => 
+          r.climber_id === climberId && parseInt(r.top_completed) === 1
+        ).length;
+        
+        const sendRate = (topsCount / bouldersAttempted) * 100;
+        
+        candidates.push({
+          climber_id: climberId,
+          climber_name: climber.climber_name,
+          send_rate: sendRate,
+          tops: topsCount,
+          boulders_attempted: bouldersAttempted,
+          total_attempts: climber.total_attempts // Use actual attempt count for tiebreaker
+        });
+      }
+    });
+    
+    if (candidates.length > 0) {
+      // Sort by send rate (highest first), then by total attempts (fewest first)
+      candidates.sort((a, b) => {
+        if (b.send_rate !== a.send_rate) {
+          return b.send_rate - a.send_rate;
+        }
+        return a.total_attempts - b.total_attempts; // Tiebreaker: fewest total attempts wins
+      });
+      
+      // Get the highest send rate and fewest total attempts among those with highest rate
+      const highestRate = candidates[0].send_rate;
+      const tiedByRate = candidates.filter(c => c.send_rate === highestRate);
+      const fewestAttempts = tiedByRate[0].total_attempts;
+      const winners = tiedByRate.filter(c => c.total_attempts === fewestAttempts);
+      
+      if (winners.length === 1) {
+        funStats.send_rate_king = {
+          climber_id: winners[0].climber_id,
+          climber_name: winners[0].climber_name,
+          send_rate: winners[0].send_rate.toFixed(1),
+          tops: winners[0].tops,
+          boulders_attempted: winners[0].boulders_attempted
+        };
+      } else {
+        // Still tied after tiebreaker - show all
+        funStats.send_rate_king = {
+          climber_ids: winners.map(w => w.climber_id),
+          climber_name: winners.map(w => w.climber_name).join(' & '),
+          send_rate: winners[0].send_rate.toFixed(1),
+          tops: winners[0].tops,
+          boulders_attempted: winners[0].boulders_attempted,
+          is_tie: true
+        };
+      }
+    }
+  }
+  
+  return funStats;
+}
+
+// ============================================
+// Sorting Functions
+// ============================================
+
+/**
+ * Set up sorting functionality for a table
+ * Attaches click handlers to table headers with data-sort attributes
+ * - click: sort by that column only, toggling ascending/descending on repeated clicks
+ * - shift-click: add the column to the current sort (e.g. division, then points),
+ *   or toggle its direction if it is already part of it
+ * The sort is stored in AppState.sortState and applied to the data before the
+ * table is rendered (see sortTableData), so it survives filter changes and reloads
+ * @param {HTMLTableElement} table - The table element to make sortable
+ */
+function setupSorting(table) {
+  if (!table) {
+    console.warn('setupSorting: table element is null or undefined');
+    return;
+  }
+  
+  const headers = table.querySelectorAll('thead th[data-sort]');
+  
+  headers.forEach(header => {
+    header.addEventListener('click', (event) => {
+      const sortKey = header.getAttribute('data-sort');
+      const current = AppState.sortState.table === table.id ? AppState.sortState.columns : [];
+      const existing = current.find(({ column }) => column === sortKey);
+      
+      // Determine sort direction: repeated clicks toggle it
+      const direction = existing && existing.direction === 'asc' ? 'desc' : 'asc';
+      
+      let columns;
+      if (event.shiftKey && existing) {
+        columns = current.map(entry => (entry === existing ? { column: sortKey, direction } : entry));
+      } else if (event.shiftKey) {
+        columns = [...current, { column: sortKey, direction: 'asc' }];
+      } else {
+        columns = [{ column: sortKey, direction }];
+      }
+      
+      AppState.setSort(table.id, columns);
+    });
+  });
+}
+
+/**
+ * Values to sort leaderboard rows by, keyed by data-sort column
+ * Each takes a row as {entry, rank, tied} from rankLeaderboard; columns not listed
+ * here are CONFIG.categories columns, read from entry.categories
+ */
+const SORT_VALUES = {
+  rank: ({ rank }) => rank,
+  team: ({ entry }) => entry.team_name,
+  climber: ({ entry }) => entry.climber_name,
+  // Divisions sort in their configured order rather than alphabetically
+  division: ({ entry }) => {
+    const index = AppState.divisions.findIndex(division => division.name === entry.division);
+    return index === -1 ? AppState.divisions.length : index;
+  },
+  points: ({ entry }) => entry.total_points,
+  attempts: ({ entry }) => entry.total_attempts,
+  tops: ({ entry }) => entry.total_tops,
+  zones: ({ entry }) => entry.total_zones,
+  top_attempts: ({ entry }) => entry.total_top_attempts,
+  zone_attempts: ({ entry }) => entry.total_zone_attempts,
+  league_points: ({ entry }) => entry.total_points
+};
+
+/**
+ * Order a table's rows by AppState.sortState before they are rendered
+ * Rows not told apart by the sorted columns keep their ranking order. Columns whose
+ * header is hidden in the current ranking mode are skipped
+ * @param {HTMLTableElement} table - Table the rows are for
+ * @param {Array<Object>} rows - Rows as {entry, rank, tied}, in ranking order
+ * @returns {Array<Object>} Sorted rows (the input array when the table isn't sorted)
+ */
+function sortTableData(table, rows) {
+  const { table: tableId, columns } = AppState.sortState;
+  if (tableId !== table.id || columns.length === 0) return rows;
+  
+  const activeColumns = columns.filter(({ column }) => {
+    const header = table.querySelector(`thead th[data-sort="${column}"]`);
+    return header && !(header.dataset.ranking && header.dataset.ranking !== AppState.rankingMode);
+  });
+  
+  const valueOf = (row, column) =>
+    (SORT_VALUES[column] ? SORT_VALUES[column](row) : (row.entry.categories || {})[column]) ?? '';
+  
+  return [...rows].sort((a, b) => {
+    for (const { column, direction } of activeColumns) {
+      const valueA = valueOf(a, column);
+      const valueB = valueOf(b, column);
+      const comparison = typeof valueA === 'number' && typeof valueB === 'number'
+        ? compareNumeric(valueA, valueB)
+        : compareText(valueA, valueB);
+      if (comparison) {
+        return direction === 'asc' ? comparison : -comparison;
+      }
+    }
+    return 0;
+  });
+}
+
+/**
+ * Show the sort arrows on the headers in AppState.sortState only
+ * With more than one sorted column, each header also shows its place in the sort (▲1, ▼2)
+ */
+function syncSortHeaders() {
+  const { table: tableId, columns } = AppState.sortState;
+  document.querySelectorAll('thead th[data-sort]').forEach(header => {
+    header.classList.remove('sort-asc', 'sort-desc');
+    header.removeAttribute('data-sort-order');
+  });
+  
+  const table = tableId ? document.getElementById(tableId) : null;
+  if (!table) return;
+  
+  columns.forEach(({ column, direction }, index) => {
+    const header = table.querySelector(`thead th[data-sort="${column}"]`);
+    if (!header) return;
+    header.classList.add(`sort-${direction}`);
+    if (columns.length > 1) {
+      header.setAttribute('data-sort-order', index + 1);
+    }
+  });
+}
+
+/**
+ * Numeric comparison function for sorting
+ * Compares two values numerically (not alphabetically)
+ * @param {string|number} a - First value
+ * @param {string|number} b - Second value
+ * @returns {number} Negative if a < b, positive if a > b, 0 if equal
+ */
+function compareNumeric(a, b) {
+  const numA = parseFloat(a);
+  const numB = parseFloat(b);
+  
+  // Handle NaN cases
+  if (isNaN(numA) && isNaN(numB)) return 0;
+  if (isNaN(numA)) return 1; // Put NaN values at the end
+  if (isNaN(numB)) return -1;
+  
+  return numA - numB;
+}
+
+/**
+ * Case-insensitive text comparison function for sorting
+ * Compares two strings alphabetically, ignoring case
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Negative if a < b, positive if a > b, 0 if equal
+ */
+function compareText(a, b) {
+  const strA = String(a || '').toLowerCase();
+  const strB = String(b || '').toLowerCase();
+  return strA.localeCompare(strB);
+}
+
+/**
+ * Tie-breaks used when CONFIG.ranking.tieBreaks is not set
+ * Matches the original order: points, then fewest attempts
+ */
+const DEFAULT_TIE_BREAKS = ['fewest-attempts'];
+
+/**
+ * Tie-break comparators, by the names used in CONFIG.ranking.tieBreaks
+ * Each takes two leaderboard entries and the comp_ids in view (in comp order)
+ * and returns a negative number when the first entry ranks higher, 0 when still tied
+ */
+const TIE_BREAKERS = {
+  // Fewer total attempts
+  'fewest-attempts': (a, b) => a.total_attempts - b.total_attempts,
+  
+  // More tops on the first attempt
+  'most-flashes': (a, b) => b.total_flashes - a.total_flashes,
+  
+  // Countback: compare best single comps, then second best, and so on
+  'best-comp': (a, b) => {
+    const countedPoints = entry => Array.from(entry.comp_breakdown || new Map())
+      .filter(([compId]) => !(entry.dropped_comps && entry.dropped_comps.has(compId)))
+      .map(([, tally]) => tally.points)
+      .sort((x, y) => y - x);
+    const pointsA = countedPoints(a);
+    const pointsB = countedPoints(b);
+    
+    for (let i = 0; i < Math.max(pointsA.length, pointsB.length); i++) {
+      const diff = (pointsB[i] || 0) - (pointsA[i] || 0);
+      if (diff) return diff;
+    }
+    return 0;
+  },
+  
+  // Head-to-head: more points at the latest comp either of them climbed
+  'last-comp': (a, b, compOrder) => {
+    const breakdownA = a.comp_breakdown || new Map();
+    const breakdownB = b.comp_breakdown || new Map();
+    const lastComp = [...compOrder].reverse().find(compId => breakdownA.has(compId) || breakdownB.has(compId));
+    if (!lastComp) return 0;
+    
+    const pointsOf = breakdown => (breakdown.has(lastComp) ? breakdown.get(lastComp).points : 0);
+    return pointsOf(breakdownB) - pointsOf(breakdownA);
+  }
+};
+
+/**
+ * Get the ranking options used by every leaderboard
+ * @returns {Object} { mode, tieBreaks, compOrder } - tieBreaks from CONFIG.ranking.tieBreaks
+ *   (unknown names are skipped), compOrder is every comp_id in season order
+ */
+function getRankingOptions() {
+  const configured = CONFIG.ranking && CONFIG.ranking.tieBreaks;
+  const tieBreaks = (Array.isArray(configured) ? configured : DEFAULT_TIE_BREAKS).filter(name => {
+    if (TIE_BREAKERS[name]) return true;
+    console.warn(`Unknown tie-break "${name}" in CONFIG.ranking.tieBreaks`);
+    return false;
+  });
+  
+  return {
+    mode: AppState.rankingMode,
+    tieBreaks,
+    compOrder: AppState.competitions.map(comp => comp.comp_id)
+  };
+}
+
+/**
+ * Compare two leaderboard entries on score only (no name)
+ * Primary: total points (descending), or in 'ifsc' mode most tops, most zones,
+ * fewest attempts to tops, fewest attempts to zones
+ * Then each tie-break in order
+ * @param {Object} a - Entry with "total_" tallies and comp_breakdown
+ * @param {Object} b - Entry with "total_" tallies and comp_breakdown
+ * @param {Object} options - Ranking options from getRankingOptions
+ * @returns {number} Negative if a ranks higher, 0 for a true tie
+ */
+function compareStanding(a, b, { mode = 'points', tieBreaks = DEFAULT_TIE_BREAKS, compOrder = [] } = {}) {
+  const primary = mode === 'ifsc'
+    ? (b.total_tops - a.total_tops) ||
+      (b.total_zones - a.total_zones) ||
+      (a.total_top_attempts - b.total_top_attempts) ||
+      (a.total_zone_attempts - b.total_zone_attempts)
+    : b.total_points - a.total_points;
+  if (primary) return primary;
+  
+  for (const name of tieBreaks) {
+    const result = TIE_BREAKERS[name] ? TIE_BREAKERS[name](a, b, compOrder) : 0;
+    if (result) return result;
+  }
+  return 0;
+}
+
+/**
+ * Sort leaderboard data by standing (see compareStanding)
+ * Entries still tied after every tie-break are listed by name, which does not affect their rank
+ * @param {Array} data - Array of objects with "total_" tallies and name properties
+ * @param {string} nameKey - Key to use for name (e.g., 'team_name' or 'climber_name')
+ * @param {Object} options - Ranking options from getRankingOptions
+ * @returns {Array} Sorted array
+ */
+function sortLeaderboard(data, nameKey, options = {}) {
+  return [...data].sort((a, b) => compareStanding(a, b, options) || compareText(a[nameKey], b[nameKey]));
+}
+
+/**
+ * Sort leaderboard data and assign standard competition ranks (1, 2, 2, 4)
+ * Entries get the same rank only when they are still tied after every tie-break
+ * @param {Array} data - Array of objects with "total_" tallies and name properties
+ * @param {string} nameKey - Key to use for name (e.g., 'team_name' or 'climber_name')
+ * @param {Object} options - Ranking options from getRankingOptions
+ * @returns {Array<Object>} Sorted array of { entry, rank, tied }
+ */
+function rankLeaderboard(data, nameKey, options = {}) {
+  const sorted = sortLeaderboard(data, nameKey, options);
+  const isTied = (i, j) => j >= 0 && j < sorted.length && compareStanding(sorted[i], sorted[j], options) === 0;
+  
+  const ranked = [];
+  sorted.forEach((entry, index) => {
+    const rank = isTied(index, index - 1) ? ranked[index - 1].rank : index + 1;
+    ranked.push({ entry, rank, tied: isTied(index, index - 1) || isTied(index, index + 1) });
+  });
+  return ranked;
+}
+
+/**
+ * Build the rank cell for a leaderboard row
+ * Shared ranks are shown as "T2"; data-rank keeps the number for sorting
+ * @param {number} rank - Rank from rankLeaderboard
+ * @param {boolean} tied - Whether the rank is shared
+ * @returns {HTMLTableCellElement} Rank cell
+ */
+function createRankCell(rank, tied) {
+  const rankCell = document.createElement('td');
+  rankCell.textContent = tied ? `T${rank}` : rank;
+  rankCell.setAttribute('data-rank', rank);
+  if (tied) {
+    rankCell.title = `Tied for ${rank}`;
+  }
+  return rankCell;
+}
+
+// ============================================
+// Leaderboard Rendering Functions
+// ============================================
+
+/**
+ * Create the climber name cell for a leaderboard row
+ * The name is a button that opens the climber's profile (see setupClimberProfile)
+ * @param {Object} stats - Climber statistics (climber_id, climber_name)
+ * @returns {HTMLTableCellElement} Climber name cell
+ */
+function createClimberCell(stats) {
+  const cell = document.createElement('td');
+  cell.appendChild(createClimberLink(stats));
+  return cell;
+}
+
+/**
+ * Create a climber name button that opens the climber's profile
+ * @param {Object} climber - Object with climber_id and climber_name
+ * @returns {HTMLButtonElement} Climber link
+ */
+function createClimberLink(climber) {
+  const link = document.createElement('button');
+  link.type = 'button';
+  link.className = 'climber-link';
+  link.dataset.climberId = climber.climber_id;
+  link.textContent = climber.climber_name;
+  link.title = `Open ${climber.climber_name}'s profile`;
+  return link;
+}
+
+/**
+ * Score columns shown in every leaderboard for each ranking mode, in column order
+ * Headers in index.html carry a matching data-ranking attribute
+ */
+const RANKING_COLUMNS = {
+  points: ['total_points', 'total_attempts'],
+  ifsc: ['total_tops', 'total_zones', 'total_top_attempts', 'total_zone_attempts']
+};
+
+/**
+ * Append the score cells for the ranking mode to a leaderboard row
+ * @param {HTMLTableRowElement} row - Row being built
+ * @param {Object} stats - Team or climber stats with "total_" tallies
+ * @param {string} mode - Ranking mode: 'points' or 'ifsc'
+ */
+function appendRankingCells(row, stats, mode) {
+  (RANKING_COLUMNS[mode] || RANKING_COLUMNS.points).forEach(field => {
+    const cell = document.createElement('td');
+    cell.textContent = formatScore(stats[field]);
+    cell.setAttribute('data-type', 'number');
+    row.appendChild(cell);
+  });
+}
+
+/**
+ * Format a score for display, rounded to one decimal place
+ * Team scores in 'average' mode are fractions, kept at full precision for totals and ranking
+ * @param {number} value - Score (points, attempts, tops, ...)
+ * @returns {number} Rounded score, e.g. 33.3
+ */
+function formatScore(value) {
+  return Math.round(value * 10) / 10;
+}
+
+/**
+ * Show the header cells for the ranking mode and hide the others
+ * @param {HTMLTableElement} table - Leaderboard table
+ * @param {string} mode - Ranking mode: 'points' or 'ifsc'
+ */
+function updateRankingHeaders(table, mode) {
+  table.querySelectorAll('thead th[data-ranking]').forEach(header => {
+    header.hidden = header.dataset.ranking !== mode;
+  });
+}
+
+/**
+ * Add a header for each category column after the Division header
+ * Runs before setupSorting on the first render, so the new headers are sortable
+ * @param {HTMLTableElement} table - Leaderboard table with a Division header
+ * @param {Array<Object>} categoryColumns - Categories from getCategoryColumns
+ */
+function updateCategoryHeaders(table, categoryColumns) {
+  let previous = table.querySelector('thead th[data-sort="division"]');
+  if (!previous) return;
+  
+  categoryColumns.forEach(({ column, label }) => {
+    let header = table.querySelector(`thead th[data-category="${column}"]`);
+    if (!header) {
+      header = document.createElement('th');
+      header.dataset.category = column;
+      header.dataset.sort = column;
+      header.textContent = label;
+    }
+    previous.after(header);
+    previous = header;
+  });
+}
+
+/**
+ * Render team leaderboard table
+ * Displays teams ranked by points, attempts, and name
+ * Includes columns: Rank, Team, Total Points, Total Attempts
+ * @param {Map<string, Object>} teamStats - Map of team statistics from aggregateTeamStats
+ */
+function renderTeamLeaderboard(teamStats) {
+  const table = document.getElementById('team-leaderboard');
+  if (!table) {
+    console.error('Team leaderboard table not found');
+    return;
+  }
+  
+  const tbody = table.querySelector('tbody');
+  if (!tbody) {
+    console.error('Team leaderboard tbody not found');
+    return;
+  }
+  
+  // Clear existing rows
+  tbody.innerHTML = '';
+  
+  // Convert Map to array and sort using leaderboard criteria
+  const teamsArray = Array.from(teamStats.values());
+  const rankedTeams = rankLeaderboard(teamsArray, 'team_name', getRankingOptions());
+  
+  // Show whose scores counted when not every member's points are summed
+  const showCounted = getTeamScoringRules().mode !== 'sum';
+  
+  // Generate table rows with rank as data attribute, in the user's sort order
+  sortTableData(table, rankedTeams).forEach(({ entry: team, rank, tied }) => {
+    const row = document.createElement('tr');
+    
+    // Rank column - store actual rank as data attribute
+    row.appendChild(createRankCell(rank, tied));
+    
+    // Team name column
+    const teamCell = document.createElement('td');
+    teamCell.textContent = team.team_name;
+    row.appendChild(teamCell);
+    
+    // Score columns for the ranking mode (points/attempts or tops/zones/attempts)
+    appendRankingCells(row, team, AppState.rankingMode);
+    
+    // Counted members column
+    if (showCounted) {
+      row.appendChild(createCountedMembersCell(team));
+    }
+    
+    tbody.appendChild(row);
+  });
+  
+  updateRankingHeaders(table, AppState.rankingMode);
+  const countedHeader = table.querySelector('thead th[data-team-scoring]');
+  if (countedHeader) {
+    countedHeader.hidden = !showCounted;
+  }
+  
+  // Set up sorting handlers only if not already set up
+  if (!table.dataset.sortingInitialized) {
+    setupSorting(table);
+    table.dataset.sortingInitialized = 'true';
+  }
+}
+
+/**
+ * Build the team leaderboard cell listing whose scores counted in each comp
+ * @param {Object} team - TeamStats from aggregateTeamStats
+ * @returns {HTMLTableCellElement} Cell with one line per comp, in comp order
+ */
+function createCountedMembersCell(team) {
+  const cell = document.createElement('td');
+  cell.className = 'counted-members';
+  
+  const compIds = AppState.competitions
+    .map(comp => comp.comp_id)
+    .filter(compId => team.comp_breakdown.has(compId));
+  
+  compIds.forEach(compId => {
+    const compTally = team.comp_breakdown.get(compId);
+    const line = document.createElement('div');
+    
+    const compLabel = document.createElement('strong');
+    compLabel.textContent = compTally.placement
+      ? `${getCompetitionName(compId)} (${compTally.tied ? 'T' : '#'}${compTally.placement}, ${compTally.points} pts):`
+      : `${getCompetitionName(compId)}:`;
+    line.appendChild(compLabel);
+    compTally.counted.forEach((member, index) => {
+      line.appendChild(document.createTextNode(index === 0 ? ' ' : ', '));
+      line.appendChild(createClimberLink(member));
+    });
+    
+    cell.appendChild(line);
+  });
+  
+  return cell;
+}
+
+/**
+ * Render individual leaderboard table
+ * Displays all climbers ranked by points, attempts, and name
+ * Includes columns: Rank, Climber, Team, Division, Total Points, Total Attempts
+ * @param {Map<string, Object>} climberStats - Map of climber statistics from aggregateClimberStats
+ */
+function renderIndividualLeaderboard(climberStats) {
+  const table = document.getElementById('individual-leaderboard');
+  if (!table) {
+    console.error('Individual leaderboard table not found');
+    return;
+  }
+  
+  const tbody = table.querySelector('tbody');
+  if (!tbody) {
+    console.error('Individual leaderboard tbody not found');
+    return;
+  }
+  
+  // Clear existing rows
+  tbody.innerHTML = '';
+  
+  // Convert Map to array and sort using leaderboard criteria
+  const climbersArray = Array.from(climberStats.values());
+  const rankedClimbers = rankLeaderboard(climbersArray, 'climber_name', getRankingOptions());
+  const categoryColumns = getCategoryColumns();
+  
+  // Category headers first, so a sort by category finds its column
+  updateCategoryHeaders(table, categoryColumns);
+  
+  // Generate table rows with rank as data attribute, in the user's sort order
+  sortTableData(table, rankedClimbers).forEach(({ entry: climber, rank, tied }) => {
+    const row = document.createElement('tr');
+    
+    // Rank column - store actual rank as data attribute
+    row.appendChild(createRankCell(rank, tied));
+    
+    // Climber name column (opens the climber profile)
+    row.appendChild(createClimberCell(climber));
+    
+    // Team name column
+    const teamCell = document.createElement('td');
+    teamCell.textContent = climber.team_name;
+    row.appendChild(teamCell);
+    
+    // Division column
+    const divisionCell = document.createElement('td');
+    divisionCell.textContent = climber.division;
+    row.appendChild(divisionCell);
+    
+    // Category columns (CONFIG.categories)
+    categoryColumns.forEach(({ column }) => {
+      const categoryCell = document.createElement('td');
+      categoryCell.textContent = climber.categories[column];
+      row.appendChild(categoryCell);
+    });
+    
+    // Score columns for the ranking mode (points/attempts or tops/zones/attempts)
+    appendRankingCells(row, climber, AppState.rankingMode);
+    
+    tbody.appendChild(row);
+  });
+  
+  updateRankingHeaders(table, AppState.rankingMode);
+  
+  // Set up sorting handlers only if not already set up
+  if (!table.dataset.sortingInitialized) {
+    setupSorting(table);
+    table.dataset.sortingInitialized = 'true';
+  }
+}
+
+/**
+ * Render division-specific leaderboard tables
+ * Creates one table per division from the #division-leaderboard-template, in division order
+ * Tables are kept between renders (with their sorting handlers) and removed when
+ * their division is no longer in the data
+ * Each table shows climbers filtered by division
+ * @param {Map<string, Array>} divisionStats - Map of division name to array of climber stats
+ * @param {Array<Object>} divisions - Divisions from getDivisions
+ */
+function renderDivisionLeaderboards(divisionStats, divisions) {
+  const container = document.getElementById('division-leaderboards');
+  const template = document.getElementById('division-leaderboard-template');
+  if (!container || !template) {
+    console.error('Division leaderboards container or template not found');
+    return;
+  }
+  
+  // Drop boards for divisions that are gone
+  const tableIds = new Set(divisions.map(division => division.tableId));
+  container.querySelectorAll('.division-leaderboard').forEach(board => {
+    if (!tableIds.has(board.dataset.tableId)) {
+      board.remove();
+    }
+  });
+  
+  // Render each division leaderboard
+  divisions.forEach(({ name, label, emoji, tableId }) => {
+    let board = container.querySelector(`.division-leaderboard[data-table-id="${tableId}"]`);
+    if (!board) {
+      board = template.content.firstElementChild.cloneNode(true);
+      board.dataset.tableId = tableId;
+      board.querySelector('table').id = tableId;
+    }
+    board.querySelector('h3').textContent = `${emoji} ${label}`;
+    container.appendChild(board); // keeps boards in division order
+    
+    const table = board.querySelector('table');
+    
+    const tbody = table.querySelector('tbody');
+    if (!tbody) {
+      console.error(`${name} leaderboard tbody not found`);
+      return;
+    }
+    
+    // Clear existing rows
+    tbody.innerHTML = '';
+    
+    // Get climbers for this division
+    const climbers = divisionStats.get(name) || [];
+    
+    // Sort climbers using leaderboard criteria
+    const rankedClimbers = rankLeaderboard(climbers, 'climber_name', getRankingOptions());
+    
+    // Generate table rows with rank as data attribute, in the user's sort order
+    sortTableData(table, rankedClimbers).forEach(({ entry: climber, rank, tied }) => {
+      const row = document.createElement('tr');
+      
+      // Rank column - store actual rank as data attribute
+      row.appendChild(createRankCell(rank, tied));
+      
+      // Climber name column (opens the climber profile)
+      row.appendChild(createClimberCell(climber));
+      
+      // Team name column
+      const teamCell = document.createElement('td');
+      teamCell.textContent = climber.team_name;
+      row.appendChild(teamCell);
+      
+      // Score columns for the ranking mode (points/attempts or tops/zones/attempts)
+      appendRankingCells(row, climber, AppState.rankingMode);
+      
+      tbody.appendChild(row);
+    });
+    
+    updateRankingHeaders(table, AppState.rankingMode);
+    
+    // Set up sorting handlers only if not already set up
+    if (!table.dataset.sortingInitialized) {
+      setupSorting(table);
+      table.dataset.sortingInitialized = 'true';
+    }
+  });
+}
+
+/**
+ * Render the season standings table
+ * Climbers are grouped by division and ranked within it by league points, using the
+ * configured tie-breaks (countback and head-to-head compare league points per comp)
+ * Includes columns: Rank, Climber, Team, Division, Placements, League Points
+ * @param {Map<string, Array>} seasonStandings - Map of division name to StandingEntry objects from computeSeasonStandings
+ */
+function renderSeasonStandings(seasonStandings) {
+  const table = document.getElementById('season-standings');
+  if (!table) {
+    console.error('Season standings table not found');
+    return;
+  }
+  
+  const tbody = table.querySelector('tbody');
+  if (!tbody) {
+    console.error('Season standings tbody not found');
+    return;
+  }
+  
+  // Clear existing rows
+  tbody.innerHTML = '';
+  
+  // Placements always rank by league points, whatever the ranking mode
+  const options = { ...getRankingOptions(), mode: 'points' };
+  
+  // Rank within each division, then sort all rows together
+  const rankedStandings = [];
+  seasonStandings.forEach(entries => {
+    rankedStandings.push(...rankLeaderboard(entries, 'climber_name', options));
+  });
+  
+  sortTableData(table, rankedStandings).forEach(({ entry: standing, rank, tied }) => {
+    const row = document.createElement('tr');
+    
+    // Rank within the division
+    row.appendChild(createRankCell(rank, tied));
+    
+    // Climber name column (opens the climber profile)
+    row.appendChild(createClimberCell(standing));
+    
+    // Team name column
+    const teamCell = document.createElement('td');
+    teamCell.textContent = standing.team_name;
+    row.appendChild(teamCell);
+    
+    // Division column
+    const divisionCell = document.createElement('td');
+    divisionCell.textContent = standing.division;
+    row.appendChild(divisionCell);
+    
+    // Placement at each comp, in comp order
+    row.appendChild(createPlacementsCell(standing));
+    
+    // League points column
+    const pointsCell = document.createElement('td');
+    pointsCell.textContent = standing.total_points;
+    pointsCell.setAttribute('data-type', 'number');
+    row.appendChild(pointsCell);
+    
+    tbody.appendChild(row);
+  });
+  
+  // Set up sorting handlers only if not already set up
+  if (!table.dataset.sortingInitialized) {
+    setupSorting(table);
+    table.dataset.sortingInitialized = 'true';
+  }
+}
+
+/**
+ * Build the season standings cell listing a climber's placement at each comp
+ * @param {Object} standing - StandingEntry from computeSeasonStandings
+ * @returns {HTMLTableCellElement} Cell with one line per comp, in comp order
+ */
+function createPlacementsCell(standing) {
+  const cell = document.createElement('td');
+  cell.className = 'comp-placements';
+  
+  const compIds = AppState.competitions
+    .map(comp => comp.comp_id)
+    .filter(compId => standing.comp_breakdown.has(compId));
+  
+  compIds.forEach(compId => {
+    const { placement, tied, points, raw_points: rawPoints } = standing.comp_breakdown.get(compId);
+    const line = document.createElement('div');
+    
+    const compLabel = document.createElement('strong');
+    compLabel.textContent = `${getCompetitionName(compId)}:`;
+    line.appendChild(compLabel);
+    line.appendChild(document.createTextNode(` ${tied ? 'T' : ''}${placement} (${points} pts)`));
+    line.title = `${rawPoints} points scored`;
+    
+    cell.appendChild(line);
+  });
+  
+  return cell;
+}
+
+/**
+ * Render the scoring rules list in the award explanations from CONFIG.scoring
+ * Keeps the rules shown to climbers in line with how points are actually computed
+ * @param {Map<string, Object>} boulders - Boulder metadata, for boulders with their own points
+ */
+function renderScoringRules(boulders = AppState.boulders) {
+  const list = document.getElementById('scoring-rules-list');
+  if (!list) return;
+  
+  const scoring = getScoringRules();
+  const { enabled: dynamic, topPool, zonePool } = scoring.dynamic;
+  
+  // The maximum is what computePoints gives a flash; with dynamic scoring the pools are only
+  // won whole when nobody else in the division reaches the zone, and fixed boulder points don't apply
+  const flash = { zone_completed: 1, top_completed: 1, attempts_to_zone: 1, attempts_to_top: 1 };
+  const maxPoints = computePoints(flash, dynamic ? { zone_points: zonePool, top_points: topPool } : null, scoring);
+  const boulderMaxPoints = dynamic
+    ? []
+    : Array.from(boulders.values())
+      .filter(boulder => boulder.zone_points !== null || boulder.top_points !== null)
+      .map(boulder => computePoints(flash, boulder, scoring));
+  
+  const rules = dynamic
+    ? [
+      `Zone reached: ${zonePool} points shared by everyone in your division who reaches that zone in the comp`,
+      `Top reached: ${topPool} points shared by everyone in your division who tops it (e.g. 4 tops = ${Math.round(topPool / 4)} points each)`
+    ]
+    : [
+      `Zone reached: ${scoring.zonePoints} points`,
+      `Top reached: ${scoring.topPoints} points (in addition to the zone)`
+    ];
+  
+  if (scoring.flashBonus > 0) {
+    rules.push(`Flash (top on the first attempt): +${scoring.flashBonus} bonus points`);
+  }
+  if (scoring.attemptPenalty > 0) {
+    rules.push(`Each attempt: -${scoring.attemptPenalty} points (a boulder never scores below 0)`);
+  }
+  if (dynamic) {
+    rules.push(`Maximum per boulder: ${maxPoints} points (a flash when nobody else in your division reaches the zone)`);
+  } else if (boulderMaxPoints.length > 0) {
+    const lowest = Math.min(...boulderMaxPoints);
+    const highest = Math.max(...boulderMaxPoints);
+    const range = lowest === highest ? `${highest}` : `${lowest}–${highest}`;
+    rules.push(`Maximum per boulder: ${maxPoints} points (${range} on boulders with their own points)`);
+  } else {
+    rules.push(`Maximum per boulder: ${maxPoints} points`);
+  }
+  
+  if (parseInt(scoring.countBestComps) > 0) {
+    rules.push(`Season total: only your best ${scoring.countBestComps} comps count`);
+  } else if (parseInt(scoring.dropWorstComps) > 0) {
+    rules.push(`Season total: your worst ${scoring.dropWorstComps} comp${scoring.dropWorstComps > 1 ? 's are' : ' is'} dropped (missed comps are dropped first)`);
+  }
+  
+  list.innerHTML = '';
+  rules.forEach(rule => {
+    const item = document.createElement('li');
+    item.textContent = rule;
+    list.appendChild(item);
+  });
+}
+
+/**
+ * Render fun statistics cards
+ * Displays most attempts team, most/least attempts boulder, and Try Hard Award
+ * @param {Object} funStats - Fun statistics object from computeFunStats
+ */
+function renderFunStats(funStats) {
+  // Render total attempts
+  const totalAttemptsCard = document.getElementById('total-attempts-card');
+  if (totalAttemptsCard) {
+    const valueEl = totalAttemptsCard.querySelector('.stat-value');
+    const detailEl = totalAttemptsCard.querySelector('.stat-detail');
+    
+    if (valueEl) {
+      valueEl.textContent = funStats.total_attempts.toLocaleString();
+    }
+    if (detailEl) {
+      detailEl.textContent = 'Total attempts by everyone';
+    }
+  }
+  
+  // Render most attempts team
+  const mostAttemptsTeamCard = document.getElementById('most-attempts-team-card');
+  if (mostAttemptsTeamCard && funStats.most_attempts_team && funStats.most_attempts_team.team_name) {
+    const valueEl = mostAttemptsTeamCard.querySelector('.stat-value');
+    const detailEl = mostAttemptsTeamCard.querySelector('.stat-detail');
+    
+    if (valueEl) {
+      valueEl.textContent = funStats.most_attempts_team.team_name;
+    }
+    if (detailEl) {
+      detailEl.textContent = `${formatScore(funStats.most_attempts_team.attempts || 0)} attempts`;
+    }
+  } else if (mostAttemptsTeamCard) {
+    const valueEl = mostAttemptsTeamCard.querySelector('.stat-value');
+    const detailEl = mostAttemptsTeamCard.querySelector('.stat-detail');
+    if (valueEl) valueEl.textContent = '--';
+    if (detailEl) detailEl.textContent = '-- attempts';
+  }
+  
+  // Render most attempts boulder
+  const mostAttemptsBoulderCard = document.getElementById('most-attempts-boulder-card');
+  if (mostAttemptsBoulderCard && funStats.most_attempts_boulder && funStats.most_attempts_boulder.boulder_id) {
+    const valueEl = mostAttemptsBoulderCard.querySelector('.stat-value');
+    const detailEl = mostAttemptsBoulderCard.querySelector('.stat-detail');
+    
+    if (valueEl) {
+      valueEl.textContent = `${funStats.most_attempts_boulder.boulder_id} (${getCompetitionName(funStats.most_attempts_boulder.comp_id)})`;
+    }
+    if (detailEl) {
+      detailEl.textContent = `${funStats.most_attempts_boulder.attempts || 0} attempts`;
+    }
+  } else if (mostAttemptsBoulderCard) {
+    const valueEl = mostAttemptsBoulderCard.querySelector('.stat-value');
+    const detailEl = mostAttemptsBoulderCard.querySelector('.stat-detail');
+    if (valueEl) valueEl.textContent = '--';
+    if (detailEl) detailEl.textContent = '-- attempts';
+  }
+  
+  // Render least attempts boulder
+  const leastAttemptsBoulderCard = document.getElementById('least-attempts-boulder-card');
+  if (leastAttemptsBoulderCard && funStats.least_attempts_boulder && funStats.least_attempts_boulder.boulder_id) {
+    const valueEl = leastAttemptsBoulderCard.querySelector('.stat-value');
+    const detailEl = leastAttemptsBoulderCard.querySelector('.stat-detail');
+    
+    if (valueEl) {
+      valueEl.textContent = `${funStats.least_attempts_boulder.boulder_id} (${getCompetitionName(funStats.least_attempts_boulder.comp_id)})`;
+    }
+    if (detailEl) {
+      detailEl.textContent = `${funStats.least_attempts_boulder.attempts || 0} attempts`;
+    }
+  } else if (leastAttemptsBoulderCard) {
+    const valueEl = leastAttemptsBoulderCard.querySelector('.stat-value');
+    const detailEl = leastAttemptsBoulderCard.querySelector('.stat-detail');
+    if (valueEl) valueEl.textContent = '--';
+    if (detailEl) detailEl.textContent = '-- attempts';
+  }
+  
+  // Render Try Hard Award
+  const tryHardAwardCard = document.getElementById('try-hard-award-card');
+  if (tryHardAwardCard && funStats.try_hard_award && funStats.try_hard_award.climber_name) {
+    const valueEl = tryHardAwardCard.querySelector('.stat-value');
+    const detailEl = tryHardAwardCard.querySelector('.stat-detail');
+    
+    if (valueEl) {
+      valueEl.textContent = funStats.try_hard_award.climber_name;
+      if (funStats.try_hard_award.is_tie) {
+        valueEl.style.fontSize = '1.2rem';
+      } else {
+        valueEl.style.fontSize = '';
+      }
+    }
+    if (detailEl) {
+      detailEl.textContent = `${funStats.try_hard_award.attempts || 0} attempts, ${funStats.try_hard_award.tops || 0} tops`;
+    }
+  } else if (tryHardAwardCard) {
+    const valueEl = tryHardAwardCard.querySelector('.stat-value');
+    const detailEl = tryHardAwardCard.querySelector('.stat-detail');
+    if (valueEl) {
+      valueEl.textContent = '--';
+      valueEl.style.fontSize = '';
+    }
+    if (detailEl) detailEl.textContent = '-- attempts, -- tops';
+  }
+  
+  // Render Flash Master
+  const flashMasterCard = document.getElementById('flash-master-card');
+  if (flashMasterCard && funStats.flash_master && funStats.flash_master.climber_name) {
+    const valueEl = flashMasterCard.querySelector('.stat-value');
+    const detailEl = flashMasterCard.querySelector('.stat-detail');
+    if (valueEl) {
+      valueEl.textContent = funStats.flash_master.climber_name;
+      if (funStats.flash_master.is_tie) {
+        valueEl.style.fontSize = '1.2rem';
+      } else {
+        valueEl.style.fontSize = '';
+      }
+    }
+    if (detailEl) {
+      let detail = `${funStats.flash_master.flashes || 0} first-attempt tops`;
+      if (funStats.flash_master.attempts) {
+        detail += ` (${funStats.flash_master.attempts} total attempts)`;
+      }
+      detailEl.textContent = detail;
+    }
+  } else if (flashMasterCard) {
+    const valueEl = flashMasterCard.querySelector('.stat-value');
+    const detailEl = flashMasterCard.querySelector('.stat-detail');
+    if (valueEl) {
+      valueEl.textContent = '--';
+      valueEl.style.fontSize = '';
+    }
+    if (detailEl) detailEl.textContent = '-- first-attempt tops';
+  }
+  
+  // Render Efficiency King
+  const efficiencyKingCard = document.getElementById('efficiency-king-card');
+  if (efficiencyKingCard && funStats.efficiency_king && funStats.efficiency_king.climber_name) {
+    const valueEl = efficiencyKingCard.querySelector('.stat-value');
+    const detailEl = efficiencyKingCard.querySelector('.stat-detail');
+    if (valueEl) valueEl.textContent = funStats.efficiency_king.climber_name;
+    if (detailEl) detailEl.textContent = `${funStats.efficiency_king.ratio || '0.00'} points per attempt`;
+  } else if (efficiencyKingCard) {
+    const valueEl = efficiencyKingCard.querySelector('.stat-value');
+    const detailEl = efficiencyKingCard.querySelector('.stat-detail');
+    if (valueEl) valueEl.textContent = '--';
+    if (detailEl) detailEl.textContent = '-- points per attempt';
+  }
+  
+  // Render Perfect Score
+  const perfectScoreCard = document.getElementById('perfect-score-card');
+  if (perfectScoreCard && funStats.perfect_score && funStats.perfect_score.climber_name) {
+    const valueEl = perfectScoreCard.querySelector('.stat-value');
+    const detailEl = perfectScoreCard.querySelector('.stat-detail');
+    
+    if (valueEl) {
+      valueEl.textContent = funStats.perfect_score.climber_name;
+      // Adjust font size if multiple names
+      if (funStats.perfect_score.is_tie) {
+        valueEl.style.fontSize = '1.2rem';
+      } else {
+        valueEl.style.fontSize = '';
+      }
+    }
+    
+    if (detailEl) {
+      let detailText = '';
+      
+      if (funStats.perfect_score.comp_id === 'Multiple') {
+        // Tied winners from different comps
+        detailText = `Tied across comps (${funStats.perfect_score.attempts || 0} attempts each)`;
+      } else {
+        // Single comp
+        detailText = `${getCompetitionName(funStats.perfect_score.comp_id)}: ${funStats.perfect_score.boulders || 0}/${funStats.perfect_score.boulders || 0} topped`;
+        
+        // Show attempts
+        if (funStats.perfect_score.attempts) {
+          detailText += ` (${funStats.perfect_score.attempts} attempts)`;
+        }
+      }
+      
+      // Show if there are other perfect scores
+      if (funStats.perfect_score.other_comps_count > 0) {
+        detailText += ` • +${funStats.perfect_score.other_comps_count} others`;
+      }
+      
+      detailEl.textContent = detailText;
+    }
+  } else if (perfectScoreCard) {
+    const valueEl = perfectScoreCard.querySelector('.stat-value');
+    const detailEl = perfectScoreCard.querySelector('.stat-detail');
+    if (valueEl) {
+      valueEl.textContent = '--';
+      valueEl.style.fontSize = '';
+    }
+    if (detailEl) detailEl.textContent = 'All boulders topped!';
+  }
+  
+  // Render Zone Hero
+  const zoneHeroCard = document.getElementById('zone-hero-card');
+  if (zoneHeroCard && funStats.zone_hero && funStats.zone_hero.climber_name) {
+    const valueEl = zoneHeroCard.querySelector('.stat-value');
+    const detailEl = zoneHeroCard.querySelector('.stat-detail');
+    if (valueEl) {
+      valueEl.textContent = funStats.zone_hero.climber_name;
+      if (funStats.zone_hero.is_tie) {
+        valueEl.style.fontSize = '1.2rem';
+      } else {
+        valueEl.style.fontSize = '';
+      }
+    }
+    if (detailEl) {
+      let detail = `${funStats.zone_hero.zones || 0} zones without tops`;
+      if (funStats.zone_hero.attempts) {
+        detail += ` (${funStats.zone_hero.attempts} total attempts)`;
+      }
+      detailEl.textContent = detail;
+    }
+  } else if (zoneHeroCard) {
+    const valueEl = zoneHeroCard.querySelector('.stat-value');
+    const detailEl = zoneHeroCard.querySelector('.stat-detail');
+    if (valueEl) {
+      valueEl.textContent = '--';
+      valueEl.style.fontSize = '';
+    }
+    if (detailEl) detailEl.textContent = 'Most zones without tops';
+  }
+  
+  // Render Send Rate King
+  const sendRateKingCard = document.getElementById('send-rate-king-card');
+  if (sendRateKingCard && funStats.send_rate_king && funStats.send_rate_king.climber_name) {
+    const valueEl = sendRateKingCard.querySelector('.stat-value');
+    const detailEl = sendRateKingCard.querySelector('.stat-detail');
+    if (valueEl) {
+      valueEl.textContent = funStats.send_rate_king.climber_name;
+      if (funStats.send_rate_king.is_tie) {
+        valueEl.style.fontSize = '1.2rem';
+      } else {
+        valueEl.style.fontSize = '';
+      }
+    }
+    if (detailEl) {
+      detailEl.textContent = `${funStats.send_rate_king.send_rate}% send rate (${funStats.send_rate_king.tops}/${funStats.send_rate_king.boulders_attempted} boulders)`;
+    }
+  } else if (sendRateKingCard) {
+    const valueEl = sendRateKingCard.querySelector('.stat-value');
+    const detailEl = sendRateKingCard.querySelector('.stat-detail');
+    if (valueEl) {
+      valueEl.textContent = '--';
+      valueEl.style.fontSize = '';
+    }
+    if (detailEl) detailEl.textContent = 'Highest top completion rate';
+  }
+  
+  console.log('Fun stats rendered');
+}
+
+// ============================================
+// Search Functions
+// ============================================
+
+/**
+ * Debounce timer for search input
+ */
+let searchDebounceTimer = null;
+
+/**
+ * How long the search box must be left alone before the query counts as settled
+ */
+const SEARCH_SETTLE_MS = 1500;
+
+/**
+ * While typing, the search query updates one history entry in place (see updateSearchHistory)
+ * The entry is closed, so the next query gets its own, once the query settles or on Enter
+ */
+let searchHistoryEntryOpen = false;
+
+/**
+ * Timer that closes the search history entry once the query settles
+ */
+let searchSettleTimer = null;
+
+/**
+ * Index of the search result card picked with the arrow keys (-1 = none)
+ */
+let activeSearchResult = -1;
+
+/**
+ * Match quality scores for search results, best first
+ * Results are listed by score, then by name
+ */
+const SEARCH_SCORES = {
+  exact: 1000,
+  prefix: 900,
+  wordPrefix: 800,
+  substring: 700,
+  subsequence: 400,
+  // Added to a subsequence match that starts the text, or starts a word
+  subsequenceStart: 30,
+  subsequenceWordStart: 20,
+  typo: 200
+};
+
+/**
+ * Fold text for searching: lowercase with accents removed ("José" -> "jose")
+ * Keeps track of where each folded character came from so matches can be
+ * highlighted in the original text
+ * @param {string} text - Text to fold
+ * @returns {{text: string, positions: Array<number>}} Folded text and, for each of its characters, the index in the original
+ */
+function foldSearchText(text) {
+  const original = String(text ?? '');
+  let folded = '';
+  const positions = [];
+  
+  for (let index = 0; index < original.length; index++) {
+    const plain = original[index].normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+    for (const char of plain) {
+      folded += char;
+      positions.push(index);
+    }
+  }
+  
+  return { text: folded, positions };
+}
+
+/**
+ * Edit distance between two strings, counting a swap of neighbouring letters as one edit
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Number of insertions, deletions, substitutions and swaps to turn a into b
+ */
+function editDistance(a, b) {
+  const rows = Array.from({ length: a.length + 1 }, (_, i) => [i, ...Array(b.length).fill(0)]);
+  for (let j = 1; j <= b.length; j++) rows[0][j] = j;
+  
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  
+  return rows[a.length][b.length];
+}
+
+/**
+ * Match a search query against a piece of text, ignoring case and accents
+ * Tries, best first: exact match, prefix, start of a word, anywhere in the text,
+ * the query's letters in order ("jhn smth" -> "John Smith"), and a word within a
+ * typo or two of the query (1 edit from 4 letters, 2 from 7)
+ * @param {string} query - Search query
+ * @param {string} text - Text to search in
+ * @param {Object} [options] - {fuzzy: false} to allow only exact/prefix/substring matches (used for IDs)
+ * @returns {{score: number, indices: Array<number>}|null} Match score (see SEARCH_SCORES) and matched character indices in text, or null
+ */
+function fuzzyMatch(query, text, options = {}) {
+  const { fuzzy = true } = options;
+  const needle = foldSearchText(query).text.trim();
+  const haystack = foldSearchText(text);
+  const folded = haystack.text;
+  if (!needle || !folded) return null;
+  
+  // Original character indices for a run of folded characters
+  const span = (start, length) => [...new Set(haystack.positions.slice(start, start + length))];
+  
+  if (folded === needle) {
+    return { score: SEARCH_SCORES.exact, indices: span(0, needle.length) };
+  }
+  
+  const position = folded.indexOf(needle);
+  if (position === 0) {
+    return { score: SEARCH_SCORES.prefix, indices: span(0, needle.length) };
+  }
+  
+  const wordStart = new RegExp(`(^|[^a-z0-9])${needle.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}`).exec(folded);
+  if (wordStart) {
+    const start = wordStart.index + wordStart[1].length;
+    return { score: SEARCH_SCORES.wordPrefix, indices: span(start, needle.length) };
+  }
+  
+  if (position > 0) {
+    return { score: SEARCH_SCORES.substring - position, indices: span(position, needle.length) };
+  }
+  
+  if (!fuzzy) return null;
+  
+  // Letters in order, fewer gaps scoring higher; widely scattered letters don't count.
+  // Every place the first letter appears is tried, so "jhn" in "Alice Johnson" can
+  // anchor on the "J" of Johnson; starting the text or a word earns a bonus
+  const letters = needle.replace(/\s+/g, '');
+  let bestSubsequence = null;
+  for (let start = folded.indexOf(letters[0]); letters.length >= 2 && start !== -1; start = folded.indexOf(letters[0], start + 1)) {
+    const matched = [start];
+    for (const char of letters.slice(1)) {
+      const found = folded.indexOf(char, matched[matched.length - 1] + 1);
+      if (found === -1) break;
+      matched.push(found);
+    }
+    if (matched.length < letters.length) break;
+    
+    const gaps = matched[matched.length - 1] - start + 1 - matched.length;
+    if (gaps >= letters.length) continue;
+    
+    const bonus = start === 0
+      ? SEARCH_SCORES.subsequenceStart
+      : /[a-z0-9]/.test(folded[start - 1]) ? 0 : SEARCH_SCORES.subsequenceWordStart;
+    const score = SEARCH_SCORES.subsequence - gaps + bonus;
+    if (!bestSubsequence || score > bestSubsequence.score) {
+      bestSubsequence = { score, indices: [...new Set(matched.map(index => haystack.positions[index]))] };
+    }
+  }
+  if (bestSubsequence) return bestSubsequence;
+  
+  // A word (or the whole text) within a typo or two of the query
+  const allowed = needle.length >= 7 ? 2 : needle.length >= 4 ? 1 : 0;
+  if (allowed === 0) return null;
+  
+  let best = null;
+  const candidates = [{ start: 0, word: folded }];
+  const wordPattern = /[a-z0-9]+/g;
+  let word;
+  while ((word = wordPattern.exec(folded))) {
+    candidates.push({ start: word.index, word: word[0] });
+  }
+  candidates.forEach(({ start, word }) => {
+    const distance = editDistance(needle, word);
+    if (distance <= allowed && (!best || distance < best.distance)) {
+      best = { distance, start, length: word.length };
+    }
+  });
+  
+  return best
+    ? { score: SEARCH_SCORES.typo - best.distance * 50, indices: span(best.start, best.length) }
+    : null;
+}
+
+/**
+ * Find the best match for a query across several fields of a team or climber
+ * @param {string} query - Search query
+ * @param {Array<Object>} fields - Fields as {field, text, fuzzy}; fuzzy defaults to true
+ * @returns {{score: number, field: string, indices: Array<number>}|null} Best match, or null when nothing matches
+ */
+function matchSearchFields(query, fields) {
+  let best = null;
+  
+  fields.forEach(({ field, text, fuzzy = true }) => {
+    const match = fuzzyMatch(query, text, { fuzzy });
+    if (match && (!best || match.score > best.score)) {
+      best = { ...match, field };
+    }
+  });
+  
+  return best;
+}
+
+/**
+ * Escape text for use in HTML
+ * @param {string} text - Text to escape
+ * @returns {string} Text with &, <, >, " and ' escaped
+ */
+function escapeHtml(text) {
+  return String(text ?? '').replace(/[&<>"']/g, char => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+  })[char]);
+}
+
+/**
+ * Render text as HTML with the matched characters wrapped in <mark>
+ * @param {string} text - Text to render
+ * @param {Array<number>} indices - Character indices to highlight
+ * @returns {string} Escaped HTML string
+ */
+function highlightMatch(text, indices = []) {
+  const original = String(text ?? '');
+  const highlighted = new Set(indices);
+  let html = '';
+  let open = false;
+  
+  for (let index = 0; index < original.length; index++) {
+    const marked = highlighted.has(index);
+    if (marked && !open) html += '<mark>';
+    if (!marked && open) html += '</mark>';
+    open = marked;
+    html += escapeHtml(original[index]);
+  }
+  
+  return open ? `${html}</mark>` : html;
+}
+
+/**
+ * Sort search results by match score (best first), then by name
+ * @param {Array<Object>} results - Search results with a match property
+ * @param {string} nameKey - Property holding the name ('team_name' or 'climber_name')
+ * @returns {Array<Object>} The sorted results
+ */
+function sortSearchResults(results, nameKey) {
+  return results.sort((a, b) => b.match.score - a.match.score || compareText(a[nameKey], b[nameKey]));
+}
+
+/**
+ * Re-run the search currently in the search box against the latest stats
+ * Used after data is reloaded so open search results don't go stale
+ */
+function refreshSearchResults() {
+  const searchBox = document.getElementById('search-box');
+  const query = searchBox ? searchBox.value.trim() : '';
+  
+  if (query.length > 0) {
+    performSearch(query);
+  }
+}
+
+/**
+ * Set up search functionality
+ * Attaches input handler to search box with debouncing to avoid excessive re-rendering
+ * Debounces search input by 300ms to wait for user to finish typing
+ */
+function setupSearch() {
+  const searchBox = document.getElementById('search-box');
+  
+  if (!searchBox) {
+    console.warn('Search box not found');
+    return;
+  }
+  
+  searchBox.addEventListener('input', (event) => {
+    const query = event.target.value.trim();
+    
+    // Clear previous debounce timer
+    if (searchDebounceTimer) {
+      clearTimeout(searchDebounceTimer);
+      searchDebounceTimer = null;
+    }
+    
+    // If query is empty, clear search results immediately
+    if (query.length === 0) {
+      clearSearchResults();
+      updateSearchHistory();
+      return;
+    }
+    
+    // Debounce search by 300ms
+    searchDebounceTimer = setTimeout(() => {
+      searchDebounceTimer = null;
+      performSearch(query);
+      updateSearchHistory();
+    }, 300);
+  });
+  
+  // Leaving the search box settles the query
+  searchBox.addEventListener('blur', settleSearchHistory);
+  
+  // Arrow keys move through the result cards; Enter searches straight away
+  searchBox.addEventListener('keydown', (event) => {
+    const cards = document.querySelectorAll('#search-content .search-result-card');
+    
+    if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+      if (cards.length === 0) return;
+      event.preventDefault();
+      const step = event.key === 'ArrowDown' ? 1 : -1;
+      const next = activeSearchResult === -1
+        ? (step > 0 ? 0 : cards.length - 1)
+        : (activeSearchResult + step + cards.length) % cards.length;
+      setActiveSearchResult(next);
+    } else if (event.key === 'Enter') {
+      const query = searchBox.value.trim();
+      if (searchDebounceTimer && query.length > 0) {
+        clearTimeout(searchDebounceTimer);
+        searchDebounceTimer = null;
+        performSearch(query);
+        updateSearchHistory();
+      }
+      settleSearchHistory();
+    } else if (event.key === 'Escape') {
+      setActiveSearchResult(-1);
+    }
+  });
+  
+  console.log('Search handler set up');
+}
+
+/**
+ * Put the current search query in the URL without adding a history entry per keystroke
+ * The first update of a query adds one entry, later ones replace it until the query
+ * settles, so Back skips the partial queries ("j", "ja", "jan")
+ */
+function updateSearchHistory() {
+  if (searchHistoryEntryOpen) {
+    replaceViewState();
+  } else {
+    pushViewState();
+    searchHistoryEntryOpen = true;
+  }
+  
+  clearTimeout(searchSettleTimer);
+  searchSettleTimer = setTimeout(settleSearchHistory, SEARCH_SETTLE_MS);
+}
+
+/**
+ * Close the search history entry, so the next query gets an entry of its own
+ */
+function settleSearchHistory() {
+  clearTimeout(searchSettleTimer);
+  searchSettleTimer = null;
+  searchHistoryEntryOpen = false;
+}
+
+/**
+ * Highlight the search result card at an index and scroll it into view
+ * The search box points at it with aria-activedescendant
+ * @param {number} index - Index of the card among all results, or -1 for none
+ */
+function setActiveSearchResult(index) {
+  const searchBox = document.getElementById('search-box');
+  const cards = document.querySelectorAll('#search-content .search-result-card');
+  activeSearchResult = index < cards.length ? index : -1;
+  
+  cards.forEach((card, cardIndex) => {
+    card.classList.toggle('active', cardIndex === activeSearchResult);
+  });
+  
+  const active = cards[activeSearchResult];
+  if (active) {
+    if (active.scrollIntoView) active.scrollIntoView({ block: 'nearest' });
+    if (searchBox) searchBox.setAttribute('aria-activedescendant', active.id);
+  } else if (searchBox) {
+    searchBox.removeAttribute('aria-activedescendant');
+  }
+}
+
+/**
+ * Perform search for teams or climbers
+ * Searches both teams and climbers and displays results, best matches first
+ * @param {string} query - Search query string
+ */
+function performSearch(query) {
+  console.log(`Performing search for: "${query}"`);
+  
+  const searchSection = document.getElementById('search-results');
+  const searchContent = document.getElementById('search-content');
+  
+  if (!searchSection || !searchContent) {
+    console.error('Search results elements not found');
+    return;
+  }
+  
+  // Search for teams
+  const teamResults = searchTeam(query);
+  
+  // Search for climbers
+  const climberResults = searchClimber(query);
+  
+  // New results start with no card picked
+  activeSearchResult = -1;
+  
+  // If no results found, display message
+  if (teamResults.length === 0 && climberResults.length === 0) {
+    searchContent.innerHTML = `<p class="no-results">No teams or climbers found matching "${escapeHtml(query)}"</p>`;
+    searchSection.style.display = 'block';
+    setActiveSearchResult(-1);
+    return;
+  }
+  
+  // Build results HTML
+  let html = '';
+  
+  // Display team results
+  if (teamResults.length > 0) {
+    html += '<div class="search-results-group">';
+    html += `<h3>Teams (${teamResults.length} match${teamResults.length > 1 ? 'es' : ''})</h3>`;
+    teamResults.forEach((result, index) => {
+      html += renderTeamSearchResult(result, `search-result-${index}`);
+    });
+    html += '</div>';
+  }
+  
+  // Display climber results
+  if (climberResults.length > 0) {
+    html += '<div class="search-results-group">';
+    html += `<h3>Climbers (${climberResults.length} match${climberResults.length > 1 ? 'es' : ''})</h3>`;
+    climberResults.forEach((result, index) => {
+      html += renderClimberSearchResult(result, `search-result-${teamResults.length + index}`);
+    });
+    html += '</div>';
+  }
+  
+  searchContent.innerHTML = html;
+  searchSection.style.display = 'block';
+  setActiveSearchResult(-1);
+  
+  console.log(`Search complete: ${teamResults.length} teams, ${climberResults.length} climbers`);
+}
+
+/**
+ * Search for teams by name or team_id (fuzzy, ignoring case and accents)
+ * Returns team information including all members with their stats, best matches first
+ * @param {string} query - Search query string
+ * @returns {Array} Array of team search results, each with a match ({score, field, indices})
+ */
+function searchTeam(query) {
+  const results = [];
+  const processedTeams = new Set();
   
-  // Calculate Send Rate King (highest percentage of boulders topped)
-  if (climberStats.size > 0) {
-    const candidates = [];
+  // Search through team stats for matching team names
+  AppState.teamStats.forEach((teamData, teamId) => {
+    if (processedTeams.has(teamId)) return;
     
-    climberStats.forEach((climber, climberId) => {
-      // Count total boulders attempted (any result entry for this climber)
-      const bouldersAttempted = results.filter(r => r.climber_id === climberId).length;
+    // Check if team name or ID matches query (see fuzzyMatch)
+    const match = matchSearchFields(query, [
+      { field: 'team_name', text: teamData.team_name },
+      { field: 'team_id', text: teamId, fuzzy: false }
+    ]);
+    if (match) {
+      // Get all climbers on this team
+      const teamMembers = [];
       
-      // Only consider climbers who attempted at least 5 boulders
-      if (bouldersAttempted >= 5) {
-        const topsCount = results.filter(r => 
-          r.climber_id === climberId && parseInt(r.top_completed) === 1
-        ).length;
-        
-        const sendRate = (topsCount / bouldersAttempted) * 100;
+      // Members include anyone who climbed for the team, with only the points they scored for it
+      AppState.climberStats.forEach((climberData) => {
+        const forTeam = sumRosterBreakdown(climberData, entry => entry.team_id === teamId);
+        const contributed = Array.from(climberData.roster_breakdown.values()).some(entry => entry.team_id === teamId);
         
-        candidates.push({
-          climber_name: climber.climber_name,
-          send_rate: sendRate,
-          tops: topsCount,
-          boulders_attempted: bouldersAttempted,
-          total_attempts: climber.total_attempts // Use actual attempt count for tiebreaker
-        });
-      }
-    });
-    
-    if (candidates.length > 0) {
-      // Sort by send rate (highest first), then by total attempts (fewest first)
-      candidates.sort((a, b) => {
-        if (b.send_rate !== a.send_rate) {
-          return b.send_rate - a.send_rate;
+        if (climberData.team_id === teamId || contributed) {
+          teamMembers.push({
+            climber_name: climberData.climber_name,
+            division: climberData.division,
+            total_points: forTeam.total_points,
+            total_attempts: forTeam.total_attempts
+          });
         }
-        return a.total_attempts - b.total_attempts; // Tiebreaker: fewest total attempts wins
       });
       
-      // Get the highest send rate and fewest total attempts among those with highest rate
-      const highestRate = candidates[0].send_rate;
-      const tiedByRate = candidates.filter(c => c.send_rate === highestRate);
-      const fewestAttempts = tiedByRate[0].total_attempts;
-      const winners = tiedByRate.filter(c => c.total_attempts === fewestAttempts);
+      results.push({
+        team_id: teamId,
+        team_name: teamData.team_name,
+        total_points: teamData.total_points,
+        total_attempts: teamData.total_attempts,
+        members: teamMembers,
+        match
+      });
       
-      if (winners.length === 1) {
-        funStats.send_rate_king = {
-          climber_name: winners[0].climber_name,
-          send_rate: winners[0].send_rate.toFixed(1),
-          tops: winners[0].tops,
-          boulders_attempted: winners[0].boulders_attempted
-        };
-      } else {
-        // Still tied after tiebreaker - show all
-        funStats.send_rate_king = {
-          climber_name: winners.map(w => w.climber_name).join(' & '),
-          send_rate: winners[0].send_rate.toFixed(1),
-          tops: winners[0].tops,
-          boulders_attempted: winners[0].boulders_attempted,
-          is_tie: true
-        };
-      }
+      processedTeams.add(teamId);
     }
-  }
+  });
   
-  return funStats;
+  return sortSearchResults(results, 'team_name');
 }
 
-// ============================================
-// Sorting Functions
-// ============================================
-
 /**
- * Set up sorting functionality for a table
- * Attaches click handlers to table headers with data-sort attributes
- * Supports ascending/descending toggle on repeated clicks
- * Adds visual indicators for current sort column and direction
- * @param {HTMLTableElement} table - The table element to make sortable
- * @param {Function} getSortValue - Optional function to extract sort value from a cell
+ * Search for climbers by name or climber_id (fuzzy, ignoring case and accents)
+ * Returns detailed results for each climber including per-competition breakdown, best matches first
+ * @param {string} query - Search query string
+ * @returns {Array} Array of climber search results, each with a match ({score, field, indices})
  */
-function setupSorting(table, getSortValue = null) {
-  if (!table) {
-    console.warn('setupSorting: table element is null or undefined');
-    return;
-  }
+function searchClimber(query) {
+  const results = [];
   
-  const headers = table.querySelectorAll('thead th[data-sort]');
+  // Search lists the comps in the current filter, with the same dynamic boulder values as the leaderboards
+  const scorecardContext = createScorecardContext(AppState.getFilteredResults());
   
-  headers.forEach(header => {
-    header.addEventListener('click', () => {
-      const sortKey = header.getAttribute('data-sort');
-      const tbody = table.querySelector('tbody');
-      
-      if (!tbody) {
-        console.warn('setupSorting: tbody not found in table');
-        return;
-      }
-      
-      // Determine sort direction
-      let direction = 'asc';
-      
-      // Check if this header is already sorted
-      if (header.classList.contains('sort-asc')) {
-        direction = 'desc';
-      } else if (header.classList.contains('sort-desc')) {
-        direction = 'asc';
-      }
+  // Search through climber stats for matching climber names
+  AppState.climberStats.forEach((climberData, climberId) => {
+    // Check if climber name or ID matches query (see fuzzyMatch)
+    const match = matchSearchFields(query, [
+      { field: 'climber_name', text: climberData.climber_name },
+      { field: 'climber_id', text: climberId, fuzzy: false }
+    ]);
+    if (match) {
+      // Get detailed results for this climber from raw results
+      const climberResults = buildClimberScorecard(climberId, scorecardContext);
       
-      // Remove sort classes from all headers
-      headers.forEach(h => {
-        h.classList.remove('sort-asc', 'sort-desc');
+      results.push({
+        climber_id: climberId,
+        climber_name: climberData.climber_name,
+        team_name: climberData.team_name,
+        division: climberData.division,
+        total_points: climberData.total_points,
+        total_attempts: climberData.total_attempts,
+        dropped_comps: climberData.dropped_comps || new Set(),
+        results: climberResults,
+        match
       });
-      
-      // Add sort class to current header
-      header.classList.add(`sort-${direction}`);
-      
-      // Update AppState sort state
-      AppState.sortState = {
-        table: table.id,
-        column: sortKey,
-        direction: direction
+    }
+  });
+  
+  return sortSearchResults(results, 'climber_name');
+}
+
+/**
+ * Gather what buildClimberScorecard needs to score a set of results
+ * Dynamic boulder values depend on everyone's results, so they are computed once here
+ * @param {Array} results - Results in view (e.g. AppState.getFilteredResults())
+ * @returns {Object} Context as {results, scoring, rosterHistory, dynamicValues}
+ */
+function createScorecardContext(results) {
+  const scoring = getScoringRules();
+  return {
+    results,
+    scoring,
+    rosterHistory: buildRosterHistory(AppState.rawTeams),
+    dynamicValues: scoring.dynamic.enabled
+      ? computeDynamicBoulderValues(results, AppState.rawTeams, scoring)
+      : null
+  };
+}
+
+/**
+ * List a climber's results boulder by boulder, with boulder metadata and points
+ * Used by climber search results and the climber profile scorecards
+ * @param {string} climberId - Climber to list
+ * @param {Object} context - Context from createScorecardContext
+ * @returns {Array<Object>} Rows with comp_id, comp_date, boulder_id, grade, color, setter, wall_section,
+ *   attempts_to_zone, attempts_to_top, zone_completed, top_completed, top_value, zone_value, points
+ */
+function buildClimberScorecard(climberId, context) {
+  const { results, scoring, rosterHistory, dynamicValues } = context;
+  const entries = rosterHistory.get(climberId);
+  
+  return results
+    .filter(r => r.climber_id === climberId)
+    .map(r => {
+      const boulder = AppState.boulders.get(`${r.comp_id}:${r.boulder_id}`);
+      const division = (getRosterEntry(entries, r.comp_date) || getCurrentRosterEntry(entries)).division;
+      const scoringBoulder = getScoringBoulder(r, division, AppState.boulders, dynamicValues);
+      return {
+        comp_id: r.comp_id,
+        comp_date: r.comp_date,
+        boulder_id: r.boulder_id,
+        grade: boulder?.grade || '',
+        color: boulder?.color || '',
+        setter: boulder?.setter || '',
+        wall_section: boulder?.wall_section || '',
+        attempts_to_zone: parseInt(r.attempts_to_zone || 0),
+        attempts_to_top: parseInt(r.attempts_to_top || 0),
+        zone_completed: parseInt(r.zone_completed || 0),
+        top_completed: parseInt(r.top_completed || 0),
+        top_value: dynamicValues ? scoringBoulder.top_points : null,
+        zone_value: dynamicValues ? scoringBoulder.zone_points : null,
+        points: computePoints(r, scoringBoulder, scoring)
       };
+    });
+}
+
+/**
+ * Render the heading of a search result card, highlighting the matched characters
+ * When the match was on the ID, the ID is shown under the name
+ * @param {string} name - Team or climber name
+ * @param {string} id - Team or climber ID
+ * @param {Object} match - Match from matchSearchFields
+ * @returns {string} HTML string for the heading
+ */
+function renderSearchResultHeading(name, id, match) {
+  const matchedId = match && /_id$/.test(match.field);
+  let html = `<h4>${highlightMatch(name, matchedId ? [] : match?.indices)}</h4>`;
+  if (matchedId) {
+    html += `<p class="search-result-id">ID: ${highlightMatch(id, match.indices)}</p>`;
+  }
+  return html;
+}
+
+/**
+ * Render team search result HTML
+ * @param {Object} teamResult - Team search result object
+ * @param {string} elementId - ID for the result card (used for keyboard navigation)
+ * @returns {string} HTML string for team result
+ */
+function renderTeamSearchResult(teamResult, elementId) {
+  let html = `<div class="search-result-card team-result" id="${escapeHtml(elementId)}">`;
+  html += renderSearchResultHeading(teamResult.team_name, teamResult.team_id, teamResult.match);
+  html += `<p><strong>Team Totals:</strong> ${escapeHtml(formatScore(teamResult.total_points))} points, ${escapeHtml(formatScore(teamResult.total_attempts))} attempts</p>`;
+  
+  if (teamResult.members.length > 0) {
+    html += '<div class="search-result-table-wrapper">';
+    html += '<table class="search-result-table">';
+    html += '<thead><tr><th>Climber</th><th>Division</th><th>Points</th><th>Attempts</th></tr></thead>';
+    html += '<tbody>';
+    
+    teamResult.members.forEach(member => {
+      html += '<tr>';
+      html += `<td>${escapeHtml(member.climber_name)}</td>`;
+      html += `<td>${escapeHtml(member.division)}</td>`;
+      html += `<td>${escapeHtml(member.total_points)}</td>`;
+      html += `<td>${escapeHtml(member.total_attempts)}</td>`;
+      html += '</tr>';
+    });
+    
+    html += '</tbody></table>';
+    html += '</div>';
+  }
+  
+  html += '</div>';
+  return html;
+}
+
+/**
+ * Render climber search result HTML
+ * @param {Object} climberResult - Climber search result object
+ * @param {string} elementId - ID for the result card (used for keyboard navigation)
+ * @returns {string} HTML string for climber result
+ */
+function renderClimberSearchResult(climberResult, elementId) {
+  let html = `<div class="search-result-card climber-result" id="${escapeHtml(elementId)}">`;
+  html += renderSearchResultHeading(climberResult.climber_name, climberResult.climber_id, climberResult.match);
+  html += `<p><strong>Team:</strong> ${escapeHtml(climberResult.team_name)} | <strong>Division:</strong> ${escapeHtml(climberResult.division)}</p>`;
+  html += `<p><strong>Totals:</strong> ${escapeHtml(climberResult.total_points)} points, ${escapeHtml(climberResult.total_attempts)} attempts</p>`;
+  if (climberResult.dropped_comps.size > 0) {
+    html += `<p class="dropped-comps-note">Not counted (outside best comps): ${escapeHtml(Array.from(climberResult.dropped_comps).map(getCompetitionName).join(', '))}</p>`;
+  }
+  
+  if (climberResult.results.length > 0) {
+    // Grade and color columns only appear when boulder metadata is available,
+    // and the value column only with dynamic scoring
+    const showBoulderInfo = climberResult.results.some(result => result.grade || result.color);
+    const showValue = climberResult.results.some(result => result.top_value !== null);
+    
+    html += '<div class="search-result-table-wrapper">';
+    html += '<table class="search-result-table">';
+    html += '<thead><tr><th>Comp</th><th>Date</th><th>Boulder</th>';
+    if (showBoulderInfo) {
+      html += '<th>Grade</th><th>Color</th>';
+    }
+    if (showValue) {
+      html += '<th title="Current top / zone value of the boulder">Value</th>';
+    }
+    html += '<th>Zone</th><th>Top</th><th>Points</th><th>Attempts</th></tr></thead>';
+    html += '<tbody>';
+    
+    climberResult.results.forEach(result => {
+      const boulderTitle = [result.wall_section, result.setter && `Set by ${result.setter}`].filter(Boolean).join(' • ');
       
-      // Get all rows as an array
-      const rows = Array.from(tbody.querySelectorAll('tr'));
-      
-      // Find the actual column index in the table for this sort key
-      const allHeaders = Array.from(table.querySelectorAll('thead th'));
-      const columnIndex = allHeaders.findIndex(h => h.getAttribute('data-sort') === sortKey);
-      
-      if (columnIndex === -1) {
-        console.warn(`setupSorting: could not find column for sort key ${sortKey}`);
-        return;
+      html += climberResult.dropped_comps.has(result.comp_id)
+        ? '<tr class="dropped-comp" title="Comp not counted in the season total">'
+        : '<tr>';
+      // Everything here comes from editable sheets, so it is escaped
+      html += `<td>${escapeHtml(result.comp_id)}</td>`;
+      html += `<td>${escapeHtml(result.comp_date)}</td>`;
+      html += boulderTitle
+        ? `<td title="${escapeHtml(boulderTitle)}">${escapeHtml(result.boulder_id)}</td>`
+        : `<td>${escapeHtml(result.boulder_id)}</td>`;
+      if (showBoulderInfo) {
+        html += `<td>${escapeHtml(result.grade || '--')}</td>`;
+        html += `<td>${escapeHtml(result.color || '--')}</td>`;
       }
-      
-      // Sort the rows
-      rows.sort((rowA, rowB) => {
-        // Get the cells using the actual column index
-        const cellA = rowA.cells[columnIndex];
-        const cellB = rowB.cells[columnIndex];
-        
-        if (!cellA || !cellB) return 0;
-        
-        // Get values to compare
-        let valueA, valueB;
-        
-        if (getSortValue) {
-          valueA = getSortValue(cellA, sortKey);
-          valueB = getSortValue(cellB, sortKey);
-        } else {
-          valueA = cellA.textContent.trim();
-          valueB = cellB.textContent.trim();
-        }
-        
-        // Determine comparison based on data type
-        let comparison = 0;
-        
-        // Check if values are numeric
-        const numA = parseFloat(valueA);
-        const numB = parseFloat(valueB);
-        
-        if (!isNaN(numA) && !isNaN(numB)) {
-          // Numeric comparison
-          comparison = numA - numB;
-        } else {
-          // Case-insensitive text comparison
-          comparison = valueA.toLowerCase().localeCompare(valueB.toLowerCase());
-        }
-        
-        // Apply direction
-        return direction === 'asc' ? comparison : -comparison;
-      });
-      
-      // Clear tbody and append sorted rows
-      tbody.innerHTML = '';
-      rows.forEach(row => {
-        tbody.appendChild(row);
-      });
-      
-      // Rank column stays with the team/climber - it represents their actual competition rank
-      // We don't update it when sorting by other columns
+      if (showValue) {
+        html += `<td>${escapeHtml(result.top_value)} / ${escapeHtml(result.zone_value)}</td>`;
+      }
+      html += `<td>${result.zone_completed ? '✓' : '✗'}</td>`;
+      html += `<td>${result.top_completed ? '✓' : '✗'}</td>`;
+      html += `<td>${escapeHtml(result.points)}</td>`;
+      html += `<td>${escapeHtml(result.attempts_to_zone + result.attempts_to_top)}</td>`;
+      html += '</tr>';
     });
-  });
+    
+    html += '</tbody></table>';
+    html += '</div>';
+  }
+  
+  html += '</div>';
+  return html;
 }
 
 /**
- * Numeric comparison function for sorting
- * Compares two values numerically (not alphabetically)
- * @param {string|number} a - First value
- * @param {string|number} b - Second value
- * @returns {number} Negative if a < b, positive if a > b, 0 if equal
+ * Clear search results display
  */
-function compareNumeric(a, b) {
-  const numA = parseFloat(a);
-  const numB = parseFloat(b);
+function clearSearchResults() {
+  const searchSection = document.getElementById('search-results');
+  const searchContent = document.getElementById('search-content');
   
-  // Handle NaN cases
-  if (isNaN(numA) && isNaN(numB)) return 0;
-  if (isNaN(numA)) return 1; // Put NaN values at the end
-  if (isNaN(numB)) return -1;
+  if (searchSection) {
+    searchSection.style.display = 'none';
+  }
   
-  return numA - numB;
+  if (searchContent) {
+    searchContent.innerHTML = '';
+  }
+  
+  setActiveSearchResult(-1);
 }
 
+// ============================================
+// Climber Profile
+// ============================================
+
 /**
- * Case-insensitive text comparison function for sorting
- * Compares two strings alphabetically, ignoring case
- * @param {string} a - First string
- * @param {string} b - Second string
- * @returns {number} Negative if a < b, positive if a > b, 0 if equal
+ * Awards a climber can win, keyed by their computeFunStats field, with the labels of the award cards
  */
-function compareText(a, b) {
-  const strA = String(a || '').toLowerCase();
-  const strB = String(b || '').toLowerCase();
-  return strA.localeCompare(strB);
-}
+const CLIMBER_AWARDS = {
+  try_hard_award: '🏆 Try Hard Award',
+  flash_master: '⚡ Flash Master',
+  efficiency_king: '🎯 Efficiency King',
+  perfect_score: '💯 Perfect Score',
+  zone_hero: '🎪 Zone Hero',
+  send_rate_king: '👑 Send Rate King'
+};
 
 /**
- * Sort leaderboard data using three-level criteria
- * Primary: Total points (descending - higher is better)
- * Secondary: Total attempts (ascending - fewer is better)
- * Tertiary: Name (alphabetical)
- * @param {Array} data - Array of objects with total_points, total_attempts, and name properties
- * @param {string} nameKey - Key to use for name (e.g., 'team_name' or 'climber_name')
- * @returns {Array} Sorted array
+ * What the climber profile on screen was built from (see renderClimberProfile), or null when hidden
  */
-function sortLeaderboard(data, nameKey) {
-  return [...data].sort((a, b) => {
-    // Primary: Total points (descending)
-    if (a.total_points !== b.total_points) {
-      return b.total_points - a.total_points;
-    }
-    
-    // Secondary: Total attempts (ascending - fewer is better)
-    if (a.total_attempts !== b.total_attempts) {
-      return a.total_attempts - b.total_attempts;
+let renderedProfileKey = null;
+
+/**
+ * Build everything shown on a climber's profile
+ * Comps, scorecards, personal bests and awards follow the competition filter (but not
+ * the division/category selection, so the climber's whole field is compared);
+ * rank history always covers the whole season
+ * @param {string} climberId - Climber to show
+ * @returns {Object|null} Profile as {stats, comps, bests, awards, rankHistory}, or null if the climber isn't on the roster
+ */
+function computeClimberProfile(climberId) {
+  const filteredResults = AppState.getFilteredResults();
+  const scorecardContext = createScorecardContext(filteredResults);
+  const { scoring, dynamicValues } = scorecardContext;
+  
+  // Same totals as the leaderboards, including the best N comps rule
+  const climberStats = aggregateClimberStats(AppState.rawTeams, filteredResults, null, AppState.boulders, scoring, dynamicValues);
+  const compIds = AppState.competitions
+    .map(comp => comp.comp_id)
+    .filter(compId => filteredResults.some(result => result.comp_id === compId));
+  applyCountedCompsRule(climberStats, compIds, scoring);
+  
+  const stats = climberStats.get(climberId);
+  if (!stats) return null;
+  
+  // Placement in their division at each comp, as in the season standings
+  const placements = new Map();
+  const divisionNames = getDivisions(AppState.rawTeams).map(division => division.name);
+  computeSeasonStandings(climberStats, getLeaguePointsTable(), divisionNames).forEach(entries => {
+    const standing = entries.find(entry => entry.climber_id === climberId);
+    if (standing) {
+      standing.comp_breakdown.forEach((placement, compId) => placements.set(compId, placement));
     }
-    
-    // Tertiary: Name (alphabetical, case-insensitive)
-    return compareText(a[nameKey], b[nameKey]);
   });
+  
+  const scorecard = buildClimberScorecard(climberId, scorecardContext);
+  const comps = compIds
+    .filter(compId => stats.comp_breakdown.has(compId))
+    .map(compId => ({
+      comp_id: compId,
+      comp_date: AppState.competitions.find(comp => comp.comp_id === compId).date,
+      ...stats.comp_breakdown.get(compId),
+      placement: placements.get(compId) || null,
+      dropped: stats.dropped_comps.has(compId),
+      boulders: scorecard.filter(row => row.comp_id === compId)
+    }));
+  
+  return {
+    stats,
+    comps,
+    bests: findPersonalBests(comps),
+    awards: findClimberAwards(climberId, filteredResults, climberStats, comps.map(comp => comp.comp_id), scorecardContext),
+    rankHistory: computeRankHistory(climberId)
+  };
 }
 
-// ============================================
-// Leaderboard Rendering Functions
-// ============================================
-
 /**
- * Render team leaderboard table
- * Displays teams ranked by points, attempts, and name
- * Includes columns: Rank, Team, Total Points, Total Attempts
- * @param {Map<string, Object>} teamStats - Map of team statistics from aggregateTeamStats
+ * Pick a climber's best comp for score, tops, flashes and placement
+ * Ties go to the earlier comp
+ * @param {Array<Object>} comps - Comp entries from computeClimberProfile, in comp order
+ * @returns {Array<Object>} Personal bests as {label, value, comp_id}
  */
-function renderTeamLeaderboard(teamStats) {
-  const table = document.getElementById('team-leaderboard');
-  if (!table) {
-    console.error('Team leaderboard table not found');
-    return;
+function findPersonalBests(comps) {
+  if (comps.length === 0) return [];
+  
+  const bestBy = value => comps.reduce((best, comp) => (value(comp) > value(best) ? comp : best));
+  const bests = [];
+  
+  const topScore = bestBy(comp => comp.points);
+  bests.push({ label: 'Best comp score', value: `${topScore.points} points`, comp_id: topScore.comp_id });
+  
+  const mostTops = bestBy(comp => comp.tops);
+  if (mostTops.tops > 0) {
+    bests.push({ label: 'Most tops in a comp', value: `${mostTops.tops} tops`, comp_id: mostTops.comp_id });
   }
   
-  const tbody = table.querySelector('tbody');
-  if (!tbody) {
-    console.error('Team leaderboard tbody not found');
-    return;
+  const mostFlashes = bestBy(comp => comp.flashes);
+  if (mostFlashes.flashes > 0) {
+    bests.push({ label: 'Most flashes in a comp', value: `${mostFlashes.flashes} flashes`, comp_id: mostFlashes.comp_id });
   }
   
-  // Clear existing rows
-  tbody.innerHTML = '';
+  const placed = comps.filter(comp => comp.placement);
+  if (placed.length > 0) {
+    const bestPlace = placed.reduce((best, comp) => (comp.placement.placement < best.placement.placement ? comp : best));
+    const { placement, tied } = bestPlace.placement;
+    bests.push({ label: 'Best placement', value: `${tied ? 'T' : ''}${placement} in division`, comp_id: bestPlace.comp_id });
+  }
   
-  // Convert Map to array and sort using leaderboard criteria
-  const teamsArray = Array.from(teamStats.values());
-  const sortedTeams = sortLeaderboard(teamsArray, 'team_name');
+  return bests;
+}
+
+/**
+ * List the fun stats awards a climber won, at each comp and across the comps in view
+ * @param {string} climberId - Climber to check
+ * @param {Array} results - Results in view
+ * @param {Map<string, Object>} climberStats - Climber statistics for the results in view
+ * @param {Array<string>} compIds - Comps the climber took part in, in comp order
+ * @param {Object} context - Context from createScorecardContext (scoring and dynamic values)
+ * @returns {Array<Object>} Awards as {award, label, where, tied}
+ */
+function findClimberAwards(climberId, results, climberStats, compIds, context) {
+  const awards = [];
   
-  // Generate table rows with rank as data attribute
-  sortedTeams.forEach((team, index) => {
-    const row = document.createElement('tr');
-    
-    // Rank column - store actual rank as data attribute
-    const rankCell = document.createElement('td');
-    const actualRank = index + 1; // This is their true rank based on leaderboard sorting
-    rankCell.textContent = actualRank;
-    rankCell.setAttribute('data-rank', actualRank);
-    row.appendChild(rankCell);
-    
-    // Team name column
-    const teamCell = document.createElement('td');
-    teamCell.textContent = team.team_name;
-    row.appendChild(teamCell);
-    
-    // Total points column
-    const pointsCell = document.createElement('td');
-    pointsCell.textContent = team.total_points;
-    pointsCell.setAttribute('data-type', 'number');
-    row.appendChild(pointsCell);
-    
-    // Total attempts column
-    const attemptsCell = document.createElement('td');
-    attemptsCell.textContent = team.total_attempts;
-    attemptsCell.setAttribute('data-type', 'number');
-    row.appendChild(attemptsCell);
-    
-    tbody.appendChild(row);
+  const collect = (funStats, where) => {
+    Object.entries(CLIMBER_AWARDS).forEach(([award, label]) => {
+      const winner = funStats[award];
+      const winnerIds = winner ? winner.climber_ids || [winner.climber_id] : [];
+      if (winnerIds.includes(climberId)) {
+        awards.push({ award, label, where, tied: winnerIds.length > 1 });
+      }
+    });
+  };
+  
+  compIds.forEach(compId => {
+    const compResults = results.filter(result => result.comp_id === compId);
+    const compStats = aggregateClimberStats(AppState.rawTeams, compResults, null, AppState.boulders, context.scoring, context.dynamicValues);
+    collect(computeFunStats(compResults, compStats, new Map()), getCompetitionName(compId));
   });
   
-  // Set up sorting handlers only if not already set up
-  if (!table.dataset.sortingInitialized) {
-    setupSorting(table);
-    table.dataset.sortingInitialized = 'true';
+  // Awards for the whole selection only add something when it spans several comps
+  const compsInView = new Set(results.map(result => result.comp_id));
+  if (compsInView.size > 1) {
+    collect(computeFunStats(results, climberStats, new Map()), isCompFilterActive(AppState.currentFilter) ? 'Selected comps' : 'Season');
   }
+  
+  return awards;
 }
 
 /**
- * Render individual leaderboard table
- * Displays all climbers ranked by points, attempts, and name
- * Includes columns: Rank, Climber, Team, Division, Total Points, Total Attempts
- * @param {Map<string, Object>} climberStats - Map of climber statistics from aggregateClimberStats
+ * Get the leaderboards after each comp of the season, building them on first use
+ * Every climber profile shares them, so they are kept on AppState until the data or ranking mode changes
+ * @returns {Array<Object>} One entry per comp as {comp_id, climberStats, overall, divisions},
+ *   where overall and divisions map climber_id to {rank, tied}
  */
-function renderIndividualLeaderboard(climberStats) {
-  const table = document.getElementById('individual-leaderboard');
-  if (!table) {
-    console.error('Individual leaderboard table not found');
-    return;
-  }
-  
-  const tbody = table.querySelector('tbody');
-  if (!tbody) {
-    console.error('Individual leaderboard tbody not found');
-    return;
+function getSeasonRankings() {
+  if (AppState.seasonRankings?.rankingMode === AppState.rankingMode) {
+    return AppState.seasonRankings.rankings;
   }
   
-  // Clear existing rows
-  tbody.innerHTML = '';
-  
-  // Convert Map to array and sort using leaderboard criteria
-  const climbersArray = Array.from(climberStats.values());
-  const sortedClimbers = sortLeaderboard(climbersArray, 'climber_name');
+  const scoring = getScoringRules();
+  const options = getRankingOptions();
+  const divisionNames = getDivisions(AppState.rawTeams).map(division => division.name);
+  const seasonCompIds = AppState.competitions
+    .map(comp => comp.comp_id)
+    .filter(compId => AppState.rawResults.some(result => result.comp_id === compId));
+  const toRanks = (ranks, entries) => {
+    rankLeaderboard(entries, 'climber_name', options).forEach(({ entry, rank, tied }) => {
+      ranks.set(entry.climber_id, { rank, tied });
+    });
+    return ranks;
+  };
   
-  // Generate table rows with rank as data attribute
-  sortedClimbers.forEach((climber, index) => {
-    const row = document.createElement('tr');
-    
-    // Rank column - store actual rank as data attribute
-    const rankCell = document.createElement('td');
-    const actualRank = index + 1; // This is their true rank based on leaderboard sorting
-    rankCell.textContent = actualRank;
-    rankCell.setAttribute('data-rank', actualRank);
-    row.appendChild(rankCell);
-    
-    // Climber name column
-    const climberCell = document.createElement('td');
-    climberCell.textContent = climber.climber_name;
-    row.appendChild(climberCell);
-    
-    // Team name column
-    const teamCell = document.createElement('td');
-    teamCell.textContent = climber.team_name;
-    row.appendChild(teamCell);
-    
-    // Division column
-    const divisionCell = document.createElement('td');
-    divisionCell.textContent = climber.division;
-    row.appendChild(divisionCell);
-    
-    // Total points column
-    const pointsCell = document.createElement('td');
-    pointsCell.textContent = climber.total_points;
-    pointsCell.setAttribute('data-type', 'number');
-    row.appendChild(pointsCell);
+  const rankings = seasonCompIds.map((compId, index) => {
+    const compsSoFar = seasonCompIds.slice(0, index + 1);
+    const resultsSoFar = AppState.rawResults.filter(result => compsSoFar.includes(result.comp_id));
+    const dynamicValues = scoring.dynamic.enabled
+      ? computeDynamicBoulderValues(resultsSoFar, AppState.rawTeams, scoring)
+      : null;
+    const climberStats = aggregateClimberStats(AppState.rawTeams, resultsSoFar, null, AppState.boulders, scoring, dynamicValues);
+    applyCountedCompsRule(climberStats, compsSoFar, scoring);
     
-    // Total attempts column
-    const attemptsCell = document.createElement('td');
-    attemptsCell.textContent = climber.total_attempts;
-    attemptsCell.setAttribute('data-type', 'number');
-    row.appendChild(attemptsCell);
+    const divisions = new Map();
+    aggregateDivisionStats(climberStats, divisionNames).forEach(entries => toRanks(divisions, entries));
     
-    tbody.appendChild(row);
+    return {
+      comp_id: compId,
+      climberStats,
+      overall: toRanks(new Map(), Array.from(climberStats.values())),
+      divisions
+    };
   });
   
-  // Set up sorting handlers only if not already set up
-  if (!table.dataset.sortingInitialized) {
-    setupSorting(table);
-    table.dataset.sortingInitialized = 'true';
-  }
+  AppState.seasonRankings = { rankingMode: AppState.rankingMode, rankings };
+  return rankings;
 }
 
 /**
- * Render division-specific leaderboard tables
- * Creates three separate tables for Beginner, Intermediate, and Advanced divisions
- * Each table shows climbers filtered by division
- * @param {Map<string, Array>} divisionStats - Map of division name to array of climber stats
+ * Work out where a climber stood on the leaderboards after each comp of the season
+ * Starts from the first comp the climber took part in
+ * @param {string} climberId - Climber to follow
+ * @returns {Array<Object>} Entries as {comp_id, climbed, total_points, rank, tied, division, division_rank, division_tied}
  */
-function renderDivisionLeaderboards(divisionStats) {
-  // Define the divisions and their corresponding table IDs
-  const divisions = [
-    { name: 'Beginner', tableId: 'beginner-leaderboard' },
-    { name: 'Intermediate', tableId: 'intermediate-leaderboard' },
-    { name: 'Advanced', tableId: 'advanced-leaderboard' }
-  ];
+function computeRankHistory(climberId) {
+  const history = [];
   
-  // Render each division leaderboard
-  divisions.forEach(({ name, tableId }) => {
-    const table = document.getElementById(tableId);
-    if (!table) {
-      console.error(`${name} leaderboard table not found`);
-      return;
-    }
-    
-    const tbody = table.querySelector('tbody');
-    if (!tbody) {
-      console.error(`${name} leaderboard tbody not found`);
-      return;
-    }
-    
-    // Clear existing rows
-    tbody.innerHTML = '';
-    
-    // Get climbers for this division
-    const climbers = divisionStats.get(name) || [];
-    
-    // Sort climbers using leaderboard criteria
-    const sortedClimbers = sortLeaderboard(climbers, 'climber_name');
+  getSeasonRankings().forEach(({ comp_id: compId, climberStats, overall, divisions }) => {
+    const stats = climberStats.get(climberId);
+    const climbed = Boolean(stats && stats.comp_breakdown.has(compId));
+    if (!stats || (history.length === 0 && !climbed)) return;
     
-    // Generate table rows with rank as data attribute
-    sortedClimbers.forEach((climber, index) => {
-      const row = document.createElement('tr');
-      
-      // Rank column - store actual rank as data attribute
-      const rankCell = document.createElement('td');
-      const actualRank = index + 1; // This is their true rank based on leaderboard sorting
-      rankCell.textContent = actualRank;
-      rankCell.setAttribute('data-rank', actualRank);
-      row.appendChild(rankCell);
-      
-      // Climber name column
-      const climberCell = document.createElement('td');
-      climberCell.textContent = climber.climber_name;
-      row.appendChild(climberCell);
-      
-      // Team name column
-      const teamCell = document.createElement('td');
-      teamCell.textContent = climber.team_name;
-      row.appendChild(teamCell);
-      
-      // Total points column
-      const pointsCell = document.createElement('td');
-      pointsCell.textContent = climber.total_points;
-      pointsCell.setAttribute('data-type', 'number');
-      row.appendChild(pointsCell);
-      
-      // Total attempts column
-      const attemptsCell = document.createElement('td');
-      attemptsCell.textContent = climber.total_attempts;
-      attemptsCell.setAttribute('data-type', 'number');
-      row.appendChild(attemptsCell);
-      
-      tbody.appendChild(row);
+    const division = divisions.get(climberId);
+    history.push({
+      comp_id: compId,
+      climbed,
+      total_points: stats.total_points,
+      rank: overall.get(climberId).rank,
+      tied: overall.get(climberId).tied,
+      division: stats.division,
+      division_rank: division ? division.rank : null,
+      division_tied: division ? division.tied : false
     });
-    
-    // Set up sorting handlers only if not already set up
-    if (!table.dataset.sortingInitialized) {
-      setupSorting(table);
-      table.dataset.sortingInitialized = 'true';
-    }
   });
+  
+  return history;
 }
 
 /**
- * Render fun statistics cards
- * Displays most attempts team, most/least attempts boulder, and Try Hard Award
- * @param {Object} funStats - Fun statistics object from computeFunStats
+ * Build a table for the climber profile, styled like the search result tables
+ * @param {Array<string>} headers - Column headings
+ * @param {Array<Object>} rows - Rows as {cells: Array<string|number>, className, title}
+ * @returns {HTMLDivElement} Scrollable wrapper holding the table
  */
-function renderFunStats(funStats) {
-  // Render total attempts
-  const totalAttemptsCard = document.getElementById('total-attempts-card');
-  if (totalAttemptsCard) {
-    const valueEl = totalAttemptsCard.querySelector('.stat-value');
-    const detailEl = totalAttemptsCard.querySelector('.stat-detail');
-    
-    if (valueEl) {
-      valueEl.textContent = funStats.total_attempts.toLocaleString();
-    }
-    if (detailEl) {
-      detailEl.textContent = 'Total attempts by everyone';
-    }
-  }
+function createProfileTable(headers, rows) {
+  const wrapper = document.createElement('div');
+  wrapper.className = 'search-result-table-wrapper';
   
-  // Render most attempts team
-  const mostAttemptsTeamCard = document.getElementById('most-attempts-team-card');
-  if (mostAttemptsTeamCard && funStats.most_attempts_team && funStats.most_attempts_team.team_name) {
-    const valueEl = mostAttemptsTeamCard.querySelector('.stat-value');
-    const detailEl = mostAttemptsTeamCard.querySelector('.stat-detail');
-    
-    if (valueEl) {
-      valueEl.textContent = funStats.most_attempts_team.team_name;
-    }
-    if (detailEl) {
-      detailEl.textContent = `${funStats.most_attempts_team.attempts || 0} attempts`;
-    }
-  } else if (mostAttemptsTeamCard) {
-    const valueEl = mostAttemptsTeamCard.querySelector('.stat-value');
-    const detailEl = mostAttemptsTeamCard.querySelector('.stat-detail');
-    if (valueEl) valueEl.textContent = '--';
-    if (detailEl) detailEl.textContent = '-- attempts';
-  }
+  const table = document.createElement('table');
+  table.className = 'search-result-table';
   
-  // Render most attempts boulder
-  const mostAttemptsBoulderCard = document.getElementById('most-attempts-boulder-card');
-  if (mostAttemptsBoulderCard && funStats.most_attempts_boulder && funStats.most_attempts_boulder.boulder_id) {
-    const valueEl = mostAttemptsBoulderCard.querySelector('.stat-value');
-    const detailEl = mostAttemptsBoulderCard.querySelector('.stat-detail');
-    
-    if (valueEl) {
-      valueEl.textContent = `${funStats.most_attempts_boulder.boulder_id} (Comp ${funStats.most_attempts_boulder.comp_id})`;
-    }
-    if (detailEl) {
-      detailEl.textContent = `${funStats.most_attempts_boulder.attempts || 0} attempts`;
-    }
-  } else if (mostAttemptsBoulderCard) {
-    const valueEl = mostAttemptsBoulderCard.querySelector('.stat-value');
-    const detailEl = mostAttemptsBoulderCard.querySelector('.stat-detail');
-    if (valueEl) valueEl.textContent = '--';
-    if (detailEl) detailEl.textContent = '-- attempts';
-  }
+  const headerRow = table.createTHead().insertRow();
+  headers.forEach(header => {
+    const th = document.createElement('th');
+    th.textContent = header;
+    headerRow.appendChild(th);
+  });
   
-  // Render least attempts boulder
-  const leastAttemptsBoulderCard = document.getElementById('least-attempts-boulder-card');
-  if (leastAttemptsBoulderCard && funStats.least_attempts_boulder && funStats.least_attempts_boulder.boulder_id) {
-    const valueEl = leastAttemptsBoulderCard.querySelector('.stat-value');
-    const detailEl = leastAttemptsBoulderCard.querySelector('.stat-detail');
-    
-    if (valueEl) {
-      valueEl.textContent = `${funStats.least_attempts_boulder.boulder_id} (Comp ${funStats.least_attempts_boulder.comp_id})`;
-    }
-    if (detailEl) {
-      detailEl.textContent = `${funStats.least_attempts_boulder.attempts || 0} attempts`;
-    }
-  } else if (leastAttemptsBoulderCard) {
-    const valueEl = leastAttemptsBoulderCard.querySelector('.stat-value');
-    const detailEl = leastAttemptsBoulderCard.querySelector('.stat-detail');
-    if (valueEl) valueEl.textContent = '--';
-    if (detailEl) detailEl.textContent = '-- attempts';
+  const tbody = table.createTBody();
+  rows.forEach(({ cells, className, title }) => {
+    const row = tbody.insertRow();
+    if (className) row.className = className;
+    if (title) row.title = title;
+    cells.forEach(value => {
+      row.insertCell().textContent = value;
+    });
+  });
+  
+  wrapper.appendChild(table);
+  return wrapper;
+}
+
+/**
+ * Add a titled block to the climber profile
+ * @param {HTMLElement} container - Profile content element
+ * @param {string} title - Block heading
+ * @param {Node|string} body - Block content, or a message shown when there is nothing to list
+ */
+function appendProfileBlock(container, title, body) {
+  const block = document.createElement('div');
+  block.className = 'climber-profile-block';
+  
+  const heading = document.createElement('h3');
+  heading.textContent = title;
+  block.appendChild(heading);
+  
+  if (typeof body === 'string') {
+    const note = document.createElement('p');
+    note.className = 'no-results';
+    note.textContent = body;
+    block.appendChild(note);
+  } else {
+    block.appendChild(body);
   }
   
-  // Render Try Hard Award
-  const tryHardAwardCard = document.getElementById('try-hard-award-card');
-  if (tryHardAwardCard && funStats.try_hard_award && funStats.try_hard_award.climber_name) {
-    const valueEl = tryHardAwardCard.querySelector('.stat-value');
-    const detailEl = tryHardAwardCard.querySelector('.stat-detail');
-    
-    if (valueEl) {
-      valueEl.textContent = funStats.try_hard_award.climber_name;
-      if (funStats.try_hard_award.is_tie) {
-        valueEl.style.fontSize = '1.2rem';
-      } else {
-        valueEl.style.fontSize = '';
-      }
-    }
-    if (detailEl) {
-      detailEl.textContent = `${funStats.try_hard_award.attempts || 0} attempts, ${funStats.try_hard_award.tops || 0} tops`;
-    }
-  } else if (tryHardAwardCard) {
-    const valueEl = tryHardAwardCard.querySelector('.stat-value');
-    const detailEl = tryHardAwardCard.querySelector('.stat-detail');
-    if (valueEl) {
-      valueEl.textContent = '--';
-      valueEl.style.fontSize = '';
-    }
-    if (detailEl) detailEl.textContent = '-- attempts, -- tops';
+  container.appendChild(block);
+}
+
+/**
+ * Build the boulder-by-boulder scorecard for one comp, collapsed under a summary line
+ * @param {Object} comp - Comp entry from computeClimberProfile
+ * @returns {HTMLDetailsElement} Scorecard element
+ */
+function createScorecard(comp) {
+  const details = document.createElement('details');
+  details.className = 'climber-profile-scorecard';
+  details.dataset.compId = comp.comp_id;
+  
+  const summary = document.createElement('summary');
+  summary.textContent = `${getCompetitionName(comp.comp_id)} (${comp.comp_date}): ${comp.points} points, ${comp.tops}/${comp.boulders.length} topped`;
+  details.appendChild(summary);
+  
+  // Grade and color columns only appear when boulder metadata is available
+  const showBoulderInfo = comp.boulders.some(boulder => boulder.grade || boulder.color);
+  const headers = ['Boulder', ...(showBoulderInfo ? ['Grade', 'Color'] : []), 'Zone', 'Top', 'Attempts', 'Points'];
+  const rows = comp.boulders.map(boulder => {
+    const flashed = boulder.top_completed && boulder.attempts_to_top === 1;
+    return {
+      cells: [
+        boulder.boulder_id,
+        ...(showBoulderInfo ? [boulder.grade || '--', boulder.color || '--'] : []),
+        boulder.zone_completed ? '✓' : '✗',
+        flashed ? '⚡' : boulder.top_completed ? '✓' : '✗',
+        boulder.attempts_to_zone + boulder.attempts_to_top,
+        boulder.points
+      ],
+      title: flashed ? 'Flashed' : ''
+    };
+  });
+  details.appendChild(createProfileTable(headers, rows));
+  
+  return details;
+}
+
+/**
+ * Render the climber profile for a climber, or hide it
+ * Called with everything else, but only rebuilt when the climber, competition filter,
+ * ranking mode or data changed; scorecards the user opened stay open
+ * @param {string|null} climberId - Climber to show, or null to hide the profile
+ */
+function renderClimberProfile(climberId) {
+  const section = document.getElementById('climber-profile');
+  const title = document.getElementById('climber-profile-title');
+  const content = document.getElementById('climber-profile-content');
+  if (!section || !title || !content) return;
+  
+  const profileKey = climberId
+    ? JSON.stringify([climberId, AppState.currentFilter, AppState.rankingMode, AppState.dataHash])
+    : null;
+  if (profileKey === renderedProfileKey) return;
+  renderedProfileKey = profileKey;
+  
+  // Remember which scorecards are open when the same climber is rebuilt
+  const openScorecards = content.dataset.climberId === climberId
+    ? new Set(Array.from(content.querySelectorAll('.climber-profile-scorecard[open]'), details => details.dataset.compId))
+    : new Set();
+  
+  content.innerHTML = '';
+  content.dataset.climberId = climberId || '';
+  const profile = climberId ? computeClimberProfile(climberId) : null;
+  if (!profile) {
+    section.style.display = 'none';
+    return;
   }
   
-  // Render Flash Master
-  const flashMasterCard = document.getElementById('flash-master-card');
-  if (flashMasterCard && funStats.flash_master && funStats.flash_master.climber_name) {
-    const valueEl = flashMasterCard.querySelector('.stat-value');
-    const detailEl = flashMasterCard.querySelector('.stat-detail');
-    if (valueEl) {
-      valueEl.textContent = funStats.flash_master.climber_name;
-      if (funStats.flash_master.is_tie) {
-        valueEl.style.fontSize = '1.2rem';
-      } else {
-        valueEl.style.fontSize = '';
-      }
-    }
-    if (detailEl) {
-      let detail = `${funStats.flash_master.flashes || 0} first-attempt tops`;
-      if (funStats.flash_master.attempts) {
-        detail += ` (${funStats.flash_master.attempts} total attempts)`;
-      }
-      detailEl.textContent = detail;
-    }
-  } else if (flashMasterCard) {
-    const valueEl = flashMasterCard.querySelector('.stat-value');
-    const detailEl = flashMasterCard.querySelector('.stat-detail');
-    if (valueEl) {
-      valueEl.textContent = '--';
-      valueEl.style.fontSize = '';
+  const { stats, comps, bests, awards, rankHistory } = profile;
+  title.textContent = `🧗 ${stats.climber_name}`;
+  
+  // Team, division, categories and ID
+  const meta = document.createElement('p');
+  meta.className = 'climber-profile-meta';
+  const categories = getCategoryColumns()
+    .filter(({ column }) => stats.categories[column])
+    .map(({ column, label }) => `${label}: ${stats.categories[column]}`);
+  meta.textContent = [`Team: ${stats.team_name}`, `Division: ${stats.division}`, ...categories, `ID: ${stats.climber_id}`].join(' | ');
+  content.appendChild(meta);
+  
+  // Totals for the comps in view
+  const totals = document.createElement('ul');
+  totals.className = 'climber-profile-totals';
+  [
+    [stats.total_points, 'points'],
+    [stats.total_attempts, 'attempts'],
+    [stats.total_tops, 'tops'],
+    [stats.total_zones, 'zones'],
+    [stats.total_flashes, 'flashes']
+  ].forEach(([value, label]) => {
+    const item = document.createElement('li');
+    const number = document.createElement('strong');
+    number.textContent = value;
+    item.appendChild(number);
+    item.appendChild(document.createTextNode(` ${label}`));
+    totals.appendChild(item);
+  });
+  content.appendChild(totals);
+  
+  // Per-comp results with the placement in their division
+  appendProfileBlock(content, 'Competitions', comps.length === 0
+    ? 'No results in the selected competitions'
+    : createProfileTable(
+      ['Comp', 'Date', 'Points', 'Attempts', 'Tops', 'Zones', 'Flashes', 'Division Rank', 'League Points'],
+      comps.map(comp => ({
+        cells: [
+          getCompetitionName(comp.comp_id),
+          comp.comp_date,
+          comp.points,
+          comp.attempts,
+          comp.tops,
+          comp.zones,
+          comp.flashes,
+          comp.placement ? `${comp.placement.tied ? 'T' : ''}${comp.placement.placement}` : '--',
+          comp.placement ? comp.placement.points : '--'
+        ],
+        className: comp.dropped ? 'dropped-comp' : '',
+        title: comp.dropped ? 'Comp not counted in the season total' : ''
+      }))
+    ));
+  
+  // Personal bests and awards
+  const bestsList = document.createElement('ul');
+  bestsList.className = 'climber-profile-list';
+  bests.forEach(({ label, value, comp_id: compId }) => {
+    const item = document.createElement('li');
+    item.textContent = `${label}: ${value} (${getCompetitionName(compId)})`;
+    bestsList.appendChild(item);
+  });
+  appendProfileBlock(content, 'Personal Bests', bests.length === 0 ? 'No results yet' : bestsList);
+  
+  const awardsList = document.createElement('ul');
+  awardsList.className = 'climber-profile-list';
+  awards.forEach(({ label, where, tied }) => {
+    const item = document.createElement('li');
+    item.textContent = `${label}: ${where}${tied ? ' (shared)' : ''}`;
+    awardsList.appendChild(item);
+  });
+  appendProfileBlock(content, 'Awards', awards.length === 0 ? 'No awards yet' : awardsList);
+  
+  // Leaderboard position after each comp of the season
+  appendProfileBlock(content, 'Rank History (Season)', rankHistory.length === 0
+    ? 'No results this season'
+    : createProfileTable(
+      ['After', 'Points', 'Overall Rank', 'Change', 'Division Rank'],
+      rankHistory.map((entry, index) => {
+        const previous = rankHistory[index - 1];
+        const change = previous ? previous.rank - entry.rank : 0;
+        return {
+          cells: [
+            getCompetitionName(entry.comp_id),
+            entry.total_points,
+            `${entry.tied ? 'T' : ''}${entry.rank}`,
+            change > 0 ? `▲${change}` : change < 0 ? `▼${-change}` : '–',
+            entry.division_rank ? `${entry.division_tied ? 'T' : ''}${entry.division_rank} (${entry.division})` : '--'
+          ],
+          title: entry.climbed ? '' : 'Did not climb this comp'
+        };
+      })
+    ));
+  
+  // Boulder-by-boulder scorecards
+  const scorecards = document.createElement('div');
+  comps.forEach(comp => {
+    const scorecard = createScorecard(comp);
+    scorecard.open = openScorecards.has(comp.comp_id);
+    scorecards.appendChild(scorecard);
+  });
+  appendProfileBlock(content, 'Scorecards', comps.length === 0 ? 'No results in the selected competitions' : scorecards);
+  
+  section.style.display = 'block';
+}
+
+/**
+ * Show a climber's profile and add it to the URL
+ * @param {string} climberId - Climber to show
+ */
+function openClimberProfile(climberId) {
+  AppState.profileClimberId = climberId;
+  renderClimberProfile(climberId);
+  pushViewState();
+  
+  const section = document.getElementById('climber-profile');
+  if (section && typeof section.scrollIntoView === 'function') {
+    section.scrollIntoView({ behavior: 'smooth', block: 'start' });
+  }
+}
+
+/**
+ * Hide the climber profile and drop it from the URL
+ */
+function closeClimberProfile() {
+  AppState.profileClimberId = null;
+  renderClimberProfile(null);
+  pushViewState();
+}
+
+/**
+ * Set up the climber profile: clicking a climber name in any leaderboard opens it
+ * Names are .climber-link buttons (see createClimberCell), so one handler covers
+ * tables that are re-rendered or added later
+ */
+function setupClimberProfile() {
+  document.addEventListener('click', (event) => {
+    const link = event.target.closest && event.target.closest('.climber-link');
+    if (link) {
+      openClimberProfile(link.dataset.climberId);
     }
-    if (detailEl) detailEl.textContent = '-- first-attempt tops';
+  });
+  
+  const closeButton = document.getElementById('close-climber-profile');
+  if (closeButton) {
+    closeButton.addEventListener('click', closeClimberProfile);
   }
+}
+
+// ============================================
+// Filter Functions
+// ============================================
+
+/**
+ * Set up competition and date range filter functionality
+ * Generates one checkbox per competition in AppState.competitions (in date order)
+ * and attaches change handlers to the checkboxes and date inputs to trigger filter updates
+ * Safe to call again after data loads; the handlers are only attached once
+ */
+function setupFilters() {
+  const filterMenu = document.getElementById('comp-filter');
+  const optionsList = document.getElementById('comp-filter-options');
+  const dateFrom = document.getElementById('date-from');
+  const dateTo = document.getElementById('date-to');
   
-  // Render Efficiency King
-  const efficiencyKingCard = document.getElementById('efficiency-king-card');
-  if (efficiencyKingCard && funStats.efficiency_king && funStats.efficiency_king.climber_name) {
-    const valueEl = efficiencyKingCard.querySelector('.stat-value');
-    const detailEl = efficiencyKingCard.querySelector('.stat-detail');
-    if (valueEl) valueEl.textContent = funStats.efficiency_king.climber_name;
-    if (detailEl) detailEl.textContent = `${funStats.efficiency_king.ratio || '0.00'} points per attempt`;
-  } else if (efficiencyKingCard) {
-    const valueEl = efficiencyKingCard.querySelector('.stat-value');
-    const detailEl = efficiencyKingCard.querySelector('.stat-detail');
-    if (valueEl) valueEl.textContent = '--';
-    if (detailEl) detailEl.textContent = '-- points per attempt';
+  if (!filterMenu || !optionsList) {
+    console.warn('Competition filter not found');
+    return;
   }
   
-  // Render Perfect Score
-  const perfectScoreCard = document.getElementById('perfect-score-card');
-  if (perfectScoreCard && funStats.perfect_score && funStats.perfect_score.climber_name) {
-    const valueEl = perfectScoreCard.querySelector('.stat-value');
-    const detailEl = perfectScoreCard.querySelector('.stat-detail');
-    
-    if (valueEl) {
-      valueEl.textContent = funStats.perfect_score.climber_name;
-      // Adjust font size if multiple names
-      if (funStats.perfect_score.is_tie) {
-        valueEl.style.fontSize = '1.2rem';
-      } else {
-        valueEl.style.fontSize = '';
-      }
+  // Rebuild checkboxes from the competitions list
+  optionsList.innerHTML = '';
+  AppState.competitions.forEach(comp => {
+    const label = document.createElement('label');
+    label.className = 'comp-filter-option';
+    if (comp.date || comp.venue) {
+      label.title = [comp.date, comp.venue].filter(Boolean).join(' • ');
     }
     
-    if (detailEl) {
-      let detailText = '';
-      
-      if (funStats.perfect_score.comp_id === 'Multiple') {
-        // Tied winners from different comps
-        detailText = `Tied across comps (${funStats.perfect_score.attempts || 0} attempts each)`;
-      } else {
-        // Single comp
-        detailText = `Comp ${funStats.perfect_score.comp_id}: ${funStats.perfect_score.boulders || 0}/${funStats.perfect_score.boulders || 0} topped`;
-        
-        // Show attempts
-        if (funStats.perfect_score.attempts) {
-          detailText += ` (${funStats.perfect_score.attempts} attempts)`;
-        }
-      }
-      
-      // Show if there are other perfect scores
-      if (funStats.perfect_score.other_comps_count > 0) {
-        detailText += ` • +${funStats.perfect_score.other_comps_count} others`;
-      }
-      
-      detailEl.textContent = detailText;
-    }
-  } else if (perfectScoreCard) {
-    const valueEl = perfectScoreCard.querySelector('.stat-value');
-    const detailEl = perfectScoreCard.querySelector('.stat-detail');
-    if (valueEl) {
-      valueEl.textContent = '--';
-      valueEl.style.fontSize = '';
-    }
-    if (detailEl) detailEl.textContent = 'All boulders topped!';
-  }
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.value = comp.comp_id;
+    checkbox.checked = AppState.currentFilter.comps.includes(comp.comp_id);
+    label.appendChild(checkbox);
+    label.appendChild(document.createTextNode(` ${getCompetitionLabel(comp)}`));
+    
+    optionsList.appendChild(label);
+  });
+  syncFilterControls();
   
-  // Render Zone Hero
-  const zoneHeroCard = document.getElementById('zone-hero-card');
-  if (zoneHeroCard && funStats.zone_hero && funStats.zone_hero.climber_name) {
-    const valueEl = zoneHeroCard.querySelector('.stat-value');
-    const detailEl = zoneHeroCard.querySelector('.stat-detail');
-    if (valueEl) {
-      valueEl.textContent = funStats.zone_hero.climber_name;
-      if (funStats.zone_hero.is_tie) {
-        valueEl.style.fontSize = '1.2rem';
-      } else {
-        valueEl.style.fontSize = '';
-      }
-    }
-    if (detailEl) {
-      let detail = `${funStats.zone_hero.zones || 0} zones without tops`;
-      if (funStats.zone_hero.attempts) {
-        detail += ` (${funStats.zone_hero.attempts} total attempts)`;
-      }
-      detailEl.textContent = detail;
-    }
-  } else if (zoneHeroCard) {
-    const valueEl = zoneHeroCard.querySelector('.stat-value');
-    const detailEl = zoneHeroCard.querySelector('.stat-detail');
-    if (valueEl) {
-      valueEl.textContent = '--';
-      valueEl.style.fontSize = '';
-    }
-    if (detailEl) detailEl.textContent = 'Most zones without tops';
+  // Set up change handlers only if not already set up
+  if (filterMenu.dataset.filterInitialized) {
+    return;
   }
+  filterMenu.dataset.filterInitialized = 'true';
   
-  // Render Send Rate King
-  const sendRateKingCard = document.getElementById('send-rate-king-card');
-  if (sendRateKingCard && funStats.send_rate_king && funStats.send_rate_king.climber_name) {
-    const valueEl = sendRateKingCard.querySelector('.stat-value');
-    const detailEl = sendRateKingCard.querySelector('.stat-detail');
-    if (valueEl) {
-      valueEl.textContent = funStats.send_rate_king.climber_name;
-      if (funStats.send_rate_king.is_tie) {
-        valueEl.style.fontSize = '1.2rem';
-      } else {
-        valueEl.style.fontSize = '';
-      }
-    }
-    if (detailEl) {
-      detailEl.textContent = `${funStats.send_rate_king.send_rate}% send rate (${funStats.send_rate_king.tops}/${funStats.send_rate_king.boulders_attempted} boulders)`;
-    }
-  } else if (sendRateKingCard) {
-    const valueEl = sendRateKingCard.querySelector('.stat-value');
-    const detailEl = sendRateKingCard.querySelector('.stat-detail');
-    if (valueEl) {
-      valueEl.textContent = '--';
-      valueEl.style.fontSize = '';
-    }
-    if (detailEl) detailEl.textContent = 'Highest top completion rate';
+  optionsList.addEventListener('change', () => {
+    const comps = Array.from(optionsList.querySelectorAll('input:checked')).map(checkbox => checkbox.value);
+    console.log(`Competition filter changed to: ${comps.join(', ') || 'all'}`);
+    
+    // Apply the filter through AppState
+    AppState.applyFilter({ ...AppState.currentFilter, comps });
+    syncFilterControls();
+  });
+  
+  [dateFrom, dateTo].forEach(input => {
+    if (!input) return;
+    input.addEventListener('change', () => {
+      console.log(`Date range changed to: ${dateFrom?.value || '…'} - ${dateTo?.value || '…'}`);
+      AppState.applyFilter({ ...AppState.currentFilter, from: dateFrom?.value || '', to: dateTo?.value || '' });
+    });
+  });
+  
+  const clearButton = document.getElementById('clear-selection');
+  if (clearButton) {
+    clearButton.addEventListener('click', () => {
+      AppState.currentSlice = Object.fromEntries(Object.keys(AppState.currentSlice).map(column => [column, 'all']));
+      AppState.applyFilter(createCompFilter());
+      syncFilterControls();
+    });
   }
   
-  console.log('Fun stats rendered');
+  console.log('Filter handler set up');
 }
 
-// ============================================
-// Search Functions
-// ============================================
-
 /**
- * Debounce timer for search input
+ * Update the filter controls to match AppState.currentFilter and AppState.currentSlice
+ * (checkboxes, the competition menu label, date inputs and division/category dropdowns)
  */
-let searchDebounceTimer = null;
+function syncFilterControls() {
+  const { comps, from, to } = AppState.currentFilter;
+  
+  document.querySelectorAll('#comp-filter-options input[type="checkbox"]').forEach(checkbox => {
+    checkbox.checked = comps.includes(checkbox.value);
+  });
+  
+  const summary = document.getElementById('comp-filter-summary');
+  if (summary) {
+    summary.textContent = comps.length === 0
+      ? 'All Competitions'
+      : comps.length === 1 ? getCompetitionName(comps[0]) : `${comps.length} competitions`;
+  }
+  
+  const dateFrom = document.getElementById('date-from');
+  const dateTo = document.getElementById('date-to');
+  if (dateFrom) dateFrom.value = from;
+  if (dateTo) dateTo.value = to;
+  
+  Object.entries(AppState.currentSlice).forEach(([column, value]) => {
+    const dropdown = document.getElementById(column === 'division' ? 'division-filter' : `category-filter-${column}`);
+    if (dropdown) dropdown.value = value;
+  });
+}
 
 /**
- * Set up search functionality
- * Attaches input handler to search box with debouncing to avoid excessive re-rendering
- * Debounces search input by 300ms to wait for user to finish typing
+ * Summarize the active selection above the leaderboards, e.g.
+ * "Season Opener, Crimp Night · 2025-11-01 to 2025-11-30 · Advanced · Age Group: U18"
+ * Hidden when everything is shown
+ * @param {Object} filter - Competition filter (see AppState.currentFilter)
+ * @param {Object} slice - Division and category selection (see AppState.currentSlice)
  */
-function setupSearch() {
-  const searchBox = document.getElementById('search-box');
+function renderActiveSelection(filter, slice) {
+  const panel = document.getElementById('active-selection');
+  const text = document.getElementById('active-selection-text');
+  if (!panel || !text) return;
   
-  if (!searchBox) {
-    console.warn('Search box not found');
+  const parts = [];
+  if (filter.comps.length > 0) {
+    // List the comps in season order
+    parts.push(AppState.competitions
+      .filter(comp => filter.comps.includes(comp.comp_id))
+      .map(comp => comp.name)
+      .join(', '));
+  }
+  if (filter.from && filter.to) {
+    parts.push(`${filter.from} to ${filter.to}`);
+  } else if (filter.from) {
+    parts.push(`from ${filter.from}`);
+  } else if (filter.to) {
+    parts.push(`until ${filter.to}`);
+  }
+  
+  const categoryLabels = new Map(getCategoryColumns().map(({ column, label }) => [column, label]));
+  Object.entries(slice).forEach(([column, value]) => {
+    if (value === 'all') return;
+    parts.push(column === 'division' ? value : `${categoryLabels.get(column) || column}: ${value}`);
+  });
+  
+  if (parts.length === 0) {
+    panel.style.display = 'none';
     return;
   }
   
-  searchBox.addEventListener('input', (event) => {
-    const query = event.target.value.trim();
-    
-    // Clear previous debounce timer
-    if (searchDebounceTimer) {
-      clearTimeout(searchDebounceTimer);
-    }
+  // Say so when nothing matches, rather than showing empty tables without a reason
+  const matching = AppState.getFilteredResults().length;
+  text.textContent = `Showing: ${parts.join(' · ')}${matching === 0 ? ' (no results match)' : ''}`;
+  panel.style.display = 'flex';
+}
+
+/**
+ * Set up the division and category filters
+ * Division options come from getDivisions; one extra dropdown is added per
+ * CONFIG.categories column, with the values found in the roster
+ * Safe to call again after data loads; a selection that no longer exists falls back to 'all'
+ */
+function setupSliceFilters() {
+  const divisionDropdown = document.getElementById('division-filter');
+  if (!divisionDropdown) {
+    console.warn('Division filter dropdown not found');
+    return;
+  }
+  
+  const filters = [
+    {
+      column: 'division',
+      dropdown: divisionDropdown,
+      allLabel: 'All Divisions',
+      values: getDivisions(AppState.rawTeams).map(division => division.name)
+    },
+    ...getCategoryOptions(AppState.rawTeams).map(category => ({
+      column: category.column,
+      dropdown: getCategoryDropdown(category, divisionDropdown),
+      allLabel: `All ${category.label}`,
+      values: category.values
+    }))
+  ];
+  
+  const slice = {};
+  filters.forEach(({ column, dropdown, allLabel, values }) => {
+    // Rebuild options from the roster
+    dropdown.innerHTML = '';
+    dropdown.appendChild(new Option(allLabel, 'all'));
+    values.forEach(value => dropdown.appendChild(new Option(value, value)));
     
-    // If query is empty, clear search results immediately
-    if (query.length === 0) {
-      clearSearchResults();
-      return;
-    }
+    const selected = AppState.currentSlice[column];
+    slice[column] = values.includes(selected) ? selected : 'all';
+    dropdown.value = slice[column];
     
-    // Debounce search by 300ms
-    searchDebounceTimer = setTimeout(() => {
-      performSearch(query);
-    }, 300);
-  });
-  
-  console.log('Search handler set up');
+    // Set up change handler only if not already set up
+    if (dropdown.dataset.filterInitialized) return;
+    dropdown.dataset.filterInitialized = 'true';
+    dropdown.addEventListener('change', (event) => {
+      console.log(`${column} filter changed to: ${event.target.value}`);
+      AppState.applySlice(column, event.target.value);
+    });
+  });
+  AppState.currentSlice = slice;
 }
 
 /**
- * Perform search for teams or climbers
- * Searches both teams and climbers and displays results
- * @param {string} query - Search query string
+ * Find or create the dropdown for one category, next to the division filter
+ * @param {Object} category - Category from getCategoryOptions
+ * @param {HTMLSelectElement} divisionDropdown - The division filter dropdown
+ * @returns {HTMLSelectElement} Dropdown for the category
  */
-function performSearch(query) {
-  console.log(`Performing search for: "${query}"`);
-  
-  const searchSection = document.getElementById('search-results');
-  const searchContent = document.getElementById('search-content');
+function getCategoryDropdown(category, divisionDropdown) {
+  const id = `category-filter-${category.column}`;
+  const existing = document.getElementById(id);
+  if (existing) return existing;
   
-  if (!searchSection || !searchContent) {
-    console.error('Search results elements not found');
-    return;
-  }
+  const group = document.createElement('div');
+  group.className = 'control-group';
   
-  // Search for teams
-  const teamResults = searchTeam(query);
+  const label = document.createElement('label');
+  label.htmlFor = id;
+  label.textContent = `${category.label}:`;
+  group.appendChild(label);
   
-  // Search for climbers
-  const climberResults = searchClimber(query);
+  const dropdown = document.createElement('select');
+  dropdown.id = id;
+  group.appendChild(dropdown);
   
-  // If no results found, display message
-  if (teamResults.length === 0 && climberResults.length === 0) {
-    searchContent.innerHTML = `<p class="no-results">No teams or climbers found matching "${query}"</p>`;
-    searchSection.style.display = 'block';
-    return;
+  // Keep the category filters in CONFIG.categories order, after the division filter
+  let after = divisionDropdown.closest('.control-group');
+  while (after.nextElementSibling && after.nextElementSibling.querySelector('select[id^="category-filter-"]')) {
+    after = after.nextElementSibling;
   }
+  after.after(group);
   
-  // Build results HTML
-  let html = '';
-  
-  // Display team results
-  if (teamResults.length > 0) {
-    html += '<div class="search-results-group">';
-    html += `<h3>Teams (${teamResults.length} match${teamResults.length > 1 ? 'es' : ''})</h3>`;
-    teamResults.forEach(result => {
-      html += renderTeamSearchResult(result);
-    });
-    html += '</div>';
-  }
+  return dropdown;
+}
+
+/**
+ * Set up the ranking mode selector
+ * Starts from CONFIG.ranking.mode and re-ranks all leaderboards on change
+ */
+function setupRankingMode() {
+  const rankingSelect = document.getElementById('ranking-mode');
+  const configuredMode = CONFIG.ranking?.mode;
+  AppState.rankingMode = RANKING_COLUMNS[configuredMode] ? configuredMode : 'points';
   
-  // Display climber results
-  if (climberResults.length > 0) {
-    html += '<div class="search-results-group">';
-    html += `<h3>Climbers (${climberResults.length} match${climberResults.length > 1 ? 'es' : ''})</h3>`;
-    climberResults.forEach(result => {
-      html += renderClimberSearchResult(result);
-    });
-    html += '</div>';
+  if (!rankingSelect) {
+    console.warn('Ranking mode selector not found');
+    return;
   }
   
-  searchContent.innerHTML = html;
-  searchSection.style.display = 'block';
-  
-  console.log(`Search complete: ${teamResults.length} teams, ${climberResults.length} climbers`);
+  rankingSelect.value = AppState.rankingMode;
+  rankingSelect.addEventListener('change', (event) => {
+    console.log(`Ranking mode changed to: ${event.target.value}`);
+    AppState.setRankingMode(event.target.value);
+  });
 }
 
+// ============================================
+// URL State Functions
+// ============================================
+
 /**
- * Search for teams by name (partial match, case-insensitive)
- * Returns team information including all members with their stats
- * @param {string} query - Search query string
- * @returns {Array} Array of team search results
+ * Query string parameters used for the view state; CONFIG.categories columns use their own name
+ * Example: ?comps=2,3&from=2025-11-01&division=Advanced&q=jane&sort=individual-leaderboard:division:asc,points:desc#season-standings-section
  */
-function searchTeam(query) {
-  const queryLower = query.toLowerCase();
-  const results = [];
-  const processedTeams = new Set();
+const URL_PARAMS = {
+  comps: 'comps',
+  from: 'from',
+  to: 'to',
+  division: 'division',
+  query: 'q',
+  sort: 'sort',
+  climber: 'climber'
+};
+
+/**
+ * True while a view is being restored from the URL, so restoring doesn't add history entries
+ */
+let restoringViewState = false;
+
+/**
+ * Query string of the view on screen, so history entries that only change the hash
+ * (the section links) don't recompute anything
+ */
+let shownViewSearch = null;
+
+/**
+ * Read the view (filter, selection, search, sort and open climber profile) from a query string
+ * Unknown comps and division/category values are dropped later by setData / setupSliceFilters, as is an unknown climber
+ * @param {string} search - Query string, e.g. window.location.search
+ * @returns {Object} View as {filter, slice, query, sortState, climberId}
+ */
+function parseViewState(search) {
+  const params = new URLSearchParams(search);
+  const dateParam = name => (isValidDate(params.get(name) || '') ? params.get(name) : '');
   
-  // Search through team stats for matching team names
-  AppState.teamStats.forEach((teamData, teamId) => {
-    if (processedTeams.has(teamId)) return;
-    
-    // Check if team name matches query (partial, case-insensitive)
-    if (teamData.team_name.toLowerCase().includes(queryLower)) {
-      // Get all climbers on this team
-      const teamMembers = [];
-      
-      AppState.climberStats.forEach((climberData) => {
-        if (climberData.team_id === teamId) {
-          teamMembers.push({
-            climber_name: climberData.climber_name,
-            division: climberData.division,
-            total_points: climberData.total_points,
-            total_attempts: climberData.total_attempts
-          });
-        }
-      });
-      
-      results.push({
-        team_id: teamId,
-        team_name: teamData.team_name,
-        total_points: teamData.total_points,
-        total_attempts: teamData.total_attempts,
-        members: teamMembers
-      });
-      
-      processedTeams.add(teamId);
-    }
+  const filter = {
+    comps: (params.get(URL_PARAMS.comps) || '').split(',').map(compId => compId.trim()).filter(Boolean),
+    from: dateParam(URL_PARAMS.from),
+    to: dateParam(URL_PARAMS.to)
+  };
+  
+  const slice = { division: params.get(URL_PARAMS.division) || 'all' };
+  getCategoryColumns().forEach(({ column }) => {
+    slice[column] = params.get(column) || 'all';
   });
   
-  return results;
+  // sort=table:column:direction[,column:direction...]
+  const sortParam = params.get(URL_PARAMS.sort) || '';
+  const separator = sortParam.indexOf(':');
+  const sortColumns = separator === -1 ? [] : sortParam.slice(separator + 1).split(',')
+    .map(part => part.split(':'))
+    .filter(([column]) => column)
+    .map(([column, direction]) => ({ column, direction: direction === 'desc' ? 'desc' : 'asc' }));
+  const sortState = sortColumns.length > 0
+    ? { table: sortParam.slice(0, separator), columns: sortColumns }
+    : { table: null, columns: [] };
+  
+  return {
+    filter,
+    slice,
+    query: params.get(URL_PARAMS.query) || '',
+    sortState,
+    climberId: params.get(URL_PARAMS.climber) || null
+  };
 }
 
 /**
- * Search for climbers by name (partial match, case-insensitive)
- * Returns detailed results for each climber including per-competition breakdown
- * @param {string} query - Search query string
- * @returns {Array} Array of climber search results
+ * Build the URL for the current view, keeping the section in the hash
+ * @returns {string} Path, query string and hash
  */
-function searchClimber(query) {
-  const queryLower = query.toLowerCase();
-  const results = [];
+function buildViewUrl() {
+  const params = new URLSearchParams();
+  const { comps, from, to } = AppState.currentFilter;
   
-  // Search through climber stats for matching climber names
-  AppState.climberStats.forEach((climberData, climberId) => {
-    // Check if climber name matches query (partial, case-insensitive)
-    if (climberData.climber_name.toLowerCase().includes(queryLower)) {
-      // Get detailed results for this climber from raw results
-      const climberResults = AppState.rawResults
-        .filter(r => r.climber_id === climberId)
-        .map(r => ({
-          comp_id: r.comp_id,
-          comp_date: r.comp_date,
-          boulder_id: r.boulder_id,
-          attempts_to_zone: parseInt(r.attempts_to_zone || 0),
-          attempts_to_top: parseInt(r.attempts_to_top || 0),
-          zone_completed: parseInt(r.zone_completed || 0),
-          top_completed: parseInt(r.top_completed || 0),
-          points: computePoints(r)
-        }));
-      
-      results.push({
-        climber_id: climberId,
-        climber_name: climberData.climber_name,
-        team_name: climberData.team_name,
-        division: climberData.division,
-        total_points: climberData.total_points,
-        total_attempts: climberData.total_attempts,
-        results: climberResults
-      });
-    }
+  if (comps.length > 0) params.set(URL_PARAMS.comps, comps.join(','));
+  if (from) params.set(URL_PARAMS.from, from);
+  if (to) params.set(URL_PARAMS.to, to);
+  
+  Object.entries(AppState.currentSlice).forEach(([column, value]) => {
+    if (value !== 'all') params.set(column === 'division' ? URL_PARAMS.division : column, value);
   });
   
-  return results;
+  const searchBox = document.getElementById('search-box');
+  const query = searchBox ? searchBox.value.trim() : '';
+  if (query) params.set(URL_PARAMS.query, query);
+  
+  const { table, columns } = AppState.sortState;
+  if (table && columns.length > 0) {
+    params.set(URL_PARAMS.sort, `${table}:${columns.map(({ column, direction }) => `${column}:${direction}`).join(',')}`);
+  }
+  
+  if (AppState.profileClimberId) params.set(URL_PARAMS.climber, AppState.profileClimberId);
+  
+  // Commas and colons are safe in a query string and keep shared links readable
+  const queryString = params.toString().replace(/%2C/g, ',').replace(/%3A/g, ':');
+  return `${window.location.pathname}${queryString ? `?${queryString}` : ''}${window.location.hash}`;
 }
 
 /**
- * Render team search result HTML
- * @param {Object} teamResult - Team search result object
- * @returns {string} HTML string for team result
+ * Add a history entry for the current view, so the back button returns to the previous one
+ * Does nothing while a view is being restored or when the URL wouldn't change
  */
-function renderTeamSearchResult(teamResult) {
-  let html = '<div class="search-result-card team-result">';
-  html += `<h4>${teamResult.team_name}</h4>`;
-  html += `<p><strong>Team Totals:</strong> ${teamResult.total_points} points, ${teamResult.total_attempts} attempts</p>`;
+function pushViewState() {
+  if (restoringViewState) return;
   
-  if (teamResult.members.length > 0) {
-    html += '<div class="search-result-table-wrapper">';
-    html += '<table class="search-result-table">';
-    html += '<thead><tr><th>Climber</th><th>Division</th><th>Points</th><th>Attempts</th></tr></thead>';
-    html += '<tbody>';
-    
-    teamResult.members.forEach(member => {
-      html += '<tr>';
-      html += `<td>${member.climber_name}</td>`;
-      html += `<td>${member.division}</td>`;
-      html += `<td>${member.total_points}</td>`;
-      html += `<td>${member.total_attempts}</td>`;
-      html += '</tr>';
-    });
-    
-    html += '</tbody></table>';
-    html += '</div>';
+  const url = buildViewUrl();
+  const { pathname, search, hash } = window.location;
+  if (url !== `${pathname}${search}${hash}`) {
+    window.history.pushState(null, '', url);
   }
+  shownViewSearch = window.location.search;
   
-  html += '</div>';
-  return html;
+  // Whatever changed gets its own entry; later typing must not overwrite it
+  searchHistoryEntryOpen = false;
 }
 
 /**
- * Render climber search result HTML
- * @param {Object} climberResult - Climber search result object
- * @returns {string} HTML string for climber result
+ * Update the current history entry to the current view, without adding one
+ * Does nothing while a view is being restored
  */
-function renderClimberSearchResult(climberResult) {
-  let html = '<div class="search-result-card climber-result">';
-  html += `<h4>${climberResult.climber_name}</h4>`;
-  html += `<p><strong>Team:</strong> ${climberResult.team_name} | <strong>Division:</strong> ${climberResult.division}</p>`;
-  html += `<p><strong>Totals:</strong> ${climberResult.total_points} points, ${climberResult.total_attempts} attempts</p>`;
-  
-  if (climberResult.results.length > 0) {
-    html += '<div class="search-result-table-wrapper">';
-    html += '<table class="search-result-table">';
-    html += '<thead><tr><th>Comp</th><th>Date</th><th>Boulder</th><th>Zone</th><th>Top</th><th>Points</th><th>Attempts</th></tr></thead>';
-    html += '<tbody>';
-    
-    climberResult.results.forEach(result => {
-      html += '<tr>';
-      html += `<td>${result.comp_id}</td>`;
-      html += `<td>${result.comp_date}</td>`;
-      html += `<td>${result.boulder_id}</td>`;
-      html += `<td>${result.zone_completed ? '✓' : '✗'}</td>`;
-      html += `<td>${result.top_completed ? '✓' : '✗'}</td>`;
-      html += `<td>${result.points}</td>`;
-      html += `<td>${result.attempts_to_zone + result.attempts_to_top}</td>`;
-      html += '</tr>';
-    });
-    
-    html += '</tbody></table>';
-    html += '</div>';
-  }
+function replaceViewState() {
+  if (restoringViewState) return;
   
-  html += '</div>';
-  return html;
+  window.history.replaceState(null, '', buildViewUrl());
+  shownViewSearch = window.location.search;
 }
 
 /**
- * Clear search results display
+ * Put the view from the URL into AppState and the search box, before data is computed
+ * @param {Object} view - View from parseViewState
  */
-function clearSearchResults() {
-  const searchSection = document.getElementById('search-results');
-  const searchContent = document.getElementById('search-content');
+function applyViewState(view) {
+  AppState.currentFilter = { ...createCompFilter(), ...view.filter };
+  AppState.currentSlice = { ...view.slice };
+  AppState.sortState = { table: view.sortState.table, columns: [...view.sortState.columns] };
+  AppState.profileClimberId = view.climberId;
   
-  if (searchSection) {
-    searchSection.style.display = 'none';
+  const searchBox = document.getElementById('search-box');
+  if (searchBox) {
+    searchBox.value = view.query;
   }
+}
+
+/**
+ * Show the search results for the search box, or hide them when it is empty
+ */
+function syncSearchResults() {
+  const searchBox = document.getElementById('search-box');
+  const query = searchBox ? searchBox.value.trim() : '';
   
-  if (searchContent) {
-    searchContent.innerHTML = '';
+  if (query) {
+    performSearch(query);
+  } else {
+    clearSearchResults();
   }
 }
 
-// ============================================
-// Filter Functions
-// ============================================
-
 /**
- * Set up competition filter functionality
- * Attaches change handler to filter dropdown to trigger filter updates
- * Updates all dashboard sections when filter changes
+ * Scroll to the section named in the URL hash, if any
  */
-function setupFilters() {
-  const filterDropdown = document.getElementById('comp-filter');
-  
-  if (!filterDropdown) {
-    console.warn('Competition filter dropdown not found');
-    return;
+function scrollToHashSection() {
+  const sectionId = decodeURIComponent(window.location.hash.slice(1));
+  const section = sectionId ? document.getElementById(sectionId) : null;
+  if (section && typeof section.scrollIntoView === 'function') {
+    section.scrollIntoView();
   }
-  
-  filterDropdown.addEventListener('change', (event) => {
-    const selectedCompId = event.target.value;
-    console.log(`Filter changed to: ${selectedCompId}`);
+}
+
+/**
+ * Restore the view when the user goes back or forward through history
+ * Recomputes the stats for the restored filter and re-renders everything, unless
+ * only the section in the hash changed
+ */
+function setupHistoryNavigation() {
+  window.addEventListener('popstate', () => {
+    // Only the section changed (e.g. a section link): nothing to recompute
+    if (window.location.search === shownViewSearch) {
+      scrollToHashSection();
+      return;
+    }
     
-    // Apply the filter through AppState
-    AppState.applyFilter(selectedCompId);
+    shownViewSearch = window.location.search;
+    settleSearchHistory();
+    restoringViewState = true;
+    try {
+      applyViewState(parseViewState(window.location.search));
+      setupSliceFilters();
+      AppState.computeAllStats();
+      AppState.renderAll();
+      syncFilterControls();
+      syncSearchResults();
+      scrollToHashSection();
+    } finally {
+      restoringViewState = false;
+    }
   });
-  
-  console.log('Filter handler set up');
 }
 
 // Make functions available globally for testing
@@ -2079,23 +6006,44 @@ if (typeof window !== 'undefined') {
   window.computePoints = computePoints;
   window.aggregateClimberStats = aggregateClimberStats;
   window.aggregateTeamStats = aggregateTeamStats;
+  window.getDivisions = getDivisions;
   window.aggregateDivisionStats = aggregateDivisionStats;
   window.filterByComp = filterByComp;
+  window.createCompFilter = createCompFilter;
+  window.sliceClimberStats = sliceClimberStats;
   window.computeFunStats = computeFunStats;
   window.setupSorting = setupSorting;
+  window.sortTableData = sortTableData;
   window.sortLeaderboard = sortLeaderboard;
+  window.rankLeaderboard = rankLeaderboard;
   window.compareNumeric = compareNumeric;
   window.compareText = compareText;
   window.renderTeamLeaderboard = renderTeamLeaderboard;
   window.renderIndividualLeaderboard = renderIndividualLeaderboard;
+  window.computeSeasonStandings = computeSeasonStandings;
+  window.computeDivisionReview = computeDivisionReview;
+  window.renderSeasonStandings = renderSeasonStandings;
   window.renderDivisionLeaderboards = renderDivisionLeaderboards;
   window.renderFunStats = renderFunStats;
   window.setupSearch = setupSearch;
   window.searchTeam = searchTeam;
   window.searchClimber = searchClimber;
+  window.computeClimberProfile = computeClimberProfile;
+  window.computeRankHistory = computeRankHistory;
+  window.getSeasonRankings = getSeasonRankings;
+  window.renderClimberProfile = renderClimberProfile;
+  window.openClimberProfile = openClimberProfile;
+  window.fuzzyMatch = fuzzyMatch;
+  window.foldSearchText = foldSearchText;
   window.performSearch = performSearch;
   window.clearSearchResults = clearSearchResults;
   window.setupFilters = setupFilters;
+  window.buildCompetitionList = buildCompetitionList;
+  window.validateData = validateData;
+  window.registerDataSource = registerDataSource;
+  window.renderDataIssues = renderDataIssues;
+  window.hashData = hashData;
+  window.formatTimeAgo = formatTimeAgo;
 }
 
 // ============================================
@@ -2118,6 +6066,132 @@ function showError(message) {
   }
 }
 
+/**
+ * Render the data issues panel
+ * Lists every problem found in the sheets with its row number so organizers can fix it
+ * The panel is hidden when there are no issues
+ * @param {Array<Object>} issues - Issues from parseCsv and validateData
+ */
+function renderDataIssues(issues) {
+  const panel = document.getElementById('data-issues');
+  const count = document.getElementById('data-issues-count');
+  const tbody = document.querySelector('#data-issues-table tbody');
+  if (!panel || !tbody) return;
+  
+  tbody.innerHTML = '';
+  
+  if (issues.length === 0) {
+    panel.style.display = 'none';
+    return;
+  }
+  
+  issues.forEach(issue => {
+    const row = document.createElement('tr');
+    
+    const sheetCell = document.createElement('td');
+    sheetCell.textContent = issue.sheet;
+    row.appendChild(sheetCell);
+    
+    const rowCell = document.createElement('td');
+    rowCell.textContent = issue.row ?? '--';
+    row.appendChild(rowCell);
+    
+    const messageCell = document.createElement('td');
+    messageCell.textContent = issue.message;
+    row.appendChild(messageCell);
+    
+    tbody.appendChild(row);
+  });
+  
+  if (count) {
+    count.textContent = issues.length;
+  }
+  panel.style.display = 'block';
+}
+
+/**
+ * Render the promotion / relegation panel for organizers
+ * The panel is hidden when there is nothing to recommend
+ * @param {Array<Object>} recommendations - Recommendations from computeDivisionReview
+ */
+function renderDivisionReview(recommendations) {
+  const panel = document.getElementById('division-review');
+  const count = document.getElementById('division-review-count');
+  const tbody = document.querySelector('#division-review-table tbody');
+  if (!panel || !tbody) return;
+  
+  tbody.innerHTML = '';
+  
+  if (recommendations.length === 0) {
+    panel.style.display = 'none';
+    return;
+  }
+  
+  recommendations.forEach(recommendation => {
+    const row = document.createElement('tr');
+    
+    const climberCell = document.createElement('td');
+    climberCell.textContent = recommendation.climber_name;
+    row.appendChild(climberCell);
+    
+    const teamCell = document.createElement('td');
+    teamCell.textContent = recommendation.team_name;
+    row.appendChild(teamCell);
+    
+    const moveCell = document.createElement('td');
+    moveCell.className = `division-move ${recommendation.direction}`;
+    moveCell.textContent = `${recommendation.direction === 'promote' ? '⬆️ Move up' : '⬇️ Move down'}: ` +
+      `${recommendation.division} → ${recommendation.target_division}`;
+    row.appendChild(moveCell);
+    
+    const evidenceCell = document.createElement('td');
+    const list = document.createElement('ul');
+    list.className = 'division-review-evidence';
+    [...recommendation.reasons, ...recommendation.evidence].forEach((text, index) => {
+      const item = document.createElement('li');
+      item.textContent = text;
+      if (index < recommendation.reasons.length) {
+        item.className = 'division-review-reason';
+      }
+      list.appendChild(item);
+    });
+    evidenceCell.appendChild(list);
+    row.appendChild(evidenceCell);
+    
+    tbody.appendChild(row);
+  });
+  
+  if (count) {
+    count.textContent = recommendations.length;
+  }
+  panel.style.display = 'block';
+}
+
+/**
+ * Show or hide the banner warning that cached data is on display
+ * @param {Object} dataSource - AppState.dataSource describing where the data came from
+ */
+function renderStaleDataBanner(dataSource) {
+  const banner = document.getElementById('stale-data-banner');
+  if (!banner) return;
+  
+  if (dataSource.type !== 'cache') {
+    banner.style.display = 'none';
+    return;
+  }
+  
+  const titleEl = banner.querySelector('.stale-data-title');
+  const errorEl = banner.querySelector('.stale-data-error');
+  
+  if (titleEl) {
+    titleEl.textContent = `Showing cached data from ${new Date(dataSource.cachedAt).toLocaleString()}`;
+  }
+  if (errorEl) {
+    errorEl.textContent = `Live data could not be loaded: ${dataSource.error}`;
+  }
+  banner.style.display = 'block';
+}
+
 /**
  * Hide the error message display
  */
@@ -2135,15 +6209,27 @@ function hideError() {
 
 /**
  * Update footer text with data source information
+ * @param {Object} dataSource - AppState.dataSource describing where the data came from
  */
-function updateFooter() {
+function updateFooter(dataSource = AppState.dataSource) {
   const footer = document.getElementById('footer-text');
   if (!footer) return;
   
-  if (CONFIG.dataSource === 'google-sheets') {
-    footer.textContent = 'Bouldering Competition Dashboard | Data loaded from Google Sheets';
+  if (dataSource.type === 'cache') {
+    footer.textContent = `Bouldering Competition Dashboard | Offline: cached data from ${new Date(dataSource.cachedAt).toLocaleString()}`;
+    return;
+  }
+  
+  const { teams, results } = dataSource.sources || { teams: CONFIG.dataSource, results: CONFIG.dataSource };
+  const fallbackNote = dataSource.fallbackErrors.length > 0 ? ' (fallback)' : '';
+  
+  // Source descriptions come from the adapters (e.g. 'Google Sheets', 'teams.csv')
+  if (teams === results && describeSource(teams, 'teams') === describeSource(results, 'results')) {
+    footer.textContent = `Bouldering Competition Dashboard | Data loaded from ${describeSource(teams, 'teams')}${fallbackNote}`;
+  } else if (teams === results) {
+    footer.textContent = `Bouldering Competition Dashboard | Data loaded from ${describeSource(teams, 'teams')} and ${describeSource(results, 'results')}${fallbackNote}`;
   } else {
-    footer.textContent = 'Bouldering Competition Dashboard | Data loaded from teams.csv and results.csv';
+    footer.textContent = `Bouldering Competition Dashboard | Teams loaded from ${describeSource(teams, 'teams')}, results from ${describeSource(results, 'results')}${fallbackNote}`;
   }
 }
 
@@ -2165,9 +6251,18 @@ document.addEventListener('DOMContentLoaded', () => {
   // Set up competition filter
   setupFilters();
   
+  // Set up ranking mode selector
+  setupRankingMode();
+  
   // Set up search functionality
   setupSearch();
   
+  // Open climber profiles from leaderboard names
+  setupClimberProfile();
+  
+  // Show the configured scoring rules
+  renderScoringRules();
+  
   // Set up fun stats info toggle
   const toggleButton = document.getElementById('toggle-stats-info');
   const infoContent = document.getElementById('stats-info-content');
@@ -2186,6 +6281,29 @@ document.addEventListener('DOMContentLoaded', () => {
     });
   }
   
-  // Initialize the application
-  AppState.initialize();
+  // Set up the organizer panel toggles (data issues, division review)
+  [
+    ['toggle-data-issues', 'data-issues-content'],
+    ['toggle-division-review', 'division-review-content']
+  ].forEach(([toggleId, contentId]) => {
+    const panelToggle = document.getElementById(toggleId);
+    const panelContent = document.getElementById(contentId);
+    
+    if (panelToggle && panelContent) {
+      panelToggle.addEventListener('click', () => {
+        const isVisible = panelContent.style.display !== 'none';
+        panelContent.style.display = isVisible ? 'none' : 'block';
+        panelToggle.setAttribute('aria-expanded', String(!isVisible));
+      });
+    }
+  });
+  
+  // Restore earlier views with the back and forward buttons
+  setupHistoryNavigation();
+  
+  // Keep the "Last updated" indicator ticking
+  setInterval(renderLastUpdated, 1000);
+  
+  // Initialize the application, then poll for new results if enabled
+  AppState.initialize().then(startAutoRefresh);
 });
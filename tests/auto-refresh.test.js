@@ -0,0 +1,79 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { loadDashboard, roster, result } from './load-dashboard.js';
+
+describe('auto-refresh', () => {
+  let window;
+
+  beforeEach(async () => {
+    window = await loadDashboard();
+  });
+
+  const data = (topCompleted = '1') => ({
+    teams: roster([['T1', 'Crimpers', 'C1', 'Ann', 'Beginner']]),
+    results: [result('C1', { top_completed: topCompleted })],
+    comps: [],
+    boulders: [],
+    issues: [],
+    sources: { teams: 'local', results: 'local' },
+    fallbackErrors: []
+  });
+
+  it('hashes the same rows to the same value and any change to another', () => {
+    expect(window.hashData(data())).toBe(window.hashData(data()));
+    expect(window.hashData(data('0'))).not.toBe(window.hashData(data()));
+    expect(window.hashData({ ...data(), issues: [{ row: 1 }] })).toBe(window.hashData(data()));
+  });
+
+  it('formats how long ago an update was', () => {
+    const now = Date.UTC(2025, 0, 11, 12);
+    expect(window.formatTimeAgo(now - 42_000, now)).toBe('42s ago');
+    expect(window.formatTimeAgo(now - 5 * 60_000, now)).toBe('5m ago');
+    expect(window.formatTimeAgo(now - 3 * 3_600_000, now)).toBe('3h ago');
+    expect(window.formatTimeAgo(now - 2 * 86_400_000, now)).toBe('2d ago');
+    expect(window.formatTimeAgo(now + 5_000, now)).toBe('0s ago');
+  });
+
+  it('only re-renders when the polled data changed', async () => {
+    const { AppState } = window;
+    AppState.setData(data());
+    let next = data();
+    window.loadAllData = async () => next;
+
+    expect(await AppState.pollForUpdates()).toBe(false);
+    expect(AppState.lastUpdated).toBeGreaterThan(0);
+
+    next = data('0');
+    expect(await AppState.pollForUpdates()).toBe(true);
+    expect(AppState.climberStats.get('C1').total_points).toBe(50);
+  });
+
+  it('keeps the current data when a poll fails, and never polls twice at once', async () => {
+    const { AppState } = window;
+    AppState.setData(data());
+    let calls = 0;
+    window.loadAllData = async () => {
+      calls++;
+      throw new Error('offline');
+    };
+
+    const polls = await Promise.all([AppState.pollForUpdates(), AppState.pollForUpdates()]);
+
+    expect(polls).toEqual([false, false]);
+    expect(calls).toBe(1);
+    expect(AppState.climberStats.get('C1').total_points).toBe(100);
+  });
+
+  it('polls no faster than the minimum interval, and only when enabled', () => {
+    const intervals = [];
+    window.setInterval = (callback, ms) => intervals.push(ms);
+    const config = window.eval('CONFIG');
+
+    window.startAutoRefresh();
+    config.autoRefresh = { enabled: true, intervalSeconds: 2 };
+    window.startAutoRefresh();
+    config.autoRefresh = { enabled: true, intervalSeconds: 45 };
+    window.startAutoRefresh();
+
+    expect(intervals).toEqual([10_000, 45_000]);
+  });
+});
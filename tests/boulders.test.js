@@ -0,0 +1,92 @@
+import { describe, it, expect, beforeAll } from 'vitest';
+import { loadDashboard, roster, result } from './load-dashboard.js';
+
+describe('boulder metadata', () => {
+  let window;
+
+  beforeAll(async () => {
+    window = await loadDashboard();
+  });
+
+  const bouldersCsv = [
+    'comp_id,boulder_id,grade,color,setter,zone_points,top_points,wall_section',
+    '1,B1,V3,Red,Sam,20,80,Cave',
+    '1,B2,V1,Blue,,,,',
+    '1,B1,V9,Black,,1,1,',
+    '1,B3,V2,Green,,ten,,'
+  ].join('\n');
+
+  it('looks boulders up by comp and boulder, keeping the first row', () => {
+    const boulders = window.buildBoulderMap(window.parseCsv(bouldersCsv, []));
+
+    expect(boulders.get('1:B1')).toEqual({
+      comp_id: '1', boulder_id: 'B1', grade: 'V3', color: 'Red', setter: 'Sam',
+      wall_section: 'Cave', zone_points: 20, top_points: 80
+    });
+    expect(boulders.get('1:B2')).toMatchObject({ zone_points: null, top_points: null });
+    expect(boulders.get('1:B3').zone_points).toBeNull();
+  });
+
+  it('scores each boulder with its own points, falling back to 50 + 50', () => {
+    const boulders = window.buildBoulderMap(window.parseCsv(bouldersCsv, []));
+    const teams = roster([['T1', 'Crimpers', 'C1', 'Ann', 'Beginner']]);
+    const results = [
+      result('C1', { boulder_id: 'B1' }),
+      result('C1', { boulder_id: 'B2', top_completed: '0' }),
+      result('C1', { boulder_id: 'B9' })
+    ];
+
+    expect(window.computePoints(results[0], boulders.get('1:B1'))).toBe(100);
+    expect(window.computePoints(result('C1', { top_completed: '0' }), boulders.get('1:B1'))).toBe(20);
+    expect(window.aggregateClimberStats(teams, results, null, boulders).get('C1').total_points).toBe(100 + 50 + 100);
+  });
+
+  it('reports duplicate boulders, bad points and results on unlisted boulders', () => {
+    const boulders = window.parseCsv(bouldersCsv, []);
+    const results = window.parseCsv([
+      'comp_id,comp_date,boulder_id,climber_id,attempts_to_zone,attempts_to_top,zone_completed,top_completed',
+      '1,2025-01-11,B1,C1,1,1,1,1',
+      '1,2025-01-11,B7,C1,1,1,1,1',
+      '1,2025-01-11,B7,C2,1,1,1,1'
+    ].join('\n'), []);
+    const teams = roster([['T1', 'Crimpers', 'C1', 'Ann', 'Beginner'], ['T1', 'Crimpers', 'C2', 'Bea', 'Beginner']]);
+
+    expect(window.validateData(teams, results, [], boulders).map(({ sheet, row, message }) => [sheet, row, message])).toEqual([
+      ['boulders', 4, 'Duplicate boulder B1 in comp 1; only the first row is used'],
+      ['boulders', 5, 'zone_points "ten" is not a number; default points used'],
+      ['results', 3, 'Boulder B7 in comp 1 is not in the boulders sheet; default points used']
+    ]);
+  });
+
+  it('shows grade and color in climber search results when boulders have them', () => {
+    const card = boulders => window.renderClimberSearchResult({
+      climber_id: 'C1', climber_name: 'Ann', team_name: 'Crimpers', division: 'Beginner',
+      total_points: 100, total_attempts: 2, dropped_comps: new Set(),
+      results: [{
+        comp_id: '1', comp_date: '2025-01-11', boulder_id: 'B1', attempts_to_zone: 1, attempts_to_top: 1,
+        zone_completed: 1, top_completed: 1, points: 100, grade: '', color: '', setter: '', wall_section: '', ...boulders
+      }]
+    });
+
+    expect(card({ grade: 'V3', color: 'Red', setter: 'Sam', wall_section: 'Cave' }))
+      .toContain('<th>Grade</th><th>Color</th>');
+    expect(card({ grade: 'V3', color: 'Red', setter: 'Sam', wall_section: 'Cave' }))
+      .toContain('<td title="Cave • Set by Sam">B1</td><td>V3</td><td>Red</td>');
+    expect(card({})).not.toContain('<th>Grade</th>');
+  });
+
+  it('escapes boulder metadata in climber search results', () => {
+    const html = window.renderClimberSearchResult({
+      climber_id: 'C1', climber_name: 'Ann', team_name: 'Crimpers', division: 'Beginner',
+      total_points: 100, total_attempts: 2, dropped_comps: new Set(),
+      results: [{
+        comp_id: '1', comp_date: '2025-01-11', boulder_id: 'B1', attempts_to_zone: 1, attempts_to_top: 1,
+        zone_completed: 1, top_completed: 1, points: 100,
+        grade: '<b>V3</b>', color: 'Red & Black', setter: 'Sam "The Hand"', wall_section: '<Cave>'
+      }]
+    });
+
+    expect(html).toContain('<td title="&lt;Cave&gt; • Set by Sam &quot;The Hand&quot;">B1</td>');
+    expect(html).toContain('<td>&lt;b&gt;V3&lt;/b&gt;</td><td>Red &amp; Black</td>');
+  });
+});
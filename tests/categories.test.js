@@ -0,0 +1,100 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { loadDashboard, roster, result } from './load-dashboard.js';
+
+describe('division and category slices', () => {
+  let window;
+
+  beforeEach(async () => {
+    window = await loadDashboard();
+    window.eval('CONFIG').categories = [{ column: 'age_group', label: 'Age Group' }, { column: 'gender' }];
+  });
+
+  const ages = { C1: 'U18', C2: 'Adult', C3: 'U18' };
+  const teams = roster([
+    ['T1', 'Crimpers', 'C1', 'Ann', 'Beginner'],
+    ['T1', 'Crimpers', 'C2', 'Bea', 'Advanced'],
+    ['T2', 'Slopers', 'C3', 'Cal', 'Advanced']
+  ]).map(row => ({ ...row, age_group: ages[row.climber_id], gender: '' }));
+
+  // Ann moves up to Advanced (on Slopers) for comp 2
+  const moved = [
+    { ...teams[0], effective_to: '2025-01-31' },
+    { ...teams[0], team_id: 'T2', team_name: 'Slopers', division: 'Advanced', effective_from: '2025-02-01' },
+    ...teams.slice(1)
+  ];
+  const results = [
+    result('C1', { comp_id: '1', comp_date: '2025-01-01' }),
+    result('C1', { comp_id: '2', comp_date: '2025-02-01', top_completed: '0' }),
+    result('C2', { comp_id: '1', comp_date: '2025-01-01' }),
+    result('C3', { comp_id: '1', comp_date: '2025-01-01', top_completed: '0' })
+  ];
+
+  it('keeps each climber\'s current category values', () => {
+    const climberStats = window.aggregateClimberStats(teams, results);
+
+    expect(climberStats.get('C1').categories).toEqual({ age_group: 'U18', gender: '' });
+  });
+
+  it('keeps only climbers with the selected category values', () => {
+    const climberStats = window.aggregateClimberStats(teams, results);
+    const sliced = window.sliceClimberStats(climberStats, { division: 'all', age_group: 'U18', gender: 'all' });
+
+    expect([...sliced.keys()]).toEqual(['C1', 'C3']);
+    expect(sliced.get('C1')).toBe(climberStats.get('C1'));
+  });
+
+  it('keeps only what a climber earned in the selected division', () => {
+    const climberStats = window.aggregateClimberStats(moved, results);
+
+    const beginner = window.sliceClimberStats(climberStats, { division: 'Beginner' });
+    expect(beginner.get('C1')).toMatchObject({ division: 'Beginner', team_name: 'Crimpers', total_points: 100 });
+
+    const advanced = window.sliceClimberStats(climberStats, { division: 'Advanced' });
+    expect([...advanced.keys()]).toEqual(['C1', 'C2', 'C3']);
+    expect(advanced.get('C1')).toMatchObject({ division: 'Advanced', team_name: 'Slopers', total_points: 50 });
+    expect([...advanced.get('C1').roster_breakdown.keys()]).toEqual(['T2|Advanced']);
+  });
+
+  it('keeps the results climbed in the selected division for the awards', () => {
+    const climberStats = window.aggregateClimberStats(moved, results);
+    const slice = { division: 'Advanced', age_group: 'U18' };
+    const sliced = window.sliceClimberStats(climberStats, slice);
+
+    const kept = window.filterResultsBySlice(results, sliced, moved, slice);
+    expect(kept.map(r => `${r.climber_id}:${r.comp_id}`)).toEqual(['C1:2', 'C3:1']);
+    expect(window.filterResultsBySlice(results, climberStats, moved, { division: 'all' })).toBe(results);
+  });
+
+  it('builds a filter for each category next to the division filter', () => {
+    window.document.body.innerHTML = `
+      <div class="control-group"><select id="division-filter"></select></div>
+      <div class="control-group"><select id="ranking-mode"></select></div>`;
+    window.AppState.rawTeams = teams;
+    window.AppState.currentSlice = { division: 'Open', age_group: 'U18' };
+    window.setupSliceFilters();
+
+    const selects = Array.from(window.document.querySelectorAll('select'), select => select.id);
+    expect(selects).toEqual(['division-filter', 'category-filter-age_group', 'category-filter-gender', 'ranking-mode']);
+
+    const options = id => Array.from(window.document.getElementById(id).options, option => option.textContent);
+    expect(options('division-filter')).toEqual(['All Divisions', 'Beginner', 'Intermediate', 'Advanced']);
+    expect(options('category-filter-age_group')).toEqual(['All Age Group', 'U18', 'Adult']);
+    expect(options('category-filter-gender')).toEqual(['All gender']);
+
+    // A selection that no longer exists falls back to 'all'
+    expect(window.AppState.currentSlice).toEqual({ division: 'all', age_group: 'U18', gender: 'all' });
+    expect(window.document.getElementById('category-filter-age_group').value).toBe('U18');
+  });
+
+  it('adds a sortable header per category after the Division header', () => {
+    window.document.body.innerHTML = `
+      <table><thead><tr><th data-sort="climber">Climber</th><th data-sort="division">Division</th><th data-sort="points">Points</th></tr></thead></table>`;
+    const table = window.document.querySelector('table');
+
+    window.updateCategoryHeaders(table, window.getCategoryColumns());
+    window.updateCategoryHeaders(table, window.getCategoryColumns());
+
+    expect(Array.from(table.querySelectorAll('th'), th => th.textContent))
+      .toEqual(['Climber', 'Division', 'Age Group', 'gender', 'Points']);
+  });
+});
@@ -0,0 +1,162 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { loadDashboard, roster, result } from './load-dashboard.js';
+
+describe('climber profile', () => {
+  let window;
+
+  beforeEach(async () => {
+    window = await loadDashboard();
+    window.document.body.innerHTML = `
+      <input id="search-box">
+      <section id="climber-profile" style="display: none;">
+        <h2 id="climber-profile-title"></h2>
+        <button id="close-climber-profile" type="button">Close</button>
+        <div id="climber-profile-content"></div>
+      </section>`;
+
+    const comp = (comp_id, comp_date) => fields => ({ comp_id, comp_date, ...fields });
+    const [opener, crimpNight, finale] = [comp('1', '2025-01-01'), comp('2', '2025-02-01'), comp('3', '2025-03-01')];
+    window.AppState.rawTeams = roster([
+      ['T1', 'Crimpers', 'C1', 'Ann', 'Beginner'],
+      ['T2', 'Slopers', 'C2', 'Bea', 'Beginner'],
+      ['T2', 'Slopers', 'C3', 'Cal', 'Advanced']
+    ]);
+    window.AppState.rawResults = [
+      result('C1', opener({ boulder_id: 'B1' })),
+      result('C1', opener({ boulder_id: 'B2', top_completed: '0', attempts_to_top: '2' })),
+      result('C2', opener({ boulder_id: 'B1', attempts_to_top: '2' })),
+      result('C3', opener({ boulder_id: 'B1', top_completed: '0', attempts_to_top: '3' })),
+      result('C2', crimpNight({ boulder_id: 'B1' })),
+      result('C2', crimpNight({ boulder_id: 'B2' })),
+      result('C1', finale({ boulder_id: 'B1' })),
+      result('C1', finale({ boulder_id: 'B2' })),
+      result('C2', finale({ boulder_id: 'B1', top_completed: '0', attempts_to_top: '2' }))
+    ];
+    window.AppState.competitions = [
+      { comp_id: '1', name: 'Opener', date: '2025-01-01' },
+      { comp_id: '2', name: 'Crimp Night', date: '2025-02-01' },
+      { comp_id: '3', name: 'Finale', date: '2025-03-01' }
+    ];
+    window.AppState.computeAllStats();
+  });
+
+  it('lists the comps climbed with their placement in the division', () => {
+    const { comps } = window.computeClimberProfile('C1');
+
+    expect(comps.map(comp => [comp.comp_id, comp.comp_date, comp.points, comp.tops, comp.flashes, comp.boulders.length]))
+      .toEqual([['1', '2025-01-01', 150, 1, 1, 2], ['3', '2025-03-01', 200, 2, 2, 2]]);
+    expect(comps[0].placement).toMatchObject({ placement: 1, tied: false, points: 100 });
+    expect(comps[0].dropped).toBe(false);
+  });
+
+  it('picks personal bests, giving ties to the earlier comp', () => {
+    expect(window.computeClimberProfile('C1').bests).toEqual([
+      { label: 'Best comp score', value: '200 points', comp_id: '3' },
+      { label: 'Most tops in a comp', value: '2 tops', comp_id: '3' },
+      { label: 'Most flashes in a comp', value: '2 flashes', comp_id: '3' },
+      { label: 'Best placement', value: '1 in division', comp_id: '1' }
+    ]);
+  });
+
+  it('lists the awards won at each comp and over the season', () => {
+    const flashMaster = window.computeClimberProfile('C1').awards.filter(award => award.award === 'flash_master');
+
+    expect(flashMaster.map(award => award.where)).toEqual(['Opener', 'Finale', 'Season']);
+  });
+
+  it('follows the competition filter, but not the rank history', () => {
+    window.AppState.currentFilter = { comps: ['3'], from: '', to: '' };
+    const profile = window.computeClimberProfile('C1');
+
+    expect(profile.comps.map(comp => comp.comp_id)).toEqual(['3']);
+    expect(profile.stats.total_points).toBe(200);
+    expect(profile.rankHistory).toHaveLength(3);
+  });
+
+  it('tracks the overall and division rank after each comp from the first one climbed', () => {
+    expect(window.computeRankHistory('C1').map(entry =>
+      [entry.comp_id, entry.climbed, entry.total_points, entry.rank, entry.division_rank]
+    )).toEqual([
+      ['1', true, 150, 1, 1],
+      ['2', false, 150, 2, 2],
+      ['3', true, 350, 1, 1]
+    ]);
+    expect(window.computeRankHistory('C3').map(entry => entry.comp_id)).toEqual(['1', '2', '3']);
+  });
+
+  it('builds the standings after each comp once per data load and ranking mode', () => {
+    window.computeRankHistory('C1');
+    const rankings = window.AppState.seasonRankings.rankings;
+
+    window.computeRankHistory('C2');
+    expect(window.AppState.seasonRankings.rankings).toBe(rankings);
+    expect(rankings[1].overall.get('C2')).toEqual({ rank: 1, tied: false });
+
+    window.AppState.rankingMode = 'ifsc';
+    window.computeRankHistory('C1');
+    expect(window.AppState.seasonRankings).toMatchObject({ rankingMode: 'ifsc' });
+    expect(window.AppState.seasonRankings.rankings).not.toBe(rankings);
+
+    window.AppState.setData({
+      teams: window.AppState.rawTeams, results: window.AppState.rawResults.slice(0, 4), issues: []
+    });
+    expect(window.AppState.seasonRankings).toBeNull();
+    expect(window.computeRankHistory('C1').map(entry => entry.comp_id)).toEqual(['1']);
+  });
+
+  it('renders the profile and hides it for an unknown climber', () => {
+    const section = window.document.getElementById('climber-profile');
+    window.renderClimberProfile('C1');
+
+    expect(section.style.display).toBe('block');
+    expect(window.document.getElementById('climber-profile-title').textContent).toBe('🧗 Ann');
+    expect(section.querySelector('.climber-profile-meta').textContent).toBe('Team: Crimpers | Division: Beginner | ID: C1');
+
+    const tables = section.querySelectorAll('.climber-profile-block table');
+    const rankHistory = Array.from(tables[1].tBodies[0].rows, row => Array.from(row.cells, cell => cell.textContent));
+    expect(rankHistory).toEqual([
+      ['Opener', '150', '1', '–', '1 (Beginner)'],
+      ['Crimp Night', '150', '2', '▼1', '2 (Beginner)'],
+      ['Finale', '350', '1', '▲1', '1 (Beginner)']
+    ]);
+    expect(section.querySelectorAll('.climber-profile-scorecard summary')[1].textContent)
+      .toBe('Finale (2025-03-01): 200 points, 2/2 topped');
+
+    window.renderClimberProfile('C9');
+    expect(section.style.display).toBe('none');
+  });
+
+  it('rebuilds only when its inputs change, keeping open scorecards open', () => {
+    const content = window.document.getElementById('climber-profile-content');
+    window.renderClimberProfile('C1');
+    const scorecard = content.querySelector('.climber-profile-scorecard[data-comp-id="3"]');
+    scorecard.open = true;
+
+    window.renderClimberProfile('C1');
+    expect(content.querySelector('.climber-profile-scorecard[data-comp-id="3"]')).toBe(scorecard);
+
+    window.AppState.currentFilter = { comps: ['1', '3'], from: '', to: '' };
+    window.renderClimberProfile('C1');
+    const rebuilt = content.querySelector('.climber-profile-scorecard[data-comp-id="3"]');
+    expect(rebuilt).not.toBe(scorecard);
+    expect(rebuilt.open).toBe(true);
+    expect(content.querySelector('.climber-profile-scorecard[data-comp-id="1"]').open).toBe(false);
+
+    window.renderClimberProfile('C2');
+    expect(content.querySelector('.climber-profile-scorecard[open]')).toBeNull();
+  });
+
+  it('opens from a climber name and keeps the climber in the URL', () => {
+    window.setupClimberProfile();
+    window.document.body.appendChild(window.createClimberLink({ climber_id: 'C2', climber_name: 'Bea' }));
+
+    window.document.querySelector('.climber-link').click();
+    expect(window.AppState.profileClimberId).toBe('C2');
+    expect(window.location.search).toBe('?climber=C2');
+    expect(window.parseViewState(window.location.search).climberId).toBe('C2');
+
+    window.document.getElementById('close-climber-profile').click();
+    expect(window.AppState.profileClimberId).toBeNull();
+    expect(window.location.search).toBe('');
+  });
+});
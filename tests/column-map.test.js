@@ -0,0 +1,52 @@
+import { describe, it, expect, beforeAll } from 'vitest';
+import { loadDashboard, stubFetch } from './load-dashboard.js';
+
+describe('column map and yes/no values', () => {
+  let window;
+  let config;
+
+  beforeAll(async () => {
+    window = await loadDashboard();
+    config = window.eval('CONFIG');
+  });
+
+  it('maps header aliases to field names, ignoring case and spaces', () => {
+    const rows = window.parseCsv(' Climber ID ,NAME,Notes\nC1,Ann,x', ['climber_id', 'climber_name'], null, {
+      climber_id: ['Climber ID'],
+      climber_name: ['Name']
+    });
+
+    expect({ ...rows[0] }).toEqual({ climber_id: 'C1', climber_name: 'Ann', Notes: 'x' });
+  });
+
+  it('maps only the first of two headers for the same field', () => {
+    const rows = window.parseCsv('Climber,Name\nC1,Ann', ['climber_name'], null, { climber_name: ['Climber', 'Name'] });
+
+    expect({ ...rows[0] }).toEqual({ climber_name: 'C1', Name: 'Ann' });
+  });
+
+  it('points at CONFIG.columnMap when a required column is missing', () => {
+    expect(() => window.parseCsv('Who\nAnn', ['climber_name'], null, {})).toThrow(
+      'Missing required columns: climber_name (rename the header or add it as an alias in CONFIG.columnMap)'
+    );
+  });
+
+  it('normalizes yes/no values from CONFIG.booleanValues', () => {
+    expect(['Y', 'yes', 'TRUE', ' ✓ ', '1'].map(window.normalizeBoolean)).toEqual(['1', '1', '1', '1', '1']);
+    expect(['n', 'No', '', '✗', '0'].map(window.normalizeBoolean)).toEqual(['0', '0', '0', '0', '0']);
+    expect(window.normalizeBoolean('maybe')).toBe('maybe');
+  });
+
+  it('loads sheets with aliased headers and yes/no completion flags', async () => {
+    config.sources = { teams: ['local'], results: ['local'] };
+    stubFetch(window, {
+      'teams.csv': 'Team ID,Team,Climber ID,Climber Name,Level\nT1,Crimpers,C1,Ann,Beginner',
+      'results.csv': 'Comp,Date,Problem,Climber,Zone Attempts,Top Attempts,Zone?,Top?\n1,2025-01-11,B1,C1,1,2,Y,n'
+    });
+
+    const { teams, results } = await window.loadAllData();
+
+    expect({ ...teams[0] }).toEqual({ team_id: 'T1', team_name: 'Crimpers', climber_id: 'C1', climber_name: 'Ann', division: 'Beginner' });
+    expect(results[0]).toMatchObject({ comp_id: '1', boulder_id: 'B1', zone_completed: '1', top_completed: '0' });
+  });
+});
@@ -0,0 +1,97 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { loadDashboard, result } from './load-dashboard.js';
+
+describe('competition and date filters', () => {
+  let window;
+
+  beforeEach(async () => {
+    window = await loadDashboard();
+    window.AppState.competitions = [
+      { comp_id: '1', name: 'Season Opener' },
+      { comp_id: '2', name: 'Crimp Night' },
+      { comp_id: '3', name: 'Finale' }
+    ];
+  });
+
+  const results = [
+    result('C1', { comp_id: '1', comp_date: '2025-01-11' }),
+    result('C1', { comp_id: '2', comp_date: '2025-02-08' }),
+    result('C1', { comp_id: '3', comp_date: '2025-03-08' })
+  ];
+  const compsIn = filtered => filtered.map(r => r.comp_id);
+  const filter = fields => ({ ...window.createCompFilter(), ...fields });
+
+  it('keeps every result when nothing is selected', () => {
+    expect(window.filterByComp(results, window.createCompFilter())).toBe(results);
+    expect(window.filterByComp(results, 'all')).toBe(results);
+  });
+
+  it('keeps a set of comps, or a single comp_id', () => {
+    expect(compsIn(window.filterByComp(results, filter({ comps: ['3', '1'] })))).toEqual(['1', '3']);
+    expect(compsIn(window.filterByComp(results, '2'))).toEqual(['2']);
+  });
+
+  it('keeps an inclusive date range, open at either end', () => {
+    expect(compsIn(window.filterByComp(results, filter({ from: '2025-02-08', to: '2025-03-08' })))).toEqual(['2', '3']);
+    expect(compsIn(window.filterByComp(results, filter({ from: '2025-02-01' })))).toEqual(['2', '3']);
+    expect(compsIn(window.filterByComp(results, filter({ to: '2025-02-08' })))).toEqual(['1', '2']);
+  });
+
+  it('requires results to match both the comps and the dates', () => {
+    expect(compsIn(window.filterByComp(results, filter({ comps: ['1', '2'], from: '2025-02-01' })))).toEqual(['2']);
+  });
+
+  it('applies the checked comps and the dates from the filter controls', () => {
+    window.document.body.innerHTML = `
+      <details id="comp-filter"><summary id="comp-filter-summary"></summary><div id="comp-filter-options"></div></details>
+      <input type="date" id="date-from"><input type="date" id="date-to">`;
+    const applied = [];
+    window.AppState.applyFilter = selected => {
+      applied.push(selected);
+      window.AppState.currentFilter = selected;
+    };
+    window.setupFilters();
+    const summary = window.document.getElementById('comp-filter-summary');
+    expect(summary.textContent).toBe('All Competitions');
+
+    const checkboxes = window.document.querySelectorAll('#comp-filter-options input');
+    checkboxes[2].checked = true;
+    checkboxes[2].dispatchEvent(new window.Event('change', { bubbles: true }));
+    expect(summary.textContent).toBe('Finale');
+
+    checkboxes[0].checked = true;
+    checkboxes[0].dispatchEvent(new window.Event('change', { bubbles: true }));
+    expect(summary.textContent).toBe('2 competitions');
+
+    const dateFrom = window.document.getElementById('date-from');
+    dateFrom.value = '2025-02-01';
+    dateFrom.dispatchEvent(new window.Event('change'));
+
+    expect(applied).toEqual([
+      { comps: ['3'], from: '', to: '' },
+      { comps: ['1', '3'], from: '', to: '' },
+      { comps: ['1', '3'], from: '2025-02-01', to: '' }
+    ]);
+  });
+
+  it('summarizes the active selection and says when nothing matches', () => {
+    window.document.body.innerHTML = `
+      <div id="active-selection" style="display: none;"><span id="active-selection-text"></span></div>`;
+    window.eval('CONFIG').categories = [{ column: 'age_group', label: 'Age Group' }];
+    window.AppState.rawResults = results;
+    const panel = window.document.getElementById('active-selection');
+    const text = window.document.getElementById('active-selection-text');
+
+    window.AppState.currentFilter = filter({ comps: ['3', '1'], from: '2025-01-01', to: '2025-03-31' });
+    window.renderActiveSelection(window.AppState.currentFilter, { division: 'Advanced', age_group: 'U18' });
+    expect(text.textContent).toBe('Showing: Season Opener, Finale · 2025-01-01 to 2025-03-31 · Advanced · Age Group: U18');
+    expect(panel.style.display).toBe('flex');
+
+    window.AppState.currentFilter = filter({ to: '2024-12-31' });
+    window.renderActiveSelection(window.AppState.currentFilter, { division: 'all' });
+    expect(text.textContent).toBe('Showing: until 2024-12-31 (no results match)');
+
+    window.renderActiveSelection(window.createCompFilter(), { division: 'all' });
+    expect(panel.style.display).toBe('none');
+  });
+});
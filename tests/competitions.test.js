@@ -0,0 +1,141 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { loadDashboard, stubFetch, roster, result } from './load-dashboard.js';
+
+describe('competition metadata', () => {
+  let window;
+  let config;
+
+  beforeEach(async () => {
+    window = await loadDashboard();
+    config = window.eval('CONFIG');
+  });
+
+  const teamsCsv = 'team_id,team_name,climber_id,climber_name,division\nT1,Crimpers,C1,Ann,Beginner';
+  const resultsCsv = 'comp_id,comp_date,boulder_id,climber_id,attempts_to_zone,attempts_to_top,zone_completed,top_completed\n1,2025-01-11,B1,C1,1,1,1,1';
+
+  it('lists comps from the comps sheet and results, in date order', () => {
+    const comps = [
+      { comp_id: '2', name: 'Crimp Night', date: '2025-02-08', venue: 'Main Gym', status: 'LIVE' },
+      { comp_id: '1', name: 'Season Opener', date: '', venue: '', status: 'final' },
+      { comp_id: '5', name: 'Finale', date: '', venue: '', status: 'upcoming' }
+    ];
+    const results = [
+      result('C1', { comp_id: '1', comp_date: '2025-01-11' }),
+      result('C1', { comp_id: '10', comp_date: '2025-01-25' })
+    ];
+
+    expect(window.buildCompetitionList(comps, results)).toEqual([
+      { comp_id: '1', name: 'Season Opener', date: '2025-01-11', venue: '', status: 'final' },
+      { comp_id: '10', name: 'Comp 10', date: '2025-01-25', venue: '', status: '' },
+      { comp_id: '2', name: 'Crimp Night', date: '2025-02-08', venue: 'Main Gym', status: 'live' },
+      { comp_id: '5', name: 'Finale', date: '', venue: '', status: 'upcoming' }
+    ]);
+  });
+
+  it('labels upcoming and live comps with their status', () => {
+    expect(window.getCompetitionLabel({ name: 'Finale', status: 'upcoming' })).toBe('Finale (upcoming)');
+    expect(window.getCompetitionLabel({ name: 'Crimp Night', status: 'live' })).toBe('Crimp Night (live)');
+    expect(window.getCompetitionLabel({ name: 'Season Opener', status: 'final' })).toBe('Season Opener');
+  });
+
+  it('builds the competition filter from the list', () => {
+    window.document.body.innerHTML = `
+      <details id="comp-filter"><summary id="comp-filter-summary"></summary><div id="comp-filter-options"></div></details>`;
+    window.AppState.competitions = [
+      { comp_id: '1', name: 'Season Opener', date: '2025-01-11', venue: 'Main Gym', status: 'final' },
+      { comp_id: '5', name: 'Finale', date: '', venue: '', status: 'upcoming' }
+    ];
+    window.setupFilters();
+
+    const options = [...window.document.querySelectorAll('#comp-filter-options label')];
+    expect(options.map(option => [option.querySelector('input').value, option.textContent])).toEqual([
+      ['1', ' Season Opener'],
+      ['5', ' Finale (upcoming)']
+    ]);
+    expect(options[0].title).toBe('2025-01-11 • Main Gym');
+  });
+
+  it('loads the comps sheet when there is one', async () => {
+    config.sources = { teams: ['local'], results: ['local'], comps: ['local'] };
+    stubFetch(window, {
+      'teams.csv': teamsCsv,
+      'results.csv': resultsCsv,
+      'comps.csv': 'comp_id,name,date,venue,status\n1,Season Opener,2025-01-11,Main Gym,final'
+    });
+
+    const data = await window.loadAllData();
+
+    expect(data.comps[0].name).toBe('Season Opener');
+    expect(data.sources.comps).toBe('local');
+    expect(data.issues).toEqual([]);
+  });
+
+  it('reports a comps sheet that fails to load and carries on without it', async () => {
+    config.sources = { teams: ['local'], results: ['local'], comps: ['local'] };
+    stubFetch(window, { 'teams.csv': teamsCsv, 'results.csv': resultsCsv, 'comps.csv': 404 });
+
+    const data = await window.loadAllData();
+
+    expect(data.comps).toEqual([]);
+    expect(data.issues).toHaveLength(1);
+    expect(data.issues[0]).toMatchObject({ sheet: 'comps', row: null });
+    expect(data.issues[0].message).toMatch(/^Competitions sheet could not be loaded; competitions are listed from results instead\./);
+  });
+
+  it('skips the comps sheet quietly when none is configured', async () => {
+    config.sources = { teams: ['local'], results: ['local'], comps: ['local'] };
+    delete config.local.compsFile;
+    const requested = stubFetch(window, { 'teams.csv': teamsCsv, 'results.csv': resultsCsv });
+
+    const data = await window.loadAllData();
+
+    expect(data.comps).toEqual([]);
+    expect(data.issues).toEqual([]);
+    expect(requested).toEqual(['teams.csv', 'results.csv']);
+  });
+
+  it('reports problems in the comps sheet', () => {
+    const comps = window.parseCsv([
+      'comp_id,name,date,venue,status',
+      '1,Season Opener,2025-01-11,,final',
+      '1,Again,2025-01-11,,final',
+      ',No id,,,',
+      '2,Crimp Night,08/02/2025,,done'
+    ].join('\n'), []);
+
+    expect(window.validateData([], [], comps).map(({ sheet, row, message }) => [sheet, row, message])).toEqual([
+      ['comps', 3, 'Duplicate comp_id 1; only the first row is used'],
+      ['comps', 4, 'Missing comp_id'],
+      ['comps', 5, 'Invalid date "08/02/2025" (expected YYYY-MM-DD)'],
+      ['comps', 5, 'Unknown status "done" (expected upcoming, live or final)']
+    ]);
+  });
+
+  it('names comps in the fun stats awards', () => {
+    window.AppState.competitions = [
+      { comp_id: '1', name: 'Season Opener', date: '2025-01-11', venue: '', status: 'final' },
+      { comp_id: '2', name: 'Crimp Night', date: '2025-02-08', venue: '', status: 'final' }
+    ];
+    const teams = roster([['T1', 'Crimpers', 'C1', 'Ann', 'Beginner'], ['T1', 'Crimpers', 'C2', 'Bea', 'Beginner']]);
+    const results = [
+      result('C1', { comp_id: '1' }),
+      result('C2', { comp_id: '2', comp_date: '2025-02-08' })
+    ];
+    const funStats = window.computeFunStats(results, window.aggregateClimberStats(teams, results), new Map());
+
+    expect(funStats.perfect_score.climber_name).toBe('Ann (Season Opener) & Bea (Crimp Night)');
+
+    window.document.body.innerHTML = ['most-attempts-boulder-card', 'least-attempts-boulder-card', 'perfect-score-card']
+      .map(id => `<div id="${id}"><div class="stat-value"></div><div class="stat-detail"></div></div>`).join('');
+    window.renderFunStats({
+      most_attempts_boulder: { boulder_id: 'B7', comp_id: '2', attempts: 12 },
+      least_attempts_boulder: { boulder_id: 'B1', comp_id: '1', attempts: 2 },
+      perfect_score: { climber_name: 'Ann', comp_id: '1', boulders: 4, attempts: 8 }
+    });
+    const text = selector => window.document.querySelector(selector).textContent;
+
+    expect(text('#most-attempts-boulder-card .stat-value')).toBe('B7 (Crimp Night)');
+    expect(text('#least-attempts-boulder-card .stat-value')).toBe('B1 (Season Opener)');
+    expect(text('#perfect-score-card .stat-detail')).toMatch(/^Season Opener: 4\/4 topped \(8 attempts\)/);
+  });
+});
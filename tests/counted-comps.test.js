@@ -0,0 +1,102 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { loadDashboard, roster, result } from './load-dashboard.js';
+
+describe('best N / drop worst comps', () => {
+  let window;
+  let rules;
+
+  const teams = roster([
+    ['T1', 'Crimpers', 'C1', 'Ann', 'Open'],
+    ['T1', 'Crimpers', 'C2', 'Bea', 'Open']
+  ]);
+
+  // Ann: 100 in comp 1, 50 in comp 2, 100 with more attempts in comp 3. Bea only climbs comp 1
+  const results = [
+    result('C1', { comp_id: '1' }),
+    result('C1', { comp_id: '2', top_completed: '0' }),
+    result('C1', { comp_id: '3', attempts_to_top: '3' }),
+    result('C2', { comp_id: '1' })
+  ];
+
+  const climberStats = scoring => {
+    const stats = window.aggregateClimberStats(teams, results, null, new Map(), scoring);
+    window.applyCountedCompsRule(stats, ['1', '2', '3'], scoring);
+    return stats;
+  };
+
+  beforeEach(async () => {
+    window = await loadDashboard();
+    rules = overrides => ({ ...window.getScoringRules(), ...overrides });
+  });
+
+  it('counts every comp by default', () => {
+    const ann = climberStats(rules()).get('C1');
+
+    expect(ann.total_points).toBe(250);
+    expect(ann.dropped_comps.size).toBe(0);
+  });
+
+  it('counts only the best N comps, preferring fewer attempts on equal points', () => {
+    const ann = climberStats(rules({ countBestComps: 1 })).get('C1');
+
+    expect([...ann.dropped_comps].sort()).toEqual(['2', '3']);
+    expect(ann).toMatchObject({ total_points: 100, total_attempts: 2, total_tops: 1 });
+  });
+
+  it('drops missed comps before comps that were climbed', () => {
+    const bea = climberStats(rules({ dropWorstComps: 2 })).get('C2');
+
+    expect(bea.dropped_comps.size).toBe(0);
+    expect(bea.total_points).toBe(100);
+
+    const ann = climberStats(rules({ dropWorstComps: 1 })).get('C1');
+    expect([...ann.dropped_comps]).toEqual(['2']);
+    expect(ann.total_points).toBe(200);
+  });
+
+  it('always counts at least one comp', () => {
+    const ann = climberStats(rules({ dropWorstComps: 5 })).get('C1');
+
+    expect(ann.dropped_comps.size).toBe(2);
+    expect(ann.total_points).toBe(100);
+  });
+
+  it('recounts the roster breakdown the team totals are built from', () => {
+    const stats = climberStats(rules({ countBestComps: 2 }));
+    const teamStats = window.aggregateTeamStats(stats, teams);
+
+    expect(stats.get('C1').roster_breakdown.get('T1|Open').total_points).toBe(200);
+    expect(teamStats.get('T1').total_points).toBe(200 + 100);
+  });
+
+  it('states the rule in the rules panel', () => {
+    window.document.body.innerHTML = '<ul id="scoring-rules-list"></ul>';
+    const config = window.eval('CONFIG');
+
+    config.scoring = { dropWorstComps: 1 };
+    window.renderScoringRules();
+    expect(window.document.querySelector('#scoring-rules-list li:last-child').textContent)
+      .toBe('Season total: your worst 1 comp is dropped (missed comps are dropped first)');
+
+    config.scoring = { countBestComps: 3 };
+    window.renderScoringRules();
+    expect(window.document.querySelector('#scoring-rules-list li:last-child').textContent)
+      .toBe('Season total: only your best 3 comps count');
+  });
+
+  it('marks dropped comps in the climber search result', () => {
+    window.eval('AppState').competitions = [{ comp_id: '2', name: 'Winter Bash' }];
+    const html = window.renderClimberSearchResult({
+      climber_name: 'Ann', team_name: 'Crimpers', division: 'Open',
+      total_points: 100, total_attempts: 2,
+      dropped_comps: new Set(['2']),
+      results: [
+        { comp_id: '1', comp_date: '2025-01-01', boulder_id: 'B1', attempts_to_zone: 1, attempts_to_top: 1, zone_completed: 1, top_completed: 1, points: 100 },
+        { comp_id: '2', comp_date: '2025-02-01', boulder_id: 'B1', attempts_to_zone: 1, attempts_to_top: 1, zone_completed: 1, top_completed: 0, points: 50 }
+      ]
+    });
+
+    expect(html).toContain('Not counted (outside best comps): Winter Bash');
+    expect(html.match(/class="dropped-comp"/g)).toHaveLength(1);
+  });
+});
@@ -0,0 +1,117 @@
+import { describe, it, expect, beforeAll } from 'vitest';
+import fc from 'fast-check';
+import { loadDashboard } from './load-dashboard.js';
+
+describe('parseCsv', () => {
+  let window;
+
+  beforeAll(async () => {
+    window = await loadDashboard();
+  });
+
+  const parse = (text, issues = []) =>
+    JSON.parse(JSON.stringify(window.parseCsv(text, ['id', 'name'], issues)));
+
+  it('ignores a leading UTF-8 byte order mark', () => {
+    expect(parse('\uFEFFid,name\n1,Ann')).toEqual([{ id: '1', name: 'Ann' }]);
+  });
+
+  it('accepts LF, CRLF and CR line endings, mixed in one file', () => {
+    expect(parse('id,name\r\n1,Ann\r2,Bea\n3,Cal\r\n')).toEqual([
+      { id: '1', name: 'Ann' },
+      { id: '2', name: 'Bea' },
+      { id: '3', name: 'Cal' }
+    ]);
+  });
+
+  it('keeps commas, escaped quotes and line breaks inside quoted fields', () => {
+    expect(parse('id,name\n1,"Smith, ""Ann""\r\nJr"\n2,Bea')).toEqual([
+      { id: '1', name: 'Smith, "Ann"\nJr' },
+      { id: '2', name: 'Bea' }
+    ]);
+  });
+
+  it('skips blank lines and rows with the wrong number of columns', () => {
+    expect(parse('id,name\n\n1,Ann\n2,Bea,extra\n  \n3,Cal')).toEqual([
+      { id: '1', name: 'Ann' },
+      { id: '3', name: 'Cal' }
+    ]);
+  });
+
+  it('numbers rows as sheet rows, counting blank lines but not line breaks in quotes', () => {
+    const issues = [];
+    const rows = window.parseCsv('id,name\n\n1,"Ann\nA"\n2,Bea,extra\n3,Cal', ['id', 'name'], issues);
+
+    expect(rows.map(row => row._rowNumber)).toEqual([3, 5]);
+    expect({ ...rows[1] }).toMatchObject({ id: '3', name: 'Cal' });
+    expect(issues).toEqual([{ row: 4, message: 'Has 3 columns but expected 2; row skipped' }]);
+  });
+
+  it('gives the line and column of a quote that is never closed', () => {
+    expect(() => parse('id,name\n1,Ann\n2,"Bea\n3,Cal')).toThrow(
+      'Malformed CSV at line 3, column 3: quoted field is never closed'
+    );
+  });
+
+  it('rejects a stray quote in the header', () => {
+    expect(() => parse('id,na"me\n1,Ann')).toThrow(
+      'Malformed CSV at line 1, column 6: unexpected quote in unquoted field'
+    );
+  });
+
+  it('rejects empty files and missing columns', () => {
+    expect(() => parse('\uFEFF \n')).toThrow('Empty CSV file');
+    expect(() => parse('id\n1')).toThrow('Missing required columns: name');
+  });
+
+  it('reads back any fields written as quoted CSV', () => {
+    const cell = fc.string({ unit: fc.constantFrom('a', ' ', ',', '"', '\n', '\r', 'é') });
+    fc.assert(fc.property(fc.array(fc.tuple(cell, cell), { minLength: 1 }), records => {
+      const quote = value => `"${value.replace(/"/g, '""')}"`;
+      const text = ['id,name', ...records.map(fields => fields.map(quote).join(','))].join('\r\n');
+      // Line breaks in quoted fields are read as '\n' and values are trimmed
+      const expected = records.map(([id, name]) => ({
+        id: id.replace(/\r\n?/g, '\n').trim(),
+        name: name.replace(/\r\n?/g, '\n').trim()
+      }));
+
+      expect(parse(text)).toEqual(expected);
+    }));
+  });
+
+  it('reports a row with a stray quote and keeps the rows around it', () => {
+    const issues = [];
+    const rows = parse('id,name\n1,Ann\n2,Dwayne "Rock" J\n3,Cal\n4,5\'10"\n', issues);
+
+    expect(rows).toEqual([{ id: '1', name: 'Ann' }, { id: '3', name: 'Cal' }]);
+    expect(issues).toEqual([
+      { row: 3, message: 'Malformed CSV at line 3, column 10: unexpected quote in unquoted field; row skipped' },
+      { row: 5, message: 'Malformed CSV at line 5, column 7: unexpected quote in unquoted field; row skipped' }
+    ]);
+
+    const afterLineBreak = [];
+    parse('id,name\n1,"Ann\nA"\n2,Dwayne "Rock" J', afterLineBreak);
+    expect(afterLineBreak[0].message).toBe('Malformed CSV at line 4, column 10: unexpected quote in unquoted field; row skipped');
+  });
+
+  it('skips the whole record when a stray quote comes before a quoted line break', () => {
+    const issues = [];
+    const rows = parse('id,name\n2,Dwayne "Rock" J,"Notes\nspanning\nlines"\n3,Cal\n4,Dee "D","More\n2,Not a row"', issues);
+
+    expect(rows).toEqual([{ id: '3', name: 'Cal' }]);
+    expect(issues).toEqual([
+      { row: 2, message: 'Malformed CSV at line 2, column 10: unexpected quote in unquoted field; row skipped' },
+      { row: 4, message: 'Malformed CSV at line 6, column 7: unexpected quote in unquoted field; row skipped' }
+    ]);
+  });
+
+  it('reports text after a closing quote', () => {
+    const issues = [];
+    const rows = parse('id,name\n1,"Ann"x\n2,Bea', issues);
+
+    expect(rows).toEqual([{ id: '2', name: 'Bea' }]);
+    expect(issues).toEqual([
+      { row: 2, message: 'Malformed CSV at line 2, column 8: unexpected character after closing quote; row skipped' }
+    ]);
+  });
+});
@@ -0,0 +1,153 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { loadDashboard, stubFetch } from './load-dashboard.js';
+
+describe('data source adapters', () => {
+  let window;
+  let config;
+
+  beforeEach(async () => {
+    window = await loadDashboard();
+    config = window.eval('CONFIG');
+  });
+
+  const useSource = source => {
+    config.sources = { teams: [source], results: [source] };
+  };
+
+  const teams = [{ team_id: 'T1', team_name: 'Crimpers', climber_id: 'C1', climber_name: ' Ann ', division: 'Beginner' }];
+  const results = [{
+    comp_id: 1, comp_date: '2025-01-11', boulder_id: 'B1', climber_id: 'C1',
+    attempts_to_zone: 1, attempts_to_top: 2, zone_completed: true, top_completed: 'no'
+  }];
+
+  const expectRows = data => {
+    expect({ ...data.teams[0] }).toEqual({ team_id: 'T1', team_name: 'Crimpers', climber_id: 'C1', climber_name: 'Ann', division: 'Beginner' });
+    expect({ ...data.results[0] }).toEqual({
+      comp_id: '1', comp_date: '2025-01-11', boulder_id: 'B1', climber_id: 'C1',
+      attempts_to_zone: '1', attempts_to_top: '2', zone_completed: '1', top_completed: '0'
+    });
+    expect(data.results[0]._rowNumber).toBe(1);
+  };
+
+  it('normalizes rows from one JSON endpoint per dataset like CSV rows', async () => {
+    useSource('json');
+    stubFetch(window, { 'teams.json': JSON.stringify(teams), 'results.json': JSON.stringify(results) });
+
+    expectRows(await window.loadAllData());
+  });
+
+  it('fetches a combined JSON file once for both datasets', async () => {
+    useSource('combined-json');
+    const requested = stubFetch(window, { 'data.json': JSON.stringify({ teams, results }) });
+
+    expectRows(await window.loadAllData());
+    expect(requested).toEqual(['data.json']);
+  });
+
+  it('reads JSON embedded in the page', async () => {
+    useSource('inline');
+    window.document.body.innerHTML = '<script type="application/json" id="inline-data"></script>';
+    window.document.getElementById('inline-data').textContent = JSON.stringify({ teams, results });
+
+    expectRows(await window.loadAllData());
+  });
+
+  it('takes CSV or JSON from the mock server', async () => {
+    useSource('mock-server');
+    stubFetch(window, {
+      'http://localhost:3001/teams': 'team_id,team_name,climber_id,climber_name,division\nT1,Crimpers,C1,Ann,Beginner',
+      'http://localhost:3001/results': JSON.stringify({ results })
+    });
+
+    const data = await window.loadAllData();
+
+    expect(data.teams[0].climber_name).toBe('Ann');
+    expect(data.results[0].zone_completed).toBe('1');
+    expect(data.sources).toMatchObject({ teams: 'mock-server', results: 'mock-server' });
+  });
+
+  it('explains when the mock server cannot be reached', async () => {
+    useSource('mock-server');
+    stubFetch(window, {});
+
+    await expect(window.loadAllData()).rejects.toThrow(
+      'Unable to reach the mock server at http://localhost:3001. Is it running?\n\nError: Failed to fetch'
+    );
+  });
+
+  it('skips a JSON endpoint whose object has no entry for the dataset', async () => {
+    config.sources = { teams: ['json', 'local'], results: ['json'] };
+    stubFetch(window, {
+      'teams.json': JSON.stringify({ results }),
+      'teams.csv': 'team_id,team_name,climber_id,climber_name,division\nT1,Crimpers,C1,Ann,Beginner',
+      'results.json': JSON.stringify(results)
+    });
+
+    const data = await window.loadAllData();
+
+    expect(data.sources.teams).toBe('local');
+    expect(data.fallbackErrors).toEqual([]);
+  });
+
+  it('requires an object of datasets from combined and inline JSON', async () => {
+    useSource('combined-json');
+    stubFetch(window, { 'data.json': JSON.stringify(teams) });
+
+    await expect(window.loadAllData()).rejects.toThrow(
+      'Expected a JSON object like {"teams": [...], "results": [...]}, but got an array'
+    );
+
+    useSource('inline');
+    window.document.body.innerHTML = '<script type="application/json" id="inline-data">null</script>';
+    await expect(window.loadAllData()).rejects.toThrow('but got null');
+  });
+
+  it('reports invalid JSON from the mock server as a parse error', async () => {
+    useSource('mock-server');
+    stubFetch(window, {
+      'http://localhost:3001/teams': '{"teams": [',
+      'http://localhost:3001/results': JSON.stringify(results)
+    });
+
+    await expect(window.loadAllData()).rejects.toThrow(/^Error parsing teams data: /);
+  });
+
+  it('reports HTTP errors as they are, without the adapter explanation', async () => {
+    useSource('mock-server');
+    stubFetch(window, { 'http://localhost:3001/teams': 404, 'http://localhost:3001/results': JSON.stringify(results) });
+
+    const error = await window.loadAllData().catch(error => error);
+
+    expect(error.message).toBe('Failed to load data from http://localhost:3001/teams: 404 Not Found');
+    expect(error.status).toBe(404);
+  });
+
+  it('reports JSON rows missing a required column', async () => {
+    useSource('json');
+    stubFetch(window, { 'teams.json': JSON.stringify([{ team_id: 'T1' }]), 'results.json': JSON.stringify(results) });
+
+    await expect(window.loadAllData()).rejects.toThrow(
+      'Error parsing teams data: Missing required columns: team_name, climber_id, climber_name, division'
+    );
+  });
+
+  it('loads from a custom adapter registered after main.js', async () => {
+    window.registerDataSource('fixture', {
+      describe: dataset => `${dataset} fixture`,
+      load: async dataset => (dataset === 'teams' ? { rows: teams } : { rows: results })
+    });
+    useSource('fixture');
+
+    expectRows(await window.loadAllData());
+    expect(window.describeSource('fixture', 'results')).toBe('results fixture');
+  });
+
+  it('rejects adapters without load() or describe(), and unknown source names', async () => {
+    expect(() => window.registerDataSource('broken', { load: async () => ({}) })).toThrow(
+      'Data source "broken" must provide load() and describe()'
+    );
+
+    useSource('ftp');
+    await expect(window.loadAllData()).rejects.toThrow(/^Unknown data source "ftp"\. Available sources: local, google-sheets, json/);
+  });
+});
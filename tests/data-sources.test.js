@@ -0,0 +1,61 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { loadDashboard, stubFetch } from './load-dashboard.js';
+
+describe('loadAllData source fallback', () => {
+  let window;
+  let config;
+
+  beforeEach(async () => {
+    window = await loadDashboard();
+    config = window.eval('CONFIG');
+  });
+
+  const teamsCsv = 'team_id,team_name,climber_id,climber_name,division\nT1,Crimpers,C1,Ann,Beginner';
+  const resultsCsv = 'comp_id,comp_date,boulder_id,climber_id,attempts_to_zone,attempts_to_top,zone_completed,top_completed\n1,2025-01-11,B1,C1,1,1,1,1';
+
+  it('uses the first source when it works', async () => {
+    config.sources = { teams: ['google-sheets', 'local'], results: ['local'] };
+    stubFetch(window, { [config.googleSheets.teamsUrl]: teamsCsv, 'results.csv': resultsCsv });
+
+    const data = await window.loadAllData();
+
+    expect(data.sources).toMatchObject({ teams: 'google-sheets', results: 'local' });
+    expect(data.fallbackErrors).toEqual([]);
+    expect(data.teams[0].climber_name).toBe('Ann');
+  });
+
+  it('falls back to the next source and keeps the error of the one skipped', async () => {
+    config.sources = { teams: ['google-sheets', 'local'], results: ['google-sheets', 'local'] };
+    const requested = stubFetch(window, {
+      [config.googleSheets.teamsUrl]: 'not,a,roster',
+      [config.googleSheets.resultsUrl]: 404,
+      'teams.csv': teamsCsv,
+      'results.csv': resultsCsv
+    });
+
+    const data = await window.loadAllData();
+
+    expect(data.sources).toMatchObject({ teams: 'local', results: 'local' });
+    expect(requested).toHaveLength(4);
+    expect(data.fallbackErrors).toHaveLength(2);
+    expect(data.fallbackErrors[0]).toMatch(/^Teams from Google Sheets: Error parsing teams data: Missing required columns/);
+    expect(data.fallbackErrors[1]).toMatch(/^Results from Google Sheets: Failed to load data from .*: 404 Not Found$/);
+  });
+
+  it('lists every failure when no source works', async () => {
+    config.sources = { teams: ['google-sheets', 'local'], results: ['local'] };
+    stubFetch(window, { 'results.csv': resultsCsv });
+
+    await expect(window.loadAllData()).rejects.toThrow(/^All sources failed for teams data:\n\nTeams from Google Sheets: Unable to load Teams data from Google Sheets[\s\S]*\n\nTeams from teams\.csv: Unable to load teams\.csv/);
+  });
+
+  it('keeps the original error when there is only one source', async () => {
+    delete config.sources;
+    config.dataSource = 'local';
+    stubFetch(window, { 'results.csv': resultsCsv });
+
+    await expect(window.loadAllData()).rejects.toThrow(
+      'Unable to load teams.csv. Please ensure the file exists in the same directory as index.html.'
+    );
+  });
+});
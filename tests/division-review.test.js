@@ -0,0 +1,122 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { loadDashboard, roster, result } from './load-dashboard.js';
+
+describe('division review', () => {
+  let window;
+  let rules;
+
+  beforeEach(async () => {
+    window = await loadDashboard();
+    rules = overrides => ({ ...window.getDivisionReviewRules(), ...overrides });
+  });
+
+  const teams = roster([
+    ['T1', 'Crimpers', 'C1', 'Ann', 'Intermediate'],
+    ['T1', 'Crimpers', 'C2', 'Bea', 'Intermediate'],
+    ['T2', 'Slopers', 'C3', 'Cal', 'Intermediate'],
+    ['T2', 'Slopers', 'C4', 'Dee', 'Advanced'],
+    ['T2', 'Slopers', 'C5', 'Eve', 'Beginner']
+  ]);
+
+  // Two boulders per comp: the given number of tops and zones
+  const climb = (climberId, compId, tops, zones) => ['B1', 'B2'].map((boulderId, index) => result(climberId, {
+    comp_id: compId,
+    comp_date: `2025-0${compId}-01`,
+    boulder_id: boulderId,
+    top_completed: index < tops ? '1' : '0',
+    zone_completed: index < zones ? '1' : '0'
+  }));
+  const season = scores => Object.entries(scores).flatMap(([climberId, comps]) =>
+    comps.map(([tops, zones], index) => climb(climberId, String(index + 1), tops, zones)).flat());
+
+  const review = (results, reviewRules, reviewTeams = teams) => window.computeDivisionReview(
+    window.aggregateClimberStats(reviewTeams, results),
+    results,
+    reviewTeams,
+    ['1', '2', '3'],
+    reviewRules
+  );
+  const moves = recommendations => recommendations.map(r => [r.climber_name, r.direction, r.target_division]);
+
+  it('promotes on a high top rate and relegates on low top and zone rates', () => {
+    const results = season({
+      C1: [[2, 2], [2, 2], [2, 2]],
+      C2: [[0, 0], [0, 1], [0, 0]],
+      C3: [[1, 2], [1, 2], [1, 2]],
+      C4: [[2, 2], [2, 2], [2, 2]],
+      C5: [[0, 0], [0, 0], [0, 0]]
+    });
+    const recommendations = review(results, rules({ promote: { minTopRate: 0.8, podiumFinishes: null, podiumPlaces: 3 } }));
+
+    expect(moves(recommendations)).toEqual([['Ann', 'promote', 'Advanced'], ['Bea', 'relegate', 'Beginner']]);
+    expect(recommendations[0].reasons).toEqual(['Top rate 100% (promote at 80% or more)']);
+    expect(recommendations[0].evidence).toEqual([
+      'Last 3 comps in Intermediate: 6/6 tops (100%), 6/6 zones (100%)',
+      'Comp 1: 1 of 3, 2/2 tops, 2/2 zones',
+      'Comp 2: 1 of 3, 2/2 tops, 2/2 zones',
+      'Comp 3: 1 of 3, 2/2 tops, 2/2 zones'
+    ]);
+    expect(recommendations[1].reasons).toEqual([
+      'Top rate 0% (relegate at 10% or less)',
+      'Zone rate 17% (relegate at 30% or less)'
+    ]);
+  });
+
+  it('promotes on podium finishes only in fields larger than the podium', () => {
+    const scores = {
+      C1: [[2, 2], [2, 2], [2, 2]],
+      C3: [[1, 2], [1, 2], [1, 2]]
+    };
+    const podiumOnly = rules({ promote: { minTopRate: null, podiumFinishes: 2, podiumPlaces: 2 } });
+
+    expect(moves(review(season(scores), podiumOnly))).toEqual([]);
+
+    const recommendations = review(season({ ...scores, C2: [[0, 2], [0, 2], [0, 2]] }), podiumOnly);
+    expect(moves(recommendations)).toEqual([['Ann', 'promote', 'Advanced'], ['Cal', 'promote', 'Advanced']]);
+    expect(recommendations[1].reasons).toEqual(['Top 2 finish 3 times (promote at 2)']);
+  });
+
+  it('looks only at the recent comps and skips climbers with too few', () => {
+    const results = season({
+      C1: [[0, 0], [2, 2], [2, 2]],
+      C3: [[2, 2]]
+    });
+
+    expect(moves(review(results, rules({ recentComps: 3 })))).toEqual([]);
+    expect(moves(review(results, rules({ recentComps: 2 })))).toEqual([['Ann', 'promote', 'Advanced']]);
+    expect(moves(review(results, rules({ recentComps: 2, minComps: 1 }))).map(([name]) => name)).toEqual(['Ann', 'Cal']);
+  });
+
+  it('fills in missing rules from the defaults', () => {
+    window.eval('CONFIG').divisionReview = { minComps: 1, relegate: { maxZoneRate: null } };
+
+    expect(window.getDivisionReviewRules()).toEqual({
+      recentComps: 3,
+      minComps: 1,
+      promote: { minTopRate: 0.8, podiumFinishes: 2, podiumPlaces: 3 },
+      relegate: { maxTopRate: 0.1, maxZoneRate: null }
+    });
+  });
+
+  it('lists the moves in the organizer panel and hides it when there are none', () => {
+    window.document.body.innerHTML = `
+      <section id="division-review" style="display: none;">
+        <span id="division-review-count">0</span>
+        <table id="division-review-table"><tbody></tbody></table>
+      </section>`;
+    const panel = window.document.getElementById('division-review');
+
+    window.renderDivisionReview([{
+      climber_name: 'Ann', team_name: 'Crimpers', division: 'Intermediate', direction: 'promote',
+      target_division: 'Advanced', reasons: ['Top rate 100%'], evidence: ['Comp 1: 1 of 3']
+    }]);
+    const cells = Array.from(panel.querySelectorAll('tbody td'), cell => cell.textContent);
+    expect(cells).toEqual(['Ann', 'Crimpers', '⬆️ Move up: Intermediate → Advanced', 'Top rate 100%Comp 1: 1 of 3']);
+    expect(panel.querySelector('.division-review-reason').textContent).toBe('Top rate 100%');
+    expect(window.document.getElementById('division-review-count').textContent).toBe('1');
+    expect(panel.style.display).toBe('block');
+
+    window.renderDivisionReview([]);
+    expect(panel.style.display).toBe('none');
+  });
+});
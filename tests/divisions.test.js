@@ -0,0 +1,84 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { readFileSync } from 'node:fs';
+import { loadDashboard, roster, result } from './load-dashboard.js';
+
+// The board template from index.html, so rendered boards match the page
+const template = readFileSync(new URL('../index.html', import.meta.url), 'utf8')
+  .match(/<template id="division-leaderboard-template">[\s\S]*?<\/template>/)[0];
+
+describe('configurable divisions', () => {
+  let window;
+  let config;
+
+  beforeEach(async () => {
+    window = await loadDashboard();
+    config = window.eval('CONFIG');
+  });
+
+  const teams = roster([
+    ['T1', 'Crimpers', 'C1', 'Ann', 'Youth B'],
+    ['T1', 'Crimpers', 'C2', 'Bea', 'Advanced'],
+    ['T2', 'Slopers', 'C3', 'Cal', 'Open / Masters'],
+    ['T2', 'Slopers', 'C4', 'Dee', 'Youth B']
+  ]);
+
+  it('lists configured divisions first, then the roster\'s others in sheet order', () => {
+    config.divisions = [{ name: 'Advanced', emoji: '💪' }, { name: 'Beginner', label: 'Newcomers' }];
+
+    expect(window.getDivisions(teams)).toEqual([
+      { name: 'Advanced', label: 'Advanced Division', emoji: '💪', tableId: 'advanced-leaderboard' },
+      { name: 'Beginner', label: 'Newcomers', emoji: '🧗', tableId: 'beginner-leaderboard' },
+      { name: 'Youth B', label: 'Youth B Division', emoji: '🧗', tableId: 'youth-b-leaderboard' },
+      { name: 'Open / Masters', label: 'Open / Masters Division', emoji: '🧗', tableId: 'open-masters-leaderboard' }
+    ]);
+  });
+
+  it('numbers table IDs whose names reduce to the same slug', () => {
+    config.divisions = [{ name: 'Youth-B' }];
+
+    expect(window.getDivisions(teams).map(division => division.tableId))
+      .toEqual(['youth-b-leaderboard', 'youth-b-2-leaderboard', 'advanced-leaderboard', 'open-masters-leaderboard']);
+  });
+
+  it('groups climbers into every division, including unconfigured ones', () => {
+    const climberStats = window.aggregateClimberStats(teams, [result('C1'), result('C4', { top_completed: '0' })]);
+    const divisionStats = window.aggregateDivisionStats(climberStats, ['Youth B', 'Advanced', 'Beginner']);
+
+    expect(divisionStats.get('Youth B').map(c => c.climber_name).sort()).toEqual(['Ann', 'Dee']);
+    expect(divisionStats.get('Advanced').map(c => c.climber_name)).toEqual(['Bea']);
+    expect(divisionStats.get('Beginner')).toEqual([]);
+  });
+
+  it('reports a missing division and divisions outside CONFIG.divisions', () => {
+    config.divisions = [{ name: 'Advanced' }];
+    const issues = window.validateData([...teams, { team_id: 'T2', team_name: 'Slopers', climber_id: 'C5', climber_name: 'Eve', division: '' }], []);
+
+    expect(issues.map(issue => issue.message)).toEqual([
+      'Division "Youth B" for climber C1 is not in CONFIG.divisions; it is shown after the configured divisions',
+      'Division "Open / Masters" for climber C3 is not in CONFIG.divisions; it is shown after the configured divisions',
+      'Division "Youth B" for climber C4 is not in CONFIG.divisions; it is shown after the configured divisions',
+      'Missing division for climber C5; climber left out of division leaderboards'
+    ]);
+  });
+
+  it('renders one board per division from the template and drops boards that are gone', () => {
+    window.document.body.innerHTML = `<div id="division-leaderboards">${template}</div>`;
+    const container = window.document.getElementById('division-leaderboards');
+    const climberStats = window.aggregateClimberStats(teams, [result('C1'), result('C2')]);
+    const render = divisionTeams => {
+      const divisions = window.getDivisions(divisionTeams);
+      window.renderDivisionLeaderboards(window.aggregateDivisionStats(climberStats, divisions.map(d => d.name)), divisions);
+    };
+
+    config.divisions = [{ name: 'Advanced', emoji: '💪' }];
+    render(teams);
+    const headings = () => Array.from(container.querySelectorAll('.division-leaderboard h3'), h3 => h3.textContent);
+    expect(headings()).toEqual(['💪 Advanced Division', '🧗 Youth B Division', '🧗 Open / Masters Division']);
+    expect(window.document.querySelectorAll('#youth-b-leaderboard tbody tr')).toHaveLength(2);
+
+    const advanced = window.document.getElementById('advanced-leaderboard');
+    render(teams.filter(row => row.division !== 'Youth B'));
+    expect(headings()).toEqual(['💪 Advanced Division', '🧗 Open / Masters Division']);
+    expect(window.document.getElementById('advanced-leaderboard')).toBe(advanced);
+  });
+});
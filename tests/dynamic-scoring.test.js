@@ -0,0 +1,83 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { loadDashboard, roster, result } from './load-dashboard.js';
+
+describe('dynamic boulder values', () => {
+  let window;
+  let scoring;
+
+  const teams = roster([
+    ['T1', 'Crimpers', 'C1', 'Ann', 'Open'],
+    ['T1', 'Crimpers', 'C2', 'Bea', 'Open'],
+    ['T2', 'Slopers', 'C3', 'Cal', 'Open'],
+    ['T2', 'Slopers', 'C4', 'Dee', 'Youth']
+  ]);
+
+  beforeEach(async () => {
+    window = await loadDashboard();
+    window.eval('CONFIG').scoring = { dynamic: { enabled: true, topPool: 1000, zonePool: 500 } };
+    scoring = window.getScoringRules();
+  });
+
+  it('shares each pool between everyone in the division who completed the boulder', () => {
+    const results = [
+      result('C1'),
+      result('C2'),
+      result('C3', { top_completed: '0' }),
+      result('C4')
+    ];
+
+    const values = window.computeDynamicBoulderValues(results, teams, scoring);
+
+    expect(values.get('1:B1:Open')).toEqual({ top_value: 500, zone_value: 167, tops: 2, zones: 3 });
+    expect(values.get('1:B1:Youth')).toEqual({ top_value: 1000, zone_value: 500, tops: 1, zones: 1 });
+  });
+
+  it('offers the whole pool when nobody completed the boulder', () => {
+    const values = window.computeDynamicBoulderValues([
+      result('C1', { zone_completed: '0', top_completed: '0' })
+    ], teams, scoring);
+
+    expect(values.get('1:B1:Open')).toMatchObject({ top_value: 1000, zone_value: 500 });
+  });
+
+  it('counts each comp separately', () => {
+    const values = window.computeDynamicBoulderValues([
+      result('C1'),
+      result('C2'),
+      result('C1', { comp_id: '2', comp_date: '2025-02-01' })
+    ], teams, scoring);
+
+    expect(values.get('1:B1:Open').top_value).toBe(500);
+    expect(values.get('2:B1:Open').top_value).toBe(1000);
+  });
+
+  it('replaces the boulder\'s fixed points with its dynamic values', () => {
+    const boulders = new Map([['1:B1', { comp_id: '1', boulder_id: 'B1', grade: 'V4', zone_points: 20, top_points: 80 }]]);
+    const values = window.computeDynamicBoulderValues([result('C1'), result('C2')], teams, scoring);
+
+    expect(window.getScoringBoulder(result('C1'), 'Open', boulders, values)).toMatchObject({
+      grade: 'V4', zone_points: 250, top_points: 500
+    });
+    expect(window.getScoringBoulder(result('C1'), 'Open', boulders, null)).toMatchObject({ zone_points: 20, top_points: 80 });
+  });
+
+  it('scores climbers with the dynamic values of their division', () => {
+    const results = [result('C1'), result('C2'), result('C4')];
+    const values = window.computeDynamicBoulderValues(results, teams, scoring);
+    const stats = window.aggregateClimberStats(teams, results, null, new Map(), scoring, values);
+
+    expect(stats.get('C1').total_points).toBe(250 + 500);
+    expect(stats.get('C4').total_points).toBe(500 + 1000);
+  });
+
+  it('explains the shared pools in the rules panel', () => {
+    window.document.body.innerHTML = '<ul id="scoring-rules-list"></ul>';
+    window.renderScoringRules();
+
+    expect([...window.document.querySelectorAll('#scoring-rules-list li')].map(item => item.textContent)).toEqual([
+      'Zone reached: 500 points shared by everyone in your division who reaches that zone in the comp',
+      'Top reached: 1000 points shared by everyone in your division who tops it (e.g. 4 tops = 250 points each)',
+      'Maximum per boulder: 1500 points (a flash when nobody else in your division reaches the zone)'
+    ]);
+  });
+});
@@ -0,0 +1,101 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { loadDashboard, roster, result } from './load-dashboard.js';
+
+describe('IFSC ranking', () => {
+  let window;
+
+  beforeEach(async () => {
+    window = await loadDashboard();
+  });
+
+  const stats = (name, tops, zones, topAttempts, zoneAttempts) => ({
+    climber_name: name,
+    total_tops: tops,
+    total_zones: zones,
+    total_top_attempts: topAttempts,
+    total_zone_attempts: zoneAttempts
+  });
+
+  it('counts attempts to tops and zones only for the holds reached', () => {
+    expect(window.tallyResult(result('C1', { attempts_to_zone: '2', attempts_to_top: '3' }), 100)).toEqual({
+      points: 100, base_points: 100, attempts: 5, tops: 1, zones: 1, top_attempts: 3, zone_attempts: 2, flashes: 0
+    });
+    expect(window.tallyResult(result('C1', { top_completed: '0', attempts_to_zone: '2', attempts_to_top: '4' }), 50)).toEqual({
+      points: 50, base_points: 50, attempts: 6, tops: 0, zones: 1, top_attempts: 0, zone_attempts: 2, flashes: 0
+    });
+  });
+
+  it('totals tops, zones and their attempts per climber', () => {
+    const climbers = roster([['T1', 'Crux', 'C1', 'Ann', 'Open']]);
+    const results = [
+      result('C1', { boulder_id: 'B1', attempts_to_top: '2' }),
+      result('C1', { boulder_id: 'B2', top_completed: '0', attempts_to_zone: '3', attempts_to_top: '1' })
+    ];
+
+    const ann = window.aggregateClimberStats(climbers, results).get('C1');
+
+    expect(ann).toMatchObject({
+      total_tops: 1,
+      total_zones: 2,
+      total_top_attempts: 2,
+      total_zone_attempts: 4,
+      total_attempts: 7
+    });
+  });
+
+  it('orders by tops, zones, then fewest attempts to tops and zones', () => {
+    const sorted = window.sortLeaderboard([
+      stats('Dee', 2, 3, 4, 5),
+      stats('Ann', 2, 3, 4, 4),
+      stats('Bea', 3, 3, 9, 9),
+      stats('Cal', 2, 4, 9, 9),
+      stats('Eve', 2, 3, 3, 9),
+      stats('Abe', 2, 3, 4, 4)
+    ], 'climber_name', { mode: 'ifsc' });
+
+    expect(sorted.map(c => c.climber_name)).toEqual(['Bea', 'Cal', 'Eve', 'Abe', 'Ann', 'Dee']);
+  });
+
+  it('falls back to points ranking for an unknown mode', () => {
+    window.AppState.setRankingMode('ifsc');
+    expect(window.AppState.rankingMode).toBe('ifsc');
+
+    window.AppState.setRankingMode('bogus');
+    expect(window.AppState.rankingMode).toBe('points');
+  });
+
+  it('shows only the score columns for the active mode', () => {
+    window.document.body.innerHTML = `
+      <table>
+        <thead><tr>
+          <th data-sort="name">Climber</th>
+          <th data-sort="points" data-ranking="points">Total Points</th>
+          <th data-sort="attempts" data-ranking="points">Total Attempts</th>
+          <th data-sort="tops" data-ranking="ifsc" hidden>Tops</th>
+          <th data-sort="zones" data-ranking="ifsc" hidden>Zones</th>
+          <th data-sort="top_attempts" data-ranking="ifsc" hidden>Attempts to Tops</th>
+          <th data-sort="zone_attempts" data-ranking="ifsc" hidden>Attempts to Zones</th>
+        </tr></thead>
+      </table>`;
+    const table = window.document.querySelector('table');
+    const visible = () => Array.from(table.querySelectorAll('thead th[data-ranking]'))
+      .filter(th => !th.hidden)
+      .map(th => th.dataset.sort);
+
+    window.updateRankingHeaders(table, 'ifsc');
+    expect(visible()).toEqual(['tops', 'zones', 'top_attempts', 'zone_attempts']);
+
+    window.updateRankingHeaders(table, 'points');
+    expect(visible()).toEqual(['points', 'attempts']);
+  });
+
+  it('appends numeric cells for the mode\'s columns', () => {
+    const row = window.document.createElement('tr');
+    window.appendRankingCells(row, {
+      total_tops: 2, total_zones: 3, total_top_attempts: 4, total_zone_attempts: 5, total_points: 300, total_attempts: 9
+    }, 'ifsc');
+
+    expect(Array.from(row.cells, cell => cell.textContent)).toEqual(['2', '3', '4', '5']);
+    expect(row.cells[0].getAttribute('data-type')).toBe('number');
+  });
+});
@@ -0,0 +1,83 @@
+import { readFileSync } from 'node:fs';
+import { JSDOM, VirtualConsole } from 'jsdom';
+
+const root = new URL('../', import.meta.url);
+
+/**
+ * Load config.js and main.js into a fresh jsdom window, the way index.html does
+ * The page isn't initialized (no data is fetched); tests call the functions main.js
+ * puts on window, and can read or change the configuration through window.eval('CONFIG')
+ * @returns {Promise<Window>} jsdom window with the dashboard scripts loaded
+ */
+export async function loadDashboard() {
+  const dom = new JSDOM('<!DOCTYPE html><html><body></body></html>', {
+    runScripts: 'dangerously',
+    url: 'http://localhost/',
+    virtualConsole: new VirtualConsole()
+  });
+  const { document } = dom.window;
+
+  // Load the scripts after the page has loaded, so their DOMContentLoaded handler doesn't start the app
+  await new Promise(resolve => dom.window.addEventListener('load', resolve));
+
+  // Added as elements rather than inline markup: the scripts mention </script> in comments
+  ['config.js', 'main.js'].forEach(file => {
+    const script = document.createElement('script');
+    script.textContent = readFileSync(new URL(file, root), 'utf8');
+    document.body.appendChild(script);
+  });
+
+  return dom.window;
+}
+
+/**
+ * Build roster rows for teams.csv
+ * @param {Array<Array<string>>} rows - Rows as [team_id, team_name, climber_id, climber_name, division]
+ * @returns {Array<Object>} Roster rows
+ */
+export function roster(rows) {
+  return rows.map(([team_id, team_name, climber_id, climber_name, division]) =>
+    ({ team_id, team_name, climber_id, climber_name, division }));
+}
+
+/**
+ * Build a results.csv row
+ * @param {string} climber_id - Climber
+ * @param {Object} fields - Any result fields to set (comp_id defaults to '1', boulder_id to 'B1')
+ * @returns {Object} Result row
+ */
+export function result(climber_id, fields = {}) {
+  return {
+    comp_id: '1',
+    comp_date: '2025-01-01',
+    boulder_id: 'B1',
+    climber_id,
+    attempts_to_zone: '1',
+    attempts_to_top: '1',
+    zone_completed: '1',
+    top_completed: '1',
+    ...fields
+  };
+}
+
+/**
+ * Replace fetch in a dashboard window with canned responses
+ * @param {Window} window - Window from loadDashboard
+ * @param {Object} responses - Map of URL (or the start of one) to response text;
+ *   a number answers with that HTTP status, an Error makes the request fail
+ * @returns {Array<string>} URLs requested, in order
+ */
+export function stubFetch(window, responses) {
+  const requested = [];
+  window.fetch = async url => {
+    requested.push(url);
+    const key = Object.keys(responses).find(prefix => url.startsWith(prefix));
+    const response = key === undefined ? new TypeError('Failed to fetch') : responses[key];
+    if (response instanceof Error) throw response;
+    if (typeof response === 'number') {
+      return { ok: false, status: response, statusText: 'Not Found', text: async () => '' };
+    }
+    return { ok: true, status: 200, statusText: 'OK', text: async () => response };
+  };
+  return requested;
+}
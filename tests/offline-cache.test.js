@@ -0,0 +1,65 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { loadDashboard, roster, result } from './load-dashboard.js';
+
+describe('offline cache', () => {
+  let window;
+
+  beforeEach(async () => {
+    window = await loadDashboard();
+    window.localStorage.clear();
+  });
+
+  const data = () => {
+    const teams = roster([['T1', 'Crimpers', 'C1', 'Ann', 'Beginner']]);
+    const results = [result('C1')];
+    Object.defineProperty(teams[0], '_rowNumber', { value: 2, enumerable: false });
+    Object.defineProperty(results[0], '_rowNumber', { value: 7, enumerable: false });
+    return { teams, results, issues: [{ sheet: 'results', row: 3, message: 'Has 2 columns but expected 8; row skipped' }] };
+  };
+
+  it('reads back the saved data with its sheet row numbers', () => {
+    window.saveCachedData(data());
+    const cached = window.loadCachedData();
+
+    expect(cached.savedAt).toBeLessThanOrEqual(Date.now());
+    expect(JSON.parse(JSON.stringify(cached.teams))).toEqual(JSON.parse(JSON.stringify(data().teams)));
+    expect(cached.teams[0]._rowNumber).toBe(2);
+    expect(cached.results[0]._rowNumber).toBe(7);
+    expect(Object.keys(cached.results[0])).not.toContain('_rowNumber');
+    expect(cached.issues).toEqual(data().issues);
+  });
+
+  it('has nothing to offer when the cache is off, empty or unreadable', () => {
+    const { storageKey } = window.eval('CONFIG').offlineCache;
+    expect(window.loadCachedData()).toBeNull();
+
+    window.localStorage.setItem(storageKey, '{not json');
+    expect(window.loadCachedData()).toBeNull();
+
+    window.localStorage.setItem(storageKey, JSON.stringify({ savedAt: 1, teams: 'nope', results: [] }));
+    expect(window.loadCachedData()).toBeNull();
+
+    window.eval('CONFIG').offlineCache.enabled = false;
+    window.saveCachedData(data());
+    expect(window.localStorage.getItem(storageKey)).toContain('nope');
+  });
+
+  it('falls back to the cache when loading fails and shows the stale data banner', async () => {
+    window.document.body.innerHTML = `
+      <div id="stale-data-banner" style="display: none;">
+        <span class="stale-data-title"></span><span class="stale-data-error"></span>
+      </div>
+      <p id="footer-text"></p>`;
+    window.saveCachedData(data());
+    window.loadAllData = async () => { throw new Error('Failed to load teams.csv'); };
+
+    await window.AppState.initialize();
+
+    expect(window.AppState.dataSource).toMatchObject({ type: 'cache', error: 'Failed to load teams.csv' });
+    expect(window.AppState.climberStats.get('C1').total_points).toBe(100);
+    expect(window.document.getElementById('stale-data-banner').style.display).toBe('block');
+    expect(window.document.querySelector('.stale-data-error').textContent)
+      .toBe('Live data could not be loaded: Failed to load teams.csv');
+    expect(window.document.getElementById('footer-text').textContent).toContain('Offline: cached data from');
+  });
+});
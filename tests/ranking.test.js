@@ -0,0 +1,90 @@
+import { describe, it, expect, beforeAll } from 'vitest';
+import { loadDashboard } from './load-dashboard.js';
+
+describe('rankLeaderboard', () => {
+  let window;
+
+  beforeAll(async () => {
+    window = await loadDashboard();
+  });
+
+  const entry = (climber_name, total_points, fields = {}) => ({
+    climber_name,
+    total_points,
+    total_attempts: 10,
+    total_flashes: 0,
+    comp_breakdown: new Map(),
+    ...fields
+  });
+  const comps = points => new Map(Object.entries(points).map(([compId, compPoints]) => [compId, { points: compPoints }]));
+
+  const rank = (data, options) => window.rankLeaderboard(data, 'climber_name', options)
+    .map(({ entry, rank, tied }) => [entry.climber_name, rank, tied]);
+
+  it('shares ranks for true ties and skips the ranks after them (1, 2, 2, 4)', () => {
+    const data = [entry('Dee', 100), entry('Cal', 300), entry('Bea', 200), entry('Ann', 200)];
+
+    expect(rank(data)).toEqual([
+      ['Cal', 1, false],
+      ['Ann', 2, true],
+      ['Bea', 2, true],
+      ['Dee', 4, false]
+    ]);
+  });
+
+  it('breaks points ties on fewest attempts by default', () => {
+    const data = [entry('Ann', 200, { total_attempts: 12 }), entry('Bea', 200, { total_attempts: 8 })];
+
+    expect(rank(data)).toEqual([['Bea', 1, false], ['Ann', 2, false]]);
+  });
+
+  it('applies the tie-breaks in order', () => {
+    const data = [
+      entry('Ann', 200, { total_flashes: 1, total_attempts: 8 }),
+      entry('Bea', 200, { total_flashes: 3, total_attempts: 12 })
+    ];
+
+    expect(rank(data, { tieBreaks: ['most-flashes', 'fewest-attempts'] })[0][0]).toBe('Bea');
+    expect(rank(data, { tieBreaks: ['fewest-attempts', 'most-flashes'] })[0][0]).toBe('Ann');
+  });
+
+  it('counts back on best single comps, leaving out dropped comps', () => {
+    const data = [
+      entry('Ann', 300, { comp_breakdown: comps({ 1: 200, 2: 100, 3: 250 }), dropped_comps: new Set(['3']) }),
+      entry('Bea', 300, { comp_breakdown: comps({ 1: 150, 2: 150 }) })
+    ];
+
+    expect(rank(data, { tieBreaks: ['best-comp'] })).toEqual([['Ann', 1, false], ['Bea', 2, false]]);
+  });
+
+  it('compares the latest comp either climbed for head-to-head', () => {
+    const data = [
+      entry('Ann', 300, { comp_breakdown: comps({ 1: 200, 2: 100 }) }),
+      entry('Bea', 300, { comp_breakdown: comps({ 1: 150, 2: 150 }) })
+    ];
+
+    expect(rank(data, { tieBreaks: ['last-comp'], compOrder: ['1', '2', '3'] })[0][0]).toBe('Bea');
+    expect(rank(data, { tieBreaks: ['last-comp'], compOrder: ['2', '1'] })[0][0]).toBe('Ann');
+  });
+
+  it('ranks on tops, zones, then attempts in ifsc mode', () => {
+    const ifsc = (name, total_tops, total_zones, total_top_attempts) =>
+      entry(name, 0, { total_tops, total_zones, total_top_attempts, total_zone_attempts: 0 });
+    const data = [ifsc('Ann', 2, 4, 3), ifsc('Bea', 3, 3, 9), ifsc('Cal', 2, 4, 2), ifsc('Dee', 2, 5, 9)];
+
+    expect(rank(data, { mode: 'ifsc', tieBreaks: [] }).map(([name]) => name)).toEqual(['Bea', 'Dee', 'Cal', 'Ann']);
+  });
+
+  it('skips unknown tie-breaks from CONFIG.ranking', () => {
+    window.eval('CONFIG').ranking = { tieBreaks: ['most-flashes', 'coin-toss'] };
+
+    expect(window.getRankingOptions().tieBreaks).toEqual(['most-flashes']);
+  });
+
+  it('marks shared ranks with a "T" in the rank cell', () => {
+    const cell = window.createRankCell(2, true);
+
+    expect(cell.textContent).toBe('T2');
+    expect(cell.getAttribute('data-rank')).toBe('2');
+  });
+});
@@ -0,0 +1,74 @@
+import { describe, it, expect, beforeAll } from 'vitest';
+import { loadDashboard, result } from './load-dashboard.js';
+
+describe('roster history', () => {
+  let window;
+
+  beforeAll(async () => {
+    window = await loadDashboard();
+  });
+
+  // Ann moves from Crimpers (Beginner) to Slopers (Intermediate) on 2025-02-01
+  const teamsCsv = [
+    'team_id,team_name,climber_id,climber_name,division,effective_from,effective_to',
+    'T1,Crimpers,C1,Ann,Beginner,,2025-01-31',
+    'T2,Slopers,C1,Ann,Intermediate,2025-02-01,',
+    'T2,Slopers,C2,Bea,Intermediate,,'
+  ].join('\n');
+  const results = [
+    result('C1', { comp_id: '1', comp_date: '2025-01-11' }),
+    result('C1', { comp_id: '2', comp_date: '2025-02-08', top_completed: '0' }),
+    result('C2', { comp_id: '2', comp_date: '2025-02-08' })
+  ];
+
+  const teams = () => window.parseCsv(teamsCsv, []);
+
+  it('finds the roster row in effect on a date and the current one', () => {
+    const entries = window.buildRosterHistory(teams()).get('C1');
+
+    expect(window.getRosterEntry(entries, '2025-01-31').team_id).toBe('T1');
+    expect(window.getRosterEntry(entries, '2025-02-01').team_id).toBe('T2');
+    expect(window.getCurrentRosterEntry(entries).division).toBe('Intermediate');
+    expect(window.getRosterEntry(entries.slice(1), '2025-01-11')).toBeNull();
+  });
+
+  it('credits each result to the team the climber was on at the time', () => {
+    const climberStats = window.aggregateClimberStats(teams(), results);
+    const teamStats = window.aggregateTeamStats(climberStats, teams());
+
+    expect(climberStats.get('C1')).toMatchObject({ team_id: 'T2', division: 'Intermediate', total_points: 150 });
+    expect(teamStats.get('T1').total_points).toBe(100);
+    expect(teamStats.get('T2').total_points).toBe(50 + 100);
+  });
+
+  it('puts a climber who changed division on both boards with the points from each', () => {
+    const climberStats = window.aggregateClimberStats(teams(), results);
+    const divisionStats = window.aggregateDivisionStats(climberStats, ['Beginner', 'Intermediate', 'Advanced']);
+
+    expect(divisionStats.get('Beginner').map(c => [c.climber_name, c.team_name, c.total_points]))
+      .toEqual([['Ann', 'Crimpers', 100]]);
+    expect(divisionStats.get('Intermediate').map(c => [c.climber_name, c.team_name, c.total_points]))
+      .toEqual([['Ann', 'Slopers', 50], ['Bea', 'Slopers', 100]]);
+  });
+
+  it('reports bad, reversed and overlapping roster dates and results outside them', () => {
+    const roster = window.parseCsv([
+      'team_id,team_name,climber_id,climber_name,division,effective_from,effective_to',
+      'T1,Crimpers,C1,Ann,Beginner,2025-01-01,2025-01-31',
+      'T2,Slopers,C1,Ann,Beginner,2025-01-15,',
+      'T1,Crimpers,C2,Bea,Beginner,2025-03-01,2025-02-01',
+      'T1,Crimpers,C3,Cal,Beginner,Jan 1,'
+    ].join('\n'), []);
+    const late = window.parseCsv([
+      'comp_id,comp_date,boulder_id,climber_id,attempts_to_zone,attempts_to_top,zone_completed,top_completed',
+      '1,2024-12-14,B1,C1,1,1,1,1'
+    ].join('\n'), []);
+
+    expect(window.validateData(roster, late).map(({ row, message }) => [row, message])).toEqual([
+      [3, 'Roster dates for climber C1 overlap row 2; the earlier row is used where they overlap'],
+      [4, 'effective_from 2025-03-01 is after effective_to 2025-02-01'],
+      [5, 'Invalid effective_from "Jan 1" (expected YYYY-MM-DD)'],
+      [2, 'Climber C1 was not on the roster on 2024-12-14; result credited to their current team and division']
+    ]);
+  });
+});
@@ -0,0 +1,106 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { loadDashboard, roster, result } from './load-dashboard.js';
+
+describe('scoring rules', () => {
+  let window;
+  let rules;
+
+  beforeEach(async () => {
+    window = await loadDashboard();
+    rules = overrides => ({ ...window.getScoringRules(), ...overrides });
+  });
+
+  const zoneOnly = result('C1', { top_completed: '0', attempts_to_top: '2' });
+  const flash = result('C1');
+  const secondGo = result('C1', { attempts_to_top: '2' });
+
+  it('scores 50 for a zone and 50 for a top by default', () => {
+    expect(window.computePoints(flash)).toBe(100);
+    expect(window.computePoints(zoneOnly)).toBe(50);
+    expect(window.computePoints(result('C1', { zone_completed: '0', top_completed: '0' }))).toBe(0);
+  });
+
+  it('uses the boulder\'s own zone and top points when it has them', () => {
+    expect(window.computePoints(flash, { zone_points: 20, top_points: 80 })).toBe(100);
+    expect(window.computePoints(zoneOnly, { zone_points: 20, top_points: 80 })).toBe(20);
+    expect(window.computePoints(zoneOnly, { zone_points: null, top_points: null })).toBe(50);
+  });
+
+  it('adds the flash bonus only for a first-attempt top', () => {
+    const scoring = rules({ flashBonus: 10 });
+    expect(window.computePoints(flash, null, scoring)).toBe(110);
+    expect(window.computePoints(secondGo, null, scoring)).toBe(100);
+  });
+
+  it('takes the attempt penalty off without going below zero', () => {
+    const scoring = rules({ attemptPenalty: 5 });
+    expect(window.computePoints(secondGo, null, scoring)).toBe(85);
+    expect(window.computePoints(result('C1', { top_completed: '0', attempts_to_zone: '30' }), null, scoring)).toBe(0);
+  });
+
+  it('caps the points for a boulder', () => {
+    expect(window.computePoints(flash, null, rules({ flashBonus: 25, maxPointsPerBoulder: 110 }))).toBe(110);
+  });
+
+  it('reads CONFIG.scoring over the defaults', () => {
+    window.eval('CONFIG').scoring = { topPoints: 70, dynamic: { topPool: 600 } };
+    const scoring = window.getScoringRules();
+
+    expect(scoring).toMatchObject({ zonePoints: 50, topPoints: 70, flashBonus: 0, attemptPenalty: 0, maxPointsPerBoulder: null });
+    expect(scoring.dynamic).toEqual({ enabled: false, topPool: 600, zonePool: 500 });
+  });
+
+  it('totals climber points with the rules, keeping points before the penalty apart', () => {
+    const teams = roster([['T1', 'Crimpers', 'C1', 'Ann', 'Open']]);
+    const results = [flash, { ...secondGo, boulder_id: 'B2' }];
+    const stats = window.aggregateClimberStats(teams, results, null, new Map(), rules({ flashBonus: 10, attemptPenalty: 5 }));
+
+    expect(stats.get('C1')).toMatchObject({
+      total_points: 100 + 85,
+      total_base_points: 110 + 100,
+      total_attempts: 5,
+      total_flashes: 1
+    });
+  });
+
+  it('leaves the attempt penalty out of the Efficiency King ratio', () => {
+    const teams = roster([['T1', 'Crimpers', 'C1', 'Ann', 'Open']]);
+    const results = [flash, { ...secondGo, boulder_id: 'B2' }];
+    const scoring = rules({ attemptPenalty: 5 });
+    const climberStats = window.aggregateClimberStats(teams, results, null, new Map(), scoring);
+    const funStats = window.computeFunStats(results, climberStats, new Map());
+
+    expect(funStats.efficiency_king).toEqual({ climber_id: 'C1', climber_name: 'Ann', ratio: '40.00' });
+  });
+
+  it('lists the configured rules for the rules panel', () => {
+    window.document.body.innerHTML = '<ul id="scoring-rules-list"></ul>';
+    window.eval('CONFIG').scoring = { zonePoints: 25, topPoints: 75, flashBonus: 10, attemptPenalty: 2 };
+    window.renderScoringRules();
+
+    expect([...window.document.querySelectorAll('#scoring-rules-list li')].map(item => item.textContent)).toEqual([
+      'Zone reached: 25 points',
+      'Top reached: 75 points (in addition to the zone)',
+      'Flash (top on the first attempt): +10 bonus points',
+      'Each attempt: -2 points (a boulder never scores below 0)',
+      'Maximum per boulder: 106 points'
+    ]);
+  });
+
+  it('works out the maximum per boulder from boulders with their own points and the cap', () => {
+    window.document.body.innerHTML = '<ul id="scoring-rules-list"></ul>';
+    const maximum = () => window.document.querySelector('#scoring-rules-list li:last-child').textContent;
+    const boulders = window.buildBoulderMap([
+      { comp_id: '1', boulder_id: 'B1', zone_points: '20', top_points: '80' },
+      { comp_id: '1', boulder_id: 'B2', zone_points: '', top_points: '200' },
+      { comp_id: '1', boulder_id: 'B3', zone_points: '', top_points: '' }
+    ]);
+
+    window.renderScoringRules(boulders);
+    expect(maximum()).toBe('Maximum per boulder: 100 points (100–250 on boulders with their own points)');
+
+    window.eval('CONFIG').scoring = { maxPointsPerBoulder: 120 };
+    window.renderScoringRules(boulders);
+    expect(maximum()).toBe('Maximum per boulder: 100 points (100–120 on boulders with their own points)');
+  });
+});
@@ -0,0 +1,193 @@
+import { describe, it, expect, beforeAll, beforeEach } from 'vitest';
+import { loadDashboard, roster, result } from './load-dashboard.js';
+
+describe('fuzzyMatch', () => {
+  let window;
+
+  beforeAll(async () => {
+    window = await loadDashboard();
+  });
+
+  const score = (query, text) => window.fuzzyMatch(query, text)?.score ?? null;
+
+  it('ranks exact, prefix, word prefix and substring matches in that order', () => {
+    const scores = [
+      score('john', 'John'),
+      score('john', 'Johnny'),
+      score('john', 'Elton John'),
+      score('ohn', 'John')
+    ];
+    expect(scores).toEqual([...scores].sort((a, b) => b - a));
+    expect(new Set(scores).size).toBe(4);
+  });
+
+  it('ignores case and accents, and highlights the original characters', () => {
+    expect(window.fuzzyMatch('jose', 'José').indices).toEqual([0, 1, 2, 3]);
+  });
+
+  it('matches letters in order and small typos', () => {
+    expect(score('jhn smth', 'John Smith')).not.toBeNull();
+    expect(score('jonh', 'John')).not.toBeNull();
+    expect(score('jhn', 'Zoe Jakobsen-Hansen')).toBeNull();
+  });
+
+  it('allows more typos in longer queries only', () => {
+    expect(score('jhon', 'John')).not.toBeNull();
+    expect(score('jho', 'Joe')).toBeNull();
+    expect(score('mcdonal', 'Macdonald')).not.toBeNull();
+  });
+
+  it('matches IDs only exactly, by prefix or as a substring when fuzzy is off', () => {
+    expect(window.fuzzyMatch('c12', 'C12', { fuzzy: false }).score).toBe(1000);
+    expect(window.fuzzyMatch('12', 'C12', { fuzzy: false })).not.toBeNull();
+    expect(window.fuzzyMatch('c21', 'C12', { fuzzy: false })).toBeNull();
+  });
+
+  it('scores a subsequence starting the text or a word above one inside a word', () => {
+    expect(score('jhn', 'John Smith')).toBeGreaterThan(score('jhn', 'Alice Johnson'));
+    expect(score('jhn', 'Alice Johnson')).toBeGreaterThan(score('jhn', 'Alicejohnson'));
+  });
+
+  it('anchors a subsequence on a word start later in the text', () => {
+    expect(score('jhn', 'Raj Johnson')).toBe(score('jhn', 'Alice Johnson'));
+  });
+
+  it('lists "John Smith" before "Alice Johnson" for "jhn"', () => {
+    const results = ['Alice Johnson', 'John Smith'].map(climber_name => ({
+      climber_name,
+      match: window.matchSearchFields('jhn', [{ field: 'climber_name', text: climber_name }])
+    }));
+    expect(window.sortSearchResults(results, 'climber_name').map(r => r.climber_name))
+      .toEqual(['John Smith', 'Alice Johnson']);
+  });
+});
+
+describe('climber and team search', () => {
+  let window;
+
+  beforeEach(async () => {
+    window = await loadDashboard();
+    window.document.body.innerHTML = `
+      <input id="search-box">
+      <section id="search-results" style="display: none;"><div id="search-content"></div></section>`;
+    window.AppState.rawTeams = roster([
+      ['T1', 'Crimpers', 'C1', 'John Smith', 'Beginner'],
+      ['T1', 'Crimpers', 'C2', 'Johnny Cash', 'Beginner'],
+      ['T2', 'Johnson Jugs', 'C3', 'José Alvarez', 'Advanced']
+    ]);
+    window.AppState.rawResults = [result('C1'), result('C3', { top_completed: '0' })];
+    window.AppState.competitions = [{ comp_id: '1', name: 'Season Opener' }];
+    window.AppState.computeAllStats();
+  });
+
+  it('lists the best matches first, with the matched field', () => {
+    expect(window.searchClimber('johnny').map(r => r.climber_name)).toEqual(['Johnny Cash']);
+    expect(window.searchClimber('john').map(r => [r.climber_name, r.match.field])).toEqual([
+      ['John Smith', 'climber_name'],
+      ['Johnny Cash', 'climber_name']
+    ]);
+    expect(window.searchClimber('jose')[0]).toMatchObject({ climber_name: 'José Alvarez', total_points: 50 });
+    expect(window.searchTeam('john').map(r => r.team_name)).toEqual(['Johnson Jugs']);
+  });
+
+  it('finds climbers and teams by ID and shows the matched ID', () => {
+    const [climber] = window.searchClimber('c3');
+    expect(climber.match.field).toBe('climber_id');
+
+    const html = window.renderClimberSearchResult(climber, 'search-result-0');
+    expect(html).toContain('<h4>José Alvarez</h4>');
+    expect(html).toContain('<p class="search-result-id">ID: <mark>C3</mark></p>');
+  });
+
+  it('highlights the matched characters and escapes the rest', () => {
+    expect(window.highlightMatch('José <b>', [0, 1])).toBe('<mark>Jo</mark>sé &lt;b&gt;');
+    expect(window.highlightMatch('Ann', [0, 1, 2])).toBe('<mark>Ann</mark>');
+  });
+
+  it('moves through the result cards with the arrow keys', () => {
+    window.setupSearch();
+    window.performSearch('john');
+    const searchBox = window.document.getElementById('search-box');
+    const press = key => searchBox.dispatchEvent(new window.KeyboardEvent('keydown', { key }));
+    const active = () => Array.from(window.document.querySelectorAll('.search-result-card.active'), card => card.id);
+
+    expect(window.document.querySelectorAll('.search-result-card')).toHaveLength(3);
+
+    press('ArrowDown');
+    expect(active()).toEqual(['search-result-0']);
+    expect(searchBox.getAttribute('aria-activedescendant')).toBe('search-result-0');
+
+    press('ArrowUp');
+    press('ArrowUp');
+    expect(active()).toEqual(['search-result-1']);
+
+    press('Escape');
+    expect(active()).toEqual([]);
+    expect(searchBox.hasAttribute('aria-activedescendant')).toBe(false);
+  });
+
+  it('escapes the query in the no-results message', () => {
+    window.performSearch('<i>zzz');
+
+    expect(window.document.getElementById('search-content').innerHTML)
+      .toBe('<p class="no-results">No teams or climbers found matching "&lt;i&gt;zzz"</p>');
+  });
+});
+
+describe('search result cards', () => {
+  let window;
+
+  beforeAll(async () => {
+    window = await loadDashboard();
+  });
+
+  const injected = '<img src=x onerror=alert(1)>';
+
+  it('escapes every value in a team card', () => {
+    const html = window.renderTeamSearchResult({
+      team_id: 'T1',
+      team_name: `Crimpers ${injected}`,
+      total_points: injected,
+      total_attempts: 3,
+      members: [
+        { climber_name: injected, division: injected, total_points: injected, total_attempts: injected }
+      ],
+      match: null
+    }, 'search-result-0');
+
+    expect(html).not.toContain('<img');
+    expect(html).toContain('&lt;img src=x onerror=alert(1)&gt;');
+  });
+
+  it('escapes every value in a climber card', () => {
+    const html = window.renderClimberSearchResult({
+      climber_id: 'C1',
+      climber_name: 'Ann',
+      team_name: injected,
+      division: injected,
+      total_points: injected,
+      total_attempts: injected,
+      dropped_comps: new Set(),
+      results: [{
+        comp_id: injected,
+        comp_date: injected,
+        boulder_id: injected,
+        grade: injected,
+        color: injected,
+        setter: injected,
+        wall_section: injected,
+        top_value: null,
+        zone_value: null,
+        zone_completed: 1,
+        top_completed: 0,
+        points: injected,
+        attempts_to_zone: 1,
+        attempts_to_top: 2
+      }],
+      match: null
+    }, 'search-result-0');
+
+    expect(html).not.toContain('<img');
+    expect(html).toContain('<td>&lt;img src=x onerror=alert(1)&gt;</td>');
+  });
+});
@@ -0,0 +1,85 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { loadDashboard, roster, result } from './load-dashboard.js';
+
+describe('season standings', () => {
+  let window;
+
+  beforeEach(async () => {
+    window = await loadDashboard();
+  });
+
+  const teams = roster([
+    ['T1', 'Crimpers', 'C1', 'Ann', 'Beginner'],
+    ['T2', 'Slopers', 'C2', 'Bea', 'Beginner'],
+    ['T2', 'Slopers', 'C3', 'Cal', 'Beginner'],
+    ['T1', 'Crimpers', 'C4', 'Dee', 'Advanced']
+  ]);
+
+  const divisions = ['Beginner', 'Intermediate', 'Advanced'];
+  const standings = (results, placementPoints = [100, 80, 65]) =>
+    window.computeSeasonStandings(window.aggregateClimberStats(teams, results), placementPoints, divisions);
+  const byName = (entries, name) => entries.find(entry => entry.climber_name === name);
+
+  it('awards league points for each comp placement within the division', () => {
+    const seasonStandings = standings([
+      result('C1', { comp_id: '1' }),
+      result('C2', { comp_id: '1', top_completed: '0' }),
+      result('C1', { comp_id: '2', top_completed: '0' }),
+      result('C2', { comp_id: '2' }),
+      result('C3', { comp_id: '2', zone_completed: '0', top_completed: '0' }),
+      result('C4', { comp_id: '1', top_completed: '0' })
+    ]);
+    const beginner = seasonStandings.get('Beginner');
+
+    expect(byName(beginner, 'Ann').total_points).toBe(100 + 80);
+    expect(byName(beginner, 'Bea').total_points).toBe(80 + 100);
+    expect(byName(beginner, 'Cal').total_points).toBe(65);
+    expect(byName(beginner, 'Ann').comp_breakdown.get('2')).toEqual({ placement: 2, tied: false, points: 80, raw_points: 50 });
+    expect(byName(seasonStandings.get('Advanced'), 'Dee').total_points).toBe(100);
+    expect(seasonStandings.get('Intermediate')).toEqual([]);
+  });
+
+  it('gives exactly tied climbers the same place and points', () => {
+    const beginner = standings([result('C1'), result('C2'), result('C3', { top_completed: '0' })]).get('Beginner');
+
+    expect(byName(beginner, 'Ann').comp_breakdown.get('1')).toMatchObject({ placement: 1, tied: true, points: 100 });
+    expect(byName(beginner, 'Bea').comp_breakdown.get('1')).toMatchObject({ placement: 1, tied: true, points: 100 });
+    expect(byName(beginner, 'Cal').comp_breakdown.get('1')).toMatchObject({ placement: 3, tied: false, points: 65 });
+  });
+
+  it('scores places past the end of the table as 0', () => {
+    const beginner = standings([result('C1'), result('C2', { top_completed: '0' })], [50]).get('Beginner');
+
+    expect(byName(beginner, 'Bea').total_points).toBe(0);
+  });
+
+  it('earns league points in each division a climber was in', () => {
+    const moved = [
+      { ...teams[0], effective_to: '2025-01-31' },
+      { ...teams[0], division: 'Advanced', effective_from: '2025-02-01' },
+      ...teams.slice(1)
+    ];
+    const results = [
+      result('C1', { comp_id: '1', comp_date: '2025-01-01' }),
+      result('C1', { comp_id: '2', comp_date: '2025-02-15', top_completed: '0' }),
+      result('C4', { comp_id: '2', comp_date: '2025-02-15' })
+    ];
+    const seasonStandings = window.computeSeasonStandings(window.aggregateClimberStats(moved, results), [100, 80], divisions);
+
+    expect(byName(seasonStandings.get('Beginner'), 'Ann').total_points).toBe(100);
+    expect(byName(seasonStandings.get('Advanced'), 'Ann').total_points).toBe(80);
+  });
+
+  it('renders each division ranked by league points with placements per comp', () => {
+    window.document.body.innerHTML = '<table id="season-standings"><thead><tr></tr></thead><tbody></tbody></table>';
+    window.AppState.competitions = [{ comp_id: '1', name: 'Winter Bash' }];
+    window.renderSeasonStandings(standings([result('C1'), result('C2', { top_completed: '0' })]));
+
+    const rows = Array.from(window.document.querySelectorAll('#season-standings tbody tr'),
+      row => Array.from(row.cells, cell => cell.textContent));
+    expect(rows).toEqual([
+      ['1', 'Ann', 'Crimpers', 'Beginner', 'Winter Bash: 1 (100 pts)', '100'],
+      ['2', 'Bea', 'Slopers', 'Beginner', 'Winter Bash: 2 (80 pts)', '80']
+    ]);
+  });
+});
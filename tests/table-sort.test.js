@@ -0,0 +1,114 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { loadDashboard } from './load-dashboard.js';
+
+describe('multi-column table sorting', () => {
+  let window;
+  let table;
+
+  beforeEach(async () => {
+    window = await loadDashboard();
+    window.document.body.innerHTML = `
+      <table id="individual-leaderboard">
+        <thead><tr>
+          <th data-sort="rank">Rank</th>
+          <th data-sort="climber">Climber</th>
+          <th data-sort="division">Division</th>
+          <th data-sort="age_group">Age Group</th>
+          <th data-sort="points" data-ranking="points">Total Points</th>
+          <th data-sort="tops" data-ranking="ifsc" hidden>Tops</th>
+        </tr></thead>
+        <tbody></tbody>
+      </table>`;
+    table = window.document.getElementById('individual-leaderboard');
+    window.AppState.divisions = [{ name: 'Beginner' }, { name: 'Advanced' }];
+  });
+
+  const row = (rank, climber_name, division, total_points, age_group, total_tops = 0) =>
+    ({ rank, tied: false, entry: { climber_name, division, total_points, total_tops, categories: { age_group } } });
+  const rows = [
+    row(1, 'Ann', 'Advanced', 300, 'U18', 1),
+    row(2, 'Bea', 'Beginner', 250, 'Adult', 3),
+    row(3, 'cal', 'Advanced', 200, 'Adult', 2),
+    row(4, 'Dee', 'Beginner', 200, 'U18', 0)
+  ];
+  const sortBy = (...columns) => {
+    window.AppState.sortState = {
+      table: 'individual-leaderboard',
+      columns: columns.map(([column, direction = 'asc']) => ({ column, direction }))
+    };
+    return window.sortTableData(table, rows).map(({ entry }) => entry.climber_name);
+  };
+
+  it('keeps ranking order when the table isn\'t sorted', () => {
+    expect(window.sortTableData(table, rows)).toBe(rows);
+    window.AppState.sortState = { table: 'team-leaderboard', columns: [{ column: 'climber', direction: 'desc' }] };
+    expect(window.sortTableData(table, rows)).toBe(rows);
+  });
+
+  it('sorts by each column in turn, falling back to ranking order', () => {
+    expect(sortBy(['division'], ['points', 'desc'])).toEqual(['Bea', 'Dee', 'Ann', 'cal']);
+    expect(sortBy(['points'])).toEqual(['cal', 'Dee', 'Bea', 'Ann']);
+    expect(sortBy(['climber', 'desc'])).toEqual(['Dee', 'cal', 'Bea', 'Ann']);
+    expect(sortBy(['rank', 'desc'])).toEqual(['Dee', 'cal', 'Bea', 'Ann']);
+  });
+
+  it('sorts divisions in their configured order and categories as text', () => {
+    expect(sortBy(['division', 'desc'])).toEqual(['Ann', 'cal', 'Bea', 'Dee']);
+    expect(sortBy(['age_group'], ['climber', 'desc'])).toEqual(['cal', 'Bea', 'Dee', 'Ann']);
+  });
+
+  it('skips columns hidden in the current ranking mode', () => {
+    window.AppState.rankingMode = 'points';
+    expect(sortBy(['tops', 'desc'], ['climber', 'desc'])).toEqual(['Dee', 'cal', 'Bea', 'Ann']);
+
+    window.AppState.rankingMode = 'ifsc';
+    expect(sortBy(['tops', 'desc'])).toEqual(['Bea', 'cal', 'Ann', 'Dee']);
+  });
+
+  it('replaces the sort on click and extends it on shift-click', () => {
+    const sorts = [];
+    window.AppState.setSort = (tableId, columns) => {
+      sorts.push(columns.map(({ column, direction }) => `${column}:${direction}`).join(','));
+      window.AppState.sortState = { table: tableId, columns };
+    };
+    window.setupSorting(table);
+    const click = (column, shiftKey = false) => table.querySelector(`th[data-sort="${column}"]`)
+      .dispatchEvent(new window.MouseEvent('click', { shiftKey }));
+
+    click('division');
+    click('points', true);
+    click('points', true);
+    click('climber');
+    click('climber');
+
+    expect(sorts).toEqual([
+      'division:asc',
+      'division:asc,points:asc',
+      'division:asc,points:desc',
+      'climber:asc',
+      'climber:desc'
+    ]);
+  });
+
+  it('numbers the headers of a multi-column sort', () => {
+    window.AppState.sortState = {
+      table: 'individual-leaderboard',
+      columns: [{ column: 'division', direction: 'asc' }, { column: 'points', direction: 'desc' }]
+    };
+    window.syncSortHeaders();
+
+    const marked = Array.from(table.querySelectorAll('th[class]'), th => [th.dataset.sort, th.className, th.dataset.sortOrder]);
+    expect(marked).toEqual([['division', 'sort-asc', '1'], ['points', 'sort-desc', '2']]);
+  });
+
+  it('round-trips a multi-column sort through the URL', () => {
+    window.document.body.insertAdjacentHTML('beforeend', '<input id="search-box">');
+    window.applyViewState(window.parseViewState('?sort=individual-leaderboard:division:asc,points:desc'));
+
+    expect(window.AppState.sortState.columns).toEqual([
+      { column: 'division', direction: 'asc' },
+      { column: 'points', direction: 'desc' }
+    ]);
+    expect(window.buildViewUrl()).toBe('/?sort=individual-leaderboard:division:asc,points:desc');
+  });
+});
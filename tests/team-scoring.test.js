@@ -0,0 +1,156 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { loadDashboard, roster, result } from './load-dashboard.js';
+
+describe('aggregateTeamStats modes', () => {
+  let window;
+
+  beforeEach(async () => {
+    window = await loadDashboard();
+  });
+
+  const teams = roster([
+    ['T1', 'Crimpers', 'C1', 'Ann', 'Open'],
+    ['T1', 'Crimpers', 'C2', 'Bea', 'Open'],
+    ['T1', 'Crimpers', 'C3', 'Cal', 'Youth'],
+    ['T2', 'Slopers', 'C4', 'Dee', 'Open']
+  ]);
+
+  // Comp 1: Ann 100, Bea 50, Cal 0 (zone attempt only), Dee 100 with more attempts
+  const results = [
+    result('C1'),
+    result('C2', { top_completed: '0' }),
+    result('C3', { zone_completed: '0', top_completed: '0' }),
+    result('C4', { attempts_to_top: '3' })
+  ];
+
+  const teamStats = (mode, extra = {}) => window.aggregateTeamStats(
+    window.aggregateClimberStats(teams, results),
+    teams,
+    { ...window.getTeamScoringRules(), mode, ...extra }
+  );
+  const counted = (stats, teamId) => stats.get(teamId).comp_breakdown.get('1').counted.map(member => member.climber_name);
+
+  it('defaults to summing every member', () => {
+    expect(window.getTeamScoringRules()).toEqual({ mode: 'sum', bestK: 3, placementPoints: [10, 8, 6, 5, 4, 3, 2, 1] });
+
+    const stats = teamStats('sum');
+    expect(stats.get('T1')).toMatchObject({ total_points: 150, total_attempts: 6, total_tops: 1, total_zones: 2 });
+    expect(counted(stats, 'T1')).toEqual(['Ann', 'Bea', 'Cal']);
+  });
+
+  it('counts only the best K members per comp', () => {
+    const stats = teamStats('best-k', { bestK: 1 });
+
+    expect(stats.get('T1').total_points).toBe(100);
+    expect(counted(stats, 'T1')).toEqual(['Ann']);
+  });
+
+  it('counts the best member of each division per comp', () => {
+    const stats = teamStats('division-slots');
+
+    expect(stats.get('T1').total_points).toBe(100);
+    expect(counted(stats, 'T1')).toEqual(['Ann', 'Cal']);
+  });
+
+  it('averages each comp over the members who climbed it', () => {
+    const stats = teamStats('average');
+
+    expect(stats.get('T1').total_points).toBe(50);
+    expect(stats.get('T1').total_attempts).toBe(2);
+  });
+
+  it('keeps averages at full precision and rounds them only for display', () => {
+    // Ann tops both comps, Bea and Cal score nothing: 100 / 3 per comp
+    const blanks = ['1', '2'].flatMap(comp_id => [
+      result('C1', { comp_id }),
+      result('C2', { comp_id, zone_completed: '0', top_completed: '0' }),
+      result('C3', { comp_id, zone_completed: '0', top_completed: '0' })
+    ]);
+    const stats = window.aggregateTeamStats(
+      window.aggregateClimberStats(teams, blanks),
+      teams,
+      { ...window.getTeamScoringRules(), mode: 'average' }
+    ).get('T1');
+
+    expect(stats.comp_breakdown.get('1').points).toBe(100 / 3);
+    expect(stats.total_points).toBe(200 / 3);
+
+    const row = window.document.createElement('tr');
+    window.appendRankingCells(row, stats, 'points');
+    expect(Array.from(row.cells, cell => cell.textContent)).toEqual(['66.7', '4']);
+  });
+
+  it('awards placement points for each comp', () => {
+    const stats = teamStats('placement', { placementPoints: [10, 8] });
+
+    expect(stats.get('T1').comp_breakdown.get('1')).toMatchObject({ placement: 1, points: 10 });
+    expect(stats.get('T2').comp_breakdown.get('1')).toMatchObject({ placement: 2, points: 8 });
+    expect(stats.get('T2').total_points).toBe(8);
+  });
+
+  it('leaves comps dropped by the best N comps rule out of the plain sum only', () => {
+    const twoComps = [...results, result('C1', { comp_id: '2', top_completed: '0' })];
+    const scoring = { ...window.getScoringRules(), countBestComps: 1 };
+    const climberStats = window.aggregateClimberStats(teams, twoComps, null, new Map(), scoring);
+    window.applyCountedCompsRule(climberStats, ['1', '2'], scoring);
+
+    const sum = window.aggregateTeamStats(climberStats, teams, { ...window.getTeamScoringRules(), mode: 'sum' });
+    const bestK = window.aggregateTeamStats(climberStats, teams, { ...window.getTeamScoringRules(), mode: 'best-k', bestK: 1 });
+
+    expect(sum.get('T1').total_points).toBe(150);
+    expect(bestK.get('T1').total_points).toBe(100 + 50);
+  });
+
+  it('lists whose scores counted in each comp', () => {
+    window.AppState.competitions = [{ comp_id: '1', name: 'Winter Bash' }];
+    const stats = teamStats('placement', { placementPoints: [10, 8] });
+
+    expect(window.createCountedMembersCell(stats.get('T1')).textContent).toBe('Winter Bash (#1, 10 pts): Ann, Bea, Cal');
+  });
+});
+
+describe('aggregateTeamStats in placement mode', () => {
+  let window;
+
+  beforeEach(async () => {
+    window = await loadDashboard();
+  });
+
+  const teams = roster([
+    ['T1', 'Crimpers', 'C1', 'Ann', 'Open'],
+    ['T2', 'Slopers', 'C2', 'Bea', 'Open'],
+    ['T3', 'Jugs', 'C3', 'Cal', 'Open']
+  ]);
+
+  const placementRules = { mode: 'placement', bestK: 3, placementPoints: [10, 8, 6] };
+
+  it('gives exactly tied teams the same placement and points', () => {
+    const results = [
+      result('C1'),
+      result('C2'),
+      result('C3', { top_completed: '0', attempts_to_top: '3' })
+    ];
+    const climberStats = window.aggregateClimberStats(teams, results);
+    const teamStats = window.aggregateTeamStats(climberStats, teams, placementRules);
+
+    const comp = teamId => teamStats.get(teamId).comp_breakdown.get('1');
+    expect(comp('T1')).toMatchObject({ placement: 1, tied: true, points: 10 });
+    expect(comp('T2')).toMatchObject({ placement: 1, tied: true, points: 10 });
+    expect(comp('T3')).toMatchObject({ placement: 3, tied: false, points: 6 });
+    expect(teamStats.get('T1').total_points).toBe(teamStats.get('T2').total_points);
+  });
+
+  it('separates teams tied on points by fewer attempts', () => {
+    const results = [
+      result('C1'),
+      result('C2', { attempts_to_top: '2' }),
+      result('C3', { top_completed: '0', attempts_to_top: '3' })
+    ];
+    const climberStats = window.aggregateClimberStats(teams, results);
+    const teamStats = window.aggregateTeamStats(climberStats, teams, placementRules);
+
+    const comp = teamId => teamStats.get(teamId).comp_breakdown.get('1');
+    expect(comp('T1')).toMatchObject({ placement: 1, tied: false, points: 10 });
+    expect(comp('T2')).toMatchObject({ placement: 2, tied: false, points: 8 });
+  });
+});
@@ -0,0 +1,106 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { loadDashboard } from './load-dashboard.js';
+
+describe('view state in the URL', () => {
+  let window;
+
+  beforeEach(async () => {
+    window = await loadDashboard();
+    window.eval('CONFIG').categories = [{ column: 'age_group', label: 'Age Group' }];
+    window.document.body.innerHTML = '<input id="search-box">';
+  });
+
+  const shared = '?comps=2,3&from=2025-11-01&division=Advanced&age_group=U18&q=jane&sort=individual-leaderboard:points:desc';
+
+  it('reads the filter, selection, search and sort from the query string', () => {
+    expect(window.parseViewState(shared)).toEqual({
+      filter: { comps: ['2', '3'], from: '2025-11-01', to: '' },
+      slice: { division: 'Advanced', age_group: 'U18' },
+      query: 'jane',
+      sortState: { table: 'individual-leaderboard', columns: [{ column: 'points', direction: 'desc' }] },
+      climberId: null
+    });
+  });
+
+  it('falls back to the full view for missing or malformed parameters', () => {
+    expect(window.parseViewState('?from=2025-13-45&to=soon&comps=,&sort=points')).toEqual({
+      filter: { comps: [], from: '', to: '' },
+      slice: { division: 'all', age_group: 'all' },
+      query: '',
+      sortState: { table: null, columns: [] },
+      climberId: null
+    });
+    expect(window.parseViewState('?sort=team-leaderboard:team:sideways').sortState.columns).toEqual([{ column: 'team', direction: 'asc' }]);
+  });
+
+  it('writes the view back to the same URL, keeping the section hash', () => {
+    window.history.replaceState(null, '', '/dashboard/#season-standings-section');
+    window.applyViewState(window.parseViewState(shared));
+
+    expect(window.document.getElementById('search-box').value).toBe('jane');
+    expect(window.buildViewUrl()).toBe(`/dashboard/${shared}#season-standings-section`);
+  });
+
+  it('leaves the query string out for the full view', () => {
+    window.applyViewState(window.parseViewState(''));
+
+    expect(window.buildViewUrl()).toBe('/');
+  });
+
+  it('adds a history entry only when the view changes', () => {
+    const startLength = window.history.length;
+    window.AppState.currentFilter = { comps: ['2'], from: '', to: '' };
+
+    window.pushViewState();
+    window.pushViewState();
+
+    expect(window.history.length).toBe(startLength + 1);
+    expect(window.location.search).toBe('?comps=2');
+  });
+
+  it('recomputes on back/forward only when more than the section hash changed', () => {
+    let recomputed = 0;
+    window.AppState.computeAllStats = () => { recomputed++; };
+    window.AppState.renderAll = () => {};
+    window.setupHistoryNavigation();
+    window.pushViewState();
+
+    window.history.pushState(null, '', '/#season-standings-section');
+    window.dispatchEvent(new window.PopStateEvent('popstate'));
+    expect(recomputed).toBe(0);
+
+    window.history.pushState(null, '', '/?comps=2#season-standings-section');
+    window.dispatchEvent(new window.PopStateEvent('popstate'));
+    expect(recomputed).toBe(1);
+    expect(window.AppState.currentFilter.comps).toEqual(['2']);
+  });
+
+  it('keeps one history entry per search query until it settles', () => {
+    const startLength = window.history.length;
+    const searchBox = window.document.getElementById('search-box');
+    const type = query => {
+      searchBox.value = query;
+      window.updateSearchHistory();
+    };
+
+    type('j');
+    type('ja');
+    expect(window.history.length).toBe(startLength + 1);
+    expect(window.location.search).toBe('?q=ja');
+
+    window.settleSearchHistory();
+    type('jam');
+    expect(window.history.length).toBe(startLength + 2);
+    expect(window.location.search).toBe('?q=jam');
+  });
+
+  it('marks only the restored sort column', () => {
+    window.document.body.innerHTML = `
+      <table id="team-leaderboard"><thead><tr><th data-sort="team" class="sort-asc">Team</th><th data-sort="points">Points</th></tr></thead></table>`;
+    window.AppState.sortState = { table: 'team-leaderboard', columns: [{ column: 'points', direction: 'desc' }] };
+
+    window.syncSortHeaders();
+
+    expect(Array.from(window.document.querySelectorAll('th'), th => th.className)).toEqual(['', 'sort-desc']);
+  });
+});
@@ -0,0 +1,97 @@
+import { describe, it, expect, beforeAll } from 'vitest';
+import { loadDashboard } from './load-dashboard.js';
+
+describe('validateData', () => {
+  let window;
+
+  beforeAll(async () => {
+    window = await loadDashboard();
+  });
+
+  const teamsCsv = [
+    'team_id,team_name,climber_id,climber_name,division',
+    'T1,Crimpers,C1,Ann,Beginner',
+    'T1,Crimpers,C2,Bea,Advanced'
+  ];
+  const resultsHeader = 'comp_id,comp_date,boulder_id,climber_id,attempts_to_zone,attempts_to_top,zone_completed,top_completed';
+
+  const validate = (teamLines, resultLines) => {
+    const teams = window.parseCsv(teamLines.join('\n'), []);
+    const results = window.parseCsv([resultsHeader, ...resultLines].join('\n'), []);
+    return JSON.parse(JSON.stringify(window.validateData(teams, results)));
+  };
+
+  it('finds nothing wrong with clean data', () => {
+    expect(validate(teamsCsv, [
+      '1,2025-01-11,B1,C1,1,1,1,1',
+      '1,2025-01-11,B2,C1,2,0,1,0',
+      '2,2025-02-08,B1,C2,,,0,0'
+    ])).toEqual([]);
+  });
+
+  it('reports roster problems with their sheet rows', () => {
+    expect(validate([...teamsCsv, 'T2,Slopers,C1,Ann again,Beginner', ',Jugs,C3,Cal,Pro'], [])).toEqual([
+      { sheet: 'teams', row: 4, message: 'Duplicate climber_id C1; only the first row is used' },
+      { sheet: 'teams', row: 5, message: 'Missing team_id' },
+      { sheet: 'teams', row: 5, message: 'Division "Pro" for climber C3 is not in CONFIG.divisions; it is shown after the configured divisions' }
+    ]);
+  });
+
+  it('reports impossible and unreadable results', () => {
+    const issues = validate(teamsCsv, [
+      '1,2025-01-11,B1,C9,1,1,1,1',
+      '1,2025-01-11,B2,C1,two,1,1,1',
+      '1,2025-01-11,B3,C1,1,1,0,1',
+      '1,2025-01-11,B4,C1,1,0,1,1',
+      '1,2025-01-11,B5,C1,1,1,yes,0'
+    ]);
+
+    expect(issues.map(({ row, message }) => [row, message])).toEqual([
+      [2, 'Unknown climber_id C9; result ignored'],
+      [3, 'attempts_to_zone "two" is not a whole number'],
+      [4, 'Top completed without zone completed'],
+      [5, 'Top completed with attempts_to_top of 0'],
+      [6, 'zone_completed "yes" should be 0 or 1']
+    ]);
+  });
+
+  it('reports duplicate results, bad dates and comps with two dates', () => {
+    const issues = validate(teamsCsv, [
+      '1,2025-01-11,B1,C1,1,1,1,1',
+      '1,2025-01-11,B1,C1,1,1,1,1',
+      '1,2025-01-12,B2,C1,1,1,1,1',
+      '2,2025-02-30,B1,C1,1,1,1,1'
+    ]);
+
+    expect(issues.map(({ row, message }) => [row, message])).toEqual([
+      [3, 'Duplicate result for climber C1 on boulder B1 in comp 1'],
+      [4, 'comp_date 2025-01-12 conflicts with 2025-01-11 used elsewhere for comp 1'],
+      [5, 'Invalid comp_date "2025-02-30" (expected YYYY-MM-DD)']
+    ]);
+  });
+});
+
+describe('renderDataIssues', () => {
+  let window;
+
+  beforeAll(async () => {
+    window = await loadDashboard();
+    window.document.body.innerHTML = `
+      <section id="data-issues" style="display: none;">
+        <span id="data-issues-count">0</span>
+        <table id="data-issues-table"><tbody></tbody></table>
+      </section>`;
+  });
+
+  it('lists each issue as text and shows the panel only when there are issues', () => {
+    const panel = window.document.getElementById('data-issues');
+    window.renderDataIssues([{ sheet: 'results', row: null, message: '<b>bad</b>' }]);
+
+    expect(panel.style.display).toBe('block');
+    expect(window.document.getElementById('data-issues-count').textContent).toBe('1');
+    expect([...panel.querySelectorAll('td')].map(cell => cell.textContent)).toEqual(['results', '--', '<b>bad</b>']);
+
+    window.renderDataIssues([]);
+    expect(panel.style.display).toBe('none');
+  });
+});